@@ -1,21 +1,97 @@
 require('dotenv').config();
+const path = require('path');
+const crypto = require('crypto');
 const axios = require('axios');
+const {
+  parseListFromMetafield,
+  parseStringFromMetafield,
+  parseTaxPercent,
+  taxRateOfCollectionTitle,
+  taxRateCollectionTitle,
+  parseBooleanFromMetafield,
+  variantLabel,
+  variantHsn,
+  expectedMainSkuParts,
+  isVariantQuantitiesLink,
+  linkedOptionName,
+  selectedValueForLinkedOption,
+  linkedMetaobjectId,
+  computeVariantTitle,
+  getUniqueHsnFromVariants,
+  groupVariantsByHsn,
+} = require('./lib/helpers');
+const { loadConfig } = require('./lib/config');
+const { resolveChecks, runChecks } = require('./lib/checks');
+const { createWebhookServer } = require('./lib/webhook-server');
+const { createLedger } = require('./lib/ledger');
+const { createMakeQueue } = require('./lib/make-queue');
+const { runBulkQuery, readBulkProducts, readBulkNodes } = require('./lib/bulk-operations');
+const { openSkuIndex } = require('./lib/sku-index');
+const { createTaxCatalog, taxIdsFromMetaobjects } = require('./lib/tax-catalog');
+const { createHsnRateTable, hsnRatesFromMetaobjects, assessHsn, isHsnFormatValid } = require('./lib/hsn');
+const { openDescriptionIndex } = require('./lib/description');
+const { resolveImageRules, imageProblems, describeImage } = require('./lib/images');
+const { findForbiddenWord } = require('./lib/title-lint');
+const { countryCodeFor } = require('./lib/countries');
+const { resolveInventoryPolicy, zeroingSkipReason, selectLocations, createInventorySnapshots } = require('./lib/inventory-zeroing');
+const { createShopifyClient, ShopifyApiError } = require('./lib/shopify-client');
+const { PipelineError, classifyError, errorMessage } = require('./lib/errors');
+const { runPool } = require('./lib/worker-pool');
+const { createPlan, writePlanReport } = require('./lib/plan-report');
+const { parseArgs, UsageError, USAGE } = require('./lib/cli');
+const { resolveStores, selectStores } = require('./lib/stores');
+const { buildProductBlocks } = require('./lib/slack');
+const { WAIVER_NAMESPACE, WAIVER_KEY, parseWaivers, mergeWaivers, isWaiverActive, applyWaivers, describeWaived } = require('./lib/waivers');
 
 const env = (globalThis && globalThis.process && globalThis.process.env) ? globalThis.process.env : {};
 
+// Store settings below feed the default 'TAC' profile; config "stores" replaces them (lib/stores)
 const SHOPIFY_STORE_DOMAIN = env.SHOPIFY_STORE_DOMAIN;
-const SHOPIFY_ADMIN_ACCESS_TOKEN = env.SHOPIFY_ADMIN_ACCESS_TOKEN;
 const SHOPIFY_API_VERSION = env.SHOPIFY_API_VERSION || '2025-07';
-const SLACK_BOT_TOKEN = env.SLACK_BOT_TOKEN;
 const SLACK_CHANNEL_ID = env.SLACK_CHANNEL_ID; // default / failures / needs-attention
 const SUCCESS_SLACK_CHANNEL_ID = env.SUCCESS_SLACK_CHANNEL_ID; // successes go here if set
 const DRY_RUN = env.DRY_RUN || 'true';
-const IS_DRY_RUN = String(DRY_RUN).toLowerCase() === 'true';
+let IS_DRY_RUN = String(DRY_RUN).toLowerCase() === 'true'; // --dry-run / --live override it in main()
+let IS_READ_ONLY = false; // check / report: saved indexes are read but not written
 const LOG_EVERY_CALL = String(env.SHOPIFY_LOG_GRAPHQL_COSTS || 'false').toLowerCase() === 'true';
-
-const MAKE_WEBHOOK_URL = 'https://hook.eu2.make.com/tescg3fg0hnlnyst64e6wpiafuhr52fo';
-const UNIT_PRICE_WEBHOOK_URL = 'https://hook.eu2.make.com/teqrpwmekmddfium11jm3ks5ahw41jkw';
-const SKU_MAKE_URL = 'https://hook.eu2.make.com/1f5zs1xu49pgay2ytei5k2v2tbfw774k';
+const SHOPIFY_MAX_ATTEMPTS = Number(env.SHOPIFY_MAX_ATTEMPTS || 6);
+const SHOPIFY_RETRY_BASE_MS = Number(env.SHOPIFY_RETRY_BASE_MS || 1000);
+const PRODUCT_CHECKS_CONFIG = env.PRODUCT_CHECKS_CONFIG; // optional path; defaults to ./product-checks.config.json
+const WEBHOOK_PORT = Number(env.PORT || 3000);
+const DATA_DIR = env.DATA_DIR || '.data'; // ledger, Make queue and dead letters
+const MAKE_MAX_ATTEMPTS = Number(env.MAKE_MAX_ATTEMPTS || 5);
+const MAKE_RETRY_BASE_MS = Number(env.MAKE_RETRY_BASE_MS || 2000);
+const SCAN_MODE = env.SCAN_MODE || 'paged'; // 'paged' | 'bulk' (or pass --bulk)
+const BULK_POLL_MS = Number(env.BULK_POLL_MS || 5000);
+const PRODUCT_CONCURRENCY = Math.max(1, Number(env.PRODUCT_CONCURRENCY || 4)); // products processed at once by scan/process
+const SKU_INDEX = String(env.SKU_INDEX || 'true').toLowerCase() !== 'false'; // scan/process: one storewide SKU export per run
+const SKU_INDEX_CACHE = String(env.SKU_INDEX_CACHE || 'false').toLowerCase() === 'true'; // keep it in <dataDir>/sku-index.json, refresh incrementally
+const SKU_INDEX_MAX_AGE_HOURS = Number(env.SKU_INDEX_MAX_AGE_HOURS || 24); // full rebuild after this (catches deleted variants)
+const DESCRIPTION_INDEX_TTL_MINUTES = Number(env.DESCRIPTION_INDEX_TTL_MINUTES || 60); // serve: storewide description index is refreshed after this
+const DESCRIPTION_INDEX_MAX_AGE_HOURS = Number(env.DESCRIPTION_INDEX_MAX_AGE_HOURS || 24); // <dataDir>/description-index.json: full rebuild after this (catches deleted products)
+
+// Endpoint overrides exist for the offline test harness (test/support)
+const MAKE_WEBHOOK_URL = env.MAKE_WEBHOOK_URL || 'https://hook.eu2.make.com/tescg3fg0hnlnyst64e6wpiafuhr52fo';
+const UNIT_PRICE_WEBHOOK_URL = env.UNIT_PRICE_WEBHOOK_URL || 'https://hook.eu2.make.com/teqrpwmekmddfium11jm3ks5ahw41jkw';
+const SKU_MAKE_URL = env.SKU_MAKE_URL || 'https://hook.eu2.make.com/1f5zs1xu49pgay2ytei5k2v2tbfw774k';
+const SLACK_API_URL = env.SLACK_API_URL || 'https://slack.com/api';
+const SLACK_SIGNING_SECRET = env.SLACK_SIGNING_SECRET; // enables button clicks on the serve endpoint
+const SLACK_ADMIN_USER_IDS = new Set(String(env.SLACK_ADMIN_USER_IDS || '').split(',').map(s => s.trim()).filter(Boolean)); // may approve waivers
+const WAIVER_DAYS = Number(env.WAIVER_DAYS || 30); // lifetime of a waiver approved from Slack
+const AUTO_ASSIGN_TAX_COLLECTION = String(env.AUTO_ASSIGN_TAX_COLLECTION || 'false').toLowerCase() === 'true'; // move products into their tax-rate collection
+const SYNC_COUNTRY_OF_ORIGIN = String(env.SYNC_COUNTRY_OF_ORIGIN || 'false').toLowerCase() === 'true'; // opt-in: set my_fields.country_of_origin on inventory items
+const AUTO_FILL_HSN = String(env.AUTO_FILL_HSN || 'false').toLowerCase() === 'true'; // copy the product's unique HSN onto variants without one
+const TAX_CATALOG_METAOBJECT = env.TAX_CATALOG_METAOBJECT; // metaobject type holding the TAC tax catalogue (lib/tax-catalog)
+const HSN_RATE_METAOBJECT = env.HSN_RATE_METAOBJECT; // metaobject type holding the TAC HSN -> GST rate table (lib/hsn)
+
+// Zoho tax ids of the TAC organisation (percentage -> id)
+const TAC_ZOHO_TAX_IDS = {
+  '0':    '514287000000012267',
+  '0.25': '514287000014475600',
+  '5':    '514287000000074409',
+  '12':   '514287000000074605',
+  '18':   '514287000000074413',
+};
 
 // Metafield list values
 const LABEL_NEW_PRODUCT_CHECKS = 'New Product Checks';
@@ -24,124 +100,239 @@ const LABEL_PRICE_UPDATED      = 'Price Updated';
 const LABEL_HSN_UPDATED        = 'HSN Updated';
 const LABEL_TAX_UPDATED        = 'Tax Updated';
 
-if (!SHOPIFY_STORE_DOMAIN || !SHOPIFY_ADMIN_ACCESS_TOKEN) {
-  console.error('Missing SHOPIFY_STORE_DOMAIN or SHOPIFY_ADMIN_ACCESS_TOKEN in .env');
-  if (globalThis.process && globalThis.process.exit) globalThis.process.exit(1);
+const config = loadConfig(PRODUCT_CHECKS_CONFIG);
+const enabledChecks = resolveChecks(config.checks);
+const inventoryPolicy = resolveInventoryPolicy(config.inventoryZeroing);
+const titleGuardCheck = enabledChecks.find(c => c.id === 'title-forbidden-words' && c.severity === 'block') || null;
+
+/* The single store this runner served before profiles existed, straight from .env */
+function defaultStoreProfile() {
+  return {
+    name: 'TAC',
+    raw: {
+      domain: SHOPIFY_STORE_DOMAIN,
+      graphqlUrl: env.SHOPIFY_GRAPHQL_URL,
+      accessTokenEnv: 'SHOPIFY_ADMIN_ACCESS_TOKEN',
+      webhookSecretEnv: 'SHOPIFY_WEBHOOK_SECRET',
+      slack: { channel: SLACK_CHANNEL_ID, successChannel: SUCCESS_SLACK_CHANNEL_ID },
+      make: { product: MAKE_WEBHOOK_URL, unitPrice: UNIT_PRICE_WEBHOOK_URL, sku: SKU_MAKE_URL },
+      zohoTaxIds: TAC_ZOHO_TAX_IDS,
+      taxCatalogMetaobject: TAX_CATALOG_METAOBJECT,
+      hsnRateMetaobject: HSN_RATE_METAOBJECT,
+      dataDir: DATA_DIR,
+      ledgerFile: env.LEDGER_FILE,
+      planDir: env.PLAN_DIR,
+    },
+  };
 }
-if (!SLACK_BOT_TOKEN || !SLACK_CHANNEL_ID) {
-  console.error('Missing SLACK_BOT_TOKEN or SLACK_CHANNEL_ID in .env');
+
+let stores = [];
+try {
+  stores = resolveStores(config.stores, defaultStoreProfile(), { env, dataDir: DATA_DIR, apiVersion: SHOPIFY_API_VERSION, hsnGstRates: config.hsnGstRates });
+} catch (e) {
+  console.error(`${e.message} (check .env and the "stores" config)`);
   if (globalThis.process && globalThis.process.exit) globalThis.process.exit(1);
 }
-if (!SUCCESS_SLACK_CHANNEL_ID) {
-  console.warn('SUCCESS_SLACK_CHANNEL_ID not set; success messages will post to default channel.');
+for (const s of stores) {
+  if (!s.slack.successChannel) console.warn(`Store '${s.name}': no success channel set; success messages will post to the default channel.`);
 }
 
-const SHOPIFY_GRAPHQL_URL = `https://${SHOPIFY_STORE_DOMAIN}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-// ---- API usage stats ----
-const apiStats = { calls: 0, requested: 0, actual: 0, last: null };
+/*
+  The store being processed. Everything store-specific (endpoints, tokens,
+  Slack channels, tax ids, ledger, Make queue, lookup caches) hangs off it and
+  is swapped by activateStore() between stores.
+*/
+let store = null;
+let ledger = null;
+let inventorySnapshots = null;
+let makeQueue = null;
+
+// Set for dry runs: every mutation and Make call that LIVE would make is recorded here instead
+let dryRunPlan = null;
+function planChange(productId, action) {
+  if (dryRunPlan) dryRunPlan.record(productId, action);
+}
 
-async function shopifyGraphQL(query, variables = {}) {
-  while (true) {
-    try {
-      const res = await axios.post(
-        SHOPIFY_GRAPHQL_URL,
-        { query, variables },
-        {
-          headers: {
-            'X-Shopify-Access-Token': SHOPIFY_ADMIN_ACCESS_TOKEN,
-            'Content-Type': 'application/json',
-          },
-          timeout: 60000,
-        }
-      );
-
-      const cost = res?.data?.extensions?.cost;
-      if (cost) {
-        apiStats.calls += 1;
-        apiStats.requested += Number(cost.requestedQueryCost || 0);
-        apiStats.actual += Number(cost.actualQueryCost || 0);
-        apiStats.last = cost.throttleStatus || apiStats.last;
-
-        if (LOG_EVERY_CALL) {
-          const ts = cost.throttleStatus || {};
-          console.log(`[Shopify GQL] requested=${cost.requestedQueryCost} actual=${cost.actualQueryCost} avail=${ts.currentlyAvailable}/${ts.maximumAvailable} restore=${ts.restoreRate}/s`);
-        }
-      }
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-      if (res.data && res.data.errors) {
-        const throttled = res.data.errors.find(e => (e.extensions || {}).code === 'THROTTLED');
-        if (throttled) { await sleep(1500); continue; }
-        throw new Error(JSON.stringify(res.data.errors));
-      }
-      return res.data.data;
-    } catch (err) {
-      if (err.response && err.response.status === 429) { await sleep(2000); continue; }
-      throw err;
+// One GraphQL client per store (lib/shopify-client): cost budgeting, retries, per-query stats
+let shopify = null;
+const shopifyGraphQL = (query, variables = {}) => shopify.request(query, variables);
+
+/* One HTTP attempt; any HTTP status resolves, only a missing response rejects */
+function postGraphQL({ query, variables }) {
+  return axios.post(
+    store.graphqlUrl,
+    { query, variables },
+    {
+      headers: {
+        'X-Shopify-Access-Token': store.accessToken,
+        'Content-Type': 'application/json',
+      },
+      timeout: 60000,
+      validateStatus: () => true,
     }
-  }
+  );
+}
+
+/* Mutation userErrors are Shopify failures too (lib/errors classifies them as such) */
+function userErrorsFailure(mutation, errs) {
+  return new ShopifyApiError(`${mutation}: ${JSON.stringify(errs)}`, { kind: 'user_errors', operation: mutation, errors: errs });
 }
 
-// Route messages: success -> SUCCESS_SLACK_CHANNEL_ID (if set), else default channel
-async function slackPost(text, { success = false } = {}) {
+// Route messages: success -> the store's success channel (if set), else its default channel.
+// With `product` the message gets Block Kit buttons (lib/slack); `text` stays as the notification fallback.
+async function slackPost(text, { success = false, product = null, failedChecks = [] } = {}) {
   const prefix = IS_DRY_RUN ? '[DRY RUN] ' : '';
   const body = `${prefix}${text}\n----------`;
-  const channel = success && SUCCESS_SLACK_CHANNEL_ID ? SUCCESS_SLACK_CHANNEL_ID : SLACK_CHANNEL_ID;
+  const channel = success && store.slack.successChannel ? store.slack.successChannel : store.slack.channel;
+  const blocks = product
+    ? buildProductBlocks(body, { store: store.name, productId: product.id, adminUrl: productAdminUrl(product.id), failedChecks })
+    : undefined;
 
-  await axios.post(
-    'https://slack.com/api/chat.postMessage',
-    { channel, text: body },
-    { headers: { Authorization: `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
-  );
+  let res;
+  try {
+    res = await axios.post(
+      `${SLACK_API_URL}/chat.postMessage`,
+      { channel, text: body, ...(blocks ? { blocks } : {}) },
+      { headers: { Authorization: `Bearer ${store.slack.botToken}`, 'Content-Type': 'application/json' } }
+    );
+  } catch (e) {
+    throw new PipelineError('slack', `Slack chat.postMessage failed: ${e?.response ? `HTTP ${e.response.status}` : e.message}`, { cause: e });
+  }
+  // The Web API answers 200 with ok:false for channel/token problems
+  if (res.data && res.data.ok === false) throw new PipelineError('slack', `Slack chat.postMessage failed: ${res.data.error}`);
+}
+
+function productAdminUrl(productId) {
+  return `https://${store.domain}/admin/products/${String(productId).split('/').pop()}`;
+}
+
+/* Ephemeral answer to a button click, visible only to the clicker */
+async function slackRespond(responseUrl, text) {
+  if (!responseUrl) return;
+  await axios.post(responseUrl, { response_type: 'ephemeral', replace_original: false, text }, { timeout: 10000 });
 }
 
 /* =========================
    GraphQL constants
 ========================= */
+/* Fields the per-product pipeline reads; shared by the page scan and single-product fetch */
+const PRODUCT_NODE_FIELDS = `
+  id
+  handle
+  title
+  status
+  vendor
+  descriptionHtml
+  images(first: 1) { edges { node { id } } }  # used only as a quick "has images" flag
+  collections(first: 100) {
+    pageInfo { hasNextPage endCursor }
+    nodes { id title handle }
+  }
+  options { name linkedMetafield { namespace key } optionValues { name linkedMetafieldValue } }
+  variants(first: 250) {
+    pageInfo { hasNextPage endCursor }
+    nodes {
+      id
+      title
+      sku
+      price
+      selectedOptions { name value }
+      image { id }
+      inventoryItem { id harmonizedSystemCode countryCodeOfOrigin }
+    }
+  }
+  metafieldChanges: metafield(namespace: "custom", key: "product_changes") { value }
+  metafieldTax: metafield(namespace: "custom", key: "indian_tax_rate") { value }
+  metafieldPreOrder: metafield(namespace: "custom", key: "pre_order_setting") { value }
+  metafieldOrigin: metafield(namespace: "my_fields", key: "country_of_origin") { value }
+  metafieldMainItemConfirm: metafield(namespace: "custom", key: "main_item_confirmation_status") { value }
+  metafieldWaivers: metafield(namespace: "custom", key: "check_waivers") { value }
+`;
+
+// Products the runner looks at: anything carrying product_changes labels
+const PRODUCT_CHANGES_SEARCH = 'metafield:custom.product_changes:*';
+function productSearch({ vendor } = {}) {
+  return vendor ? `${PRODUCT_CHANGES_SEARCH} AND vendor:${JSON.stringify(vendor)}` : PRODUCT_CHANGES_SEARCH;
+}
+
 const PRODUCTS_PAGE_QUERY = `
-  query ProductsPage($after: String) {
-    products(first: 50, after: $after, query: "metafield:custom.product_changes:*") {
+  query ProductsPage($after: String, $query: String!) {
+    products(first: 50, after: $after, query: $query) {
       pageInfo { hasNextPage endCursor }
       nodes {
-        id
-        handle
-        title
-        status
-        vendor
-        descriptionHtml
-        images(first: 1) { edges { node { id } } }  # used only as a quick "has images" flag
-        collections(first: 100) {
-          pageInfo { hasNextPage endCursor }
-          nodes { title handle }
-        }
-        options { name linkedMetafield { namespace key } }
-        variants(first: 250) {
-          pageInfo { hasNextPage endCursor }
-          nodes {
-            id
-            title
-            sku
-            price
-            selectedOptions { name value }
-            inventoryItem { id harmonizedSystemCode countryCodeOfOrigin }
+        ${PRODUCT_NODE_FIELDS}
+      }
+    }
+  }
+`;
+
+/*
+  Same fields as PRODUCT_NODE_FIELDS for bulkOperationRunQuery, which wants
+  unpaginated edges/node connections. Keep the two in sync; nested nodes need
+  their id so lib/bulk-operations can tell variants, collections and images apart.
+*/
+const productsBulkQuery = (search) => `
+  {
+    products(query: ${JSON.stringify(search)}) {
+      edges {
+        node {
+          id
+          handle
+          title
+          status
+          vendor
+          descriptionHtml
+          images { edges { node { id } } }
+          collections { edges { node { id title handle } } }
+          options { name linkedMetafield { namespace key } optionValues { name linkedMetafieldValue } }
+          variants {
+            edges {
+              node {
+                id
+                title
+                sku
+                price
+                selectedOptions { name value }
+                image { id }
+                inventoryItem { id harmonizedSystemCode countryCodeOfOrigin }
+              }
+            }
           }
+          metafieldChanges: metafield(namespace: "custom", key: "product_changes") { value }
+          metafieldTax: metafield(namespace: "custom", key: "indian_tax_rate") { value }
+          metafieldPreOrder: metafield(namespace: "custom", key: "pre_order_setting") { value }
+          metafieldOrigin: metafield(namespace: "my_fields", key: "country_of_origin") { value }
+          metafieldMainItemConfirm: metafield(namespace: "custom", key: "main_item_confirmation_status") { value }
+          metafieldWaivers: metafield(namespace: "custom", key: "check_waivers") { value }
         }
-        metafieldChanges: metafield(namespace: "custom", key: "product_changes") { value }
-        metafieldTax: metafield(namespace: "custom", key: "indian_tax_rate") { value }
-        metafieldPreOrder: metafield(namespace: "custom", key: "pre_order_setting") { value }
-        metafieldOrigin: metafield(namespace: "my_fields", key: "country_of_origin") { value }
-        metafieldMainItemConfirm: metafield(namespace: "custom", key: "main_item_confirmation_status") { value }
       }
     }
   }
 `;
 
+const PRODUCT_BY_ID_QUERY = `
+  query ProductById($id: ID!) {
+    product(id: $id) {
+      ${PRODUCT_NODE_FIELDS}
+    }
+  }
+`;
+
+const PRODUCT_BY_HANDLE_QUERY = `
+  query ProductByHandle($handle: String!) {
+    productByIdentifier(identifier: { handle: $handle }) {
+      ${PRODUCT_NODE_FIELDS}
+    }
+  }
+`;
+
 const VARIANTS_PAGE_QUERY = `
   query ProductVariants($id: ID!, $after: String) {
     product(id: $id) {
       title
-      options { name linkedMetafield { namespace key } }
+      options { name linkedMetafield { namespace key } optionValues { name linkedMetafieldValue } }
       variants(first: 250, after: $after) {
         pageInfo { hasNextPage endCursor }
         nodes {
@@ -150,6 +341,7 @@ const VARIANTS_PAGE_QUERY = `
           sku
           price
           selectedOptions { name value }
+          image { id }
           inventoryItem { id harmonizedSystemCode countryCodeOfOrigin }
         }
       }
@@ -162,7 +354,7 @@ const COLLECTIONS_PAGE_QUERY = `
     product(id: $id) {
       collections(first: 100, after: $after) {
         pageInfo { hasNextPage endCursor }
-        nodes { title handle }
+        nodes { id title handle }
       }
     }
   }
@@ -180,23 +372,82 @@ const PRODUCT_VARIANTS_BY_SKU_QUERY = `
         product {
           id
           title
-          options { name linkedMetafield { namespace key } }
+          options { name linkedMetafield { namespace key } optionValues { name linkedMetafieldValue } }
         }
       }
     }
   }
 `;
 
-const METAOBJECT_BY_HANDLE = `
-  query MetaobjectByHandle($type: String!, $handle: String!) {
-    metaobjectByHandle(handle: { type: $type, handle: $handle }) {
+/* SKU index export (lib/sku-index): same node shape as ProductVariantsBySku */
+const SKU_INDEX_VARIANT_FIELDS = `
+  id
+  title
+  sku
+  price
+  selectedOptions { name value }
+  product {
+    id
+    title
+    options { name linkedMetafield { namespace key } optionValues { name linkedMetafieldValue } }
+  }
+`;
+
+const SKU_INDEX_PAGE_QUERY = `
+  query SkuIndexPage($after: String, $query: String) {
+    productVariants(first: 250, after: $after, query: $query) {
+      pageInfo { hasNextPage endCursor }
+      nodes {${SKU_INDEX_VARIANT_FIELDS}}
+    }
+  }
+`;
+
+const skuIndexBulkQuery = () => `
+  {
+    productVariants {
+      edges { node {${SKU_INDEX_VARIANT_FIELDS}} }
+    }
+  }
+`;
+
+const PRODUCT_DESCRIPTIONS_QUERY = `
+  query ProductDescriptions($after: String, $query: String) {
+    products(first: 100, after: $after, query: $query) {
+      pageInfo { hasNextPage endCursor }
+      nodes { id title descriptionHtml }
+    }
+  }
+`;
+
+const METAOBJECT_BY_ID = `
+  query MetaobjectById($id: ID!) {
+    metaobject(id: $id) {
       id
+      handle
       type
       fields { key value }
     }
   }
 `;
 
+const TAX_CATALOG_QUERY = `
+  query TaxCatalog($type: String!, $after: String) {
+    metaobjects(type: $type, first: 250, after: $after) {
+      pageInfo { hasNextPage endCursor }
+      nodes { handle fields { key value } }
+    }
+  }
+`;
+
+const HSN_RATES_QUERY = `
+  query HsnRates($type: String!, $after: String) {
+    metaobjects(type: $type, first: 250, after: $after) {
+      pageInfo { hasNextPage endCursor }
+      nodes { handle fields { key value } }
+    }
+  }
+`;
+
 const PRODUCT_TAX_QUERY = `
   query ProductTax($id: ID!) {
     product(id: $id) {
@@ -214,6 +465,14 @@ const PRODUCT_MAIN_STATUS_QUERY = `
   }
 `;
 
+const PRODUCT_CHANGES_QUERY = `
+  query ProductChanges($id: ID!) {
+    product(id: $id) {
+      metafield(namespace: "custom", key: "product_changes") { value }
+    }
+  }
+`;
+
 const UPDATE_PRODUCT_STATUS = `
   mutation UpdateProductStatus($id: ID!, $status: ProductStatus!) {
     productUpdate(input: { id: $id, status: $status }) {
@@ -245,7 +504,20 @@ const LOCATIONS_QUERY = `
   query Locations($after: String) {
     locations(first: 100, after: $after) {
       pageInfo { hasNextPage endCursor }
-      nodes { id }
+      nodes { id name }
+    }
+  }
+`;
+
+const INVENTORY_LEVELS_QUERY = `
+  query InventoryLevels($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on InventoryItem {
+        id
+        inventoryLevels(first: 250) {
+          nodes { location { id } quantities(names: ["on_hand"]) { name quantity } }
+        }
+      }
     }
   }
 `;
@@ -292,7 +564,33 @@ const PUBLISHABLE_PUBLISH = `
   }
 `;
 
-/* ---------- Media GraphQL for alt text ---------- */
+/* ---------- Tax-rate collections (AUTO_ASSIGN_TAX_COLLECTION) ---------- */
+const TAX_COLLECTIONS_QUERY = `
+  query TaxCollections($query: String!) {
+    collections(first: 20, query: $query) {
+      nodes { id title }
+    }
+  }
+`;
+
+const COLLECTION_ADD_PRODUCTS = `
+  mutation CollectionAddProducts($id: ID!, $productIds: [ID!]!) {
+    collectionAddProducts(id: $id, productIds: $productIds) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const COLLECTION_REMOVE_PRODUCTS = `
+  mutation CollectionRemoveProducts($id: ID!, $productIds: [ID!]!) {
+    collectionRemoveProducts(id: $id, productIds: $productIds) {
+      job { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+/* ---------- Media GraphQL for alt text and the image rules ---------- */
 const PRODUCT_MEDIA_PAGE_QUERY = `
   query ProductMedia($id: ID!, $after: String) {
     product(id: $id) {
@@ -302,6 +600,9 @@ const PRODUCT_MEDIA_PAGE_QUERY = `
           ... on MediaImage {
             id
             alt
+            mimeType
+            image { width height }
+            originalSource { fileSize }
           }
         }
       }
@@ -321,55 +622,6 @@ const PRODUCT_UPDATE_MEDIA = `
 /* =========================
    Helpers
 ========================= */
-const GLOSSARY_TERMS = [
-  'g', 'gm', 'gms', 'gram', 'grams',
-  'kg', 'kgs', 'kilogram', 'kilograms',
-  'ml', 'millilitre', 'millilitres', 'millilizer', 'milliliter', 'milliliters',
-  'l', 'ltr', 'litre', 'litres', 'liter', 'liters',
-  'piece', 'pieces', 'pc', 'pcs',
-  'roll', 'rolls', 'sheet', 'sheets',
-  'pack', 'packs', 'pack-of', 'pack of', 'packof'
-];
-
-function parseListFromMetafield(mf) {
-  if (!mf || mf.value == null) return [];
-  const v = String(mf.value).trim();
-  try { const parsed = JSON.parse(v); return Array.isArray(parsed) ? parsed : []; }
-  catch { return []; }
-}
-function parseStringFromMetafield(mf) { return (!mf || mf.value == null) ? '' : String(mf.value).trim(); }
-function parseTaxPercent(raw) { const m = raw ? String(raw).match(/^([0-9]+(?:\.[0-9]+)?)%/) : null; return m ? m[1] : null; }
-function parseBooleanFromMetafield(mf) {
-  if (!mf || mf.value == null) return null;
-  const v = String(mf.value).trim().toLowerCase();
-  if (v === 'true') return true;
-  if (v === 'false') return false;
-  return null;
-}
-
-function containsGlossaryTerm(text) {
-  if (!text) return null;
-  const s = String(text).toLowerCase();
-  if (/\bpack(?:[- ]?of)?\b/.test(s) || /\bpackof\b/.test(s) || /\bpacks?\b/.test(s)) return 'pack';
-  const SHORT_UNITS = ['g','gm','gms','kg','kgs','ml','l','ltr'];
-  for (const u of SHORT_UNITS) {
-    const re = new RegExp(`(?:^|\\W)(?:\\d+\\s*${u}|${u}\\s*\\d+)(?:\\W|$)`, 'i');
-    if (re.test(s)) return u;
-  }
-  const LONG_TERMS = GLOSSARY_TERMS.filter(t => !SHORT_UNITS.includes(t));
-  for (const term of LONG_TERMS) {
-    const re = new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-    if (re.test(s)) return term;
-  }
-  return null;
-}
-
-function stripHtmlToText(html) {
-  if (!html) return '';
-  const noTags = String(html).replace(/<[^>]*>/g, ' ');
-  return noTags.replace(/&nbsp;/gi, ' ').replace(/\s+/g, ' ').trim();
-}
-
 async function getAllVariants(productId, initial) {
   const nodes = [...(initial?.nodes || [])];
   let has = initial?.pageInfo?.hasNextPage;
@@ -397,7 +649,7 @@ async function getAllCollections(productId, initial) {
   return nodes;
 }
 
-/* ---------- Media helpers for alt text (silent) ---------- */
+/* ---------- Media helpers ---------- */
 async function getAllProductMediaImages(productId) {
   let after = null;
   const nodes = [];
@@ -410,11 +662,11 @@ async function getAllProductMediaImages(productId) {
     if (!page.pageInfo?.hasNextPage) break;
     after = page.pageInfo.endCursor;
   }
-  return nodes; // [{id, alt}]
+  return nodes; // [{ id, alt, mimeType, image, originalSource }]
 }
 
-async function setAltTextForProductImages(productId, productName) {
-  const allMediaImages = await getAllProductMediaImages(productId);
+/* Silent: no Slack messages */
+async function setAltTextForProductImages(productId, productName, allMediaImages) {
   const toUpdate = [];
   for (const node of allMediaImages) {
     const current = (node.alt || '').trim();
@@ -431,8 +683,10 @@ async function setAltTextForProductImages(productId, productName) {
     });
     const errs = res?.productUpdateMedia?.mediaUserErrors || [];
     if (errs.length) {
-      throw new Error(`productUpdateMedia: ${JSON.stringify(errs)}`);
+      throw userErrorsFailure('productUpdateMedia', errs);
     }
+  } else {
+    planChange(productId, { type: 'alt_text', media: toUpdate });
   }
   return { changed: toUpdate.length };
 }
@@ -440,12 +694,12 @@ async function setAltTextForProductImages(productId, productName) {
 async function setProductStatusActive(productId) {
   const data = await shopifyGraphQL(UPDATE_PRODUCT_STATUS, { id: productId, status: 'ACTIVE' });
   const errs = data.productUpdate.userErrors || [];
-  if (errs.length) throw new Error(`productUpdate: ${JSON.stringify(errs)}`);
+  if (errs.length) throw userErrorsFailure('productUpdate', errs);
 }
 async function setProductStatusDraft(productId) {
   const data = await shopifyGraphQL(UPDATE_PRODUCT_STATUS, { id: productId, status: 'DRAFT' });
   const errs = data.productUpdate.userErrors || [];
-  if (errs.length) throw new Error(`productUpdate: ${JSON.stringify(errs)}`);
+  if (errs.length) throw userErrorsFailure('productUpdate', errs);
 }
 async function setProductChangesList(productId, newListJSON) {
   const metafields = [{
@@ -457,35 +711,65 @@ async function setProductChangesList(productId, newListJSON) {
   }];
   const data = await shopifyGraphQL(SET_METAFIELDS, { metafields });
   const errs = data.metafieldsSet.userErrors || [];
-  if (errs.length) throw new Error(`metafieldsSet: ${JSON.stringify(errs)}`);
+  if (errs.length) throw userErrorsFailure('metafieldsSet', errs);
+}
+/* Drop one label from the in-memory list and the metafield (planned only in dry run) */
+async function removeProductChangesLabel(productId, productChanges, label) {
+  const newList = productChanges.filter(v => v !== label);
+  if (IS_DRY_RUN) planChange(productId, { type: 'product_changes', from: [...productChanges], to: newList });
+  else await setProductChangesList(productId, JSON.stringify(newList));
+  productChanges.splice(0, productChanges.length, ...newList);
+}
+async function setCheckWaivers(productId, waivers) {
+  const metafields = [{ ownerId: productId, namespace: WAIVER_NAMESPACE, key: WAIVER_KEY, type: 'json', value: JSON.stringify(waivers) }];
+  const data = await shopifyGraphQL(SET_METAFIELDS, { metafields });
+  const errs = data.metafieldsSet.userErrors || [];
+  if (errs.length) throw userErrorsFailure('metafieldsSet(check_waivers)', errs);
+}
+async function getProductChanges(productId) {
+  const data = await shopifyGraphQL(PRODUCT_CHANGES_QUERY, { id: productId });
+  return parseListFromMetafield(data?.product?.metafield);
 }
 async function updateInventoryItemCountry(id, countryCode) {
   const data = await shopifyGraphQL(INVENTORY_ITEM_UPDATE, { id, input: { countryCodeOfOrigin: countryCode } });
   const errs = data.inventoryItemUpdate.userErrors || [];
-  if (errs.length) throw new Error(`inventoryItemUpdate: ${JSON.stringify(errs)}`);
+  if (errs.length) throw userErrorsFailure('inventoryItemUpdate', errs);
+}
+async function updateInventoryItemHsn(id, hsn) {
+  const data = await shopifyGraphQL(INVENTORY_ITEM_UPDATE, { id, input: { harmonizedSystemCode: hsn } });
+  const errs = data.inventoryItemUpdate.userErrors || [];
+  if (errs.length) throw userErrorsFailure('inventoryItemUpdate', errs);
 }
 
-function variantLabel(v) {
-  const parts = (v.selectedOptions || []).map(so => `${so.name}: ${so.value}`);
-  return parts.join(', ') || v.id;
+/*
+  Storewide SKU index for the current run (lib/sku-index): run() sets the opener,
+  the first SKU lookup opens it, so scans without labelled products export nothing.
+  Without it (check, report, serve, or SKU_INDEX=false) the SKU lookups below
+  fall back to one productVariants search each.
+*/
+let skuIndexOpener = null;
+let skuIndex = null; // promise of the opened index, null until the first lookup
+function runSkuIndex() {
+  if (!skuIndex && skuIndexOpener) skuIndex = skuIndexOpener();
+  return skuIndex;
 }
 
 const skuExistCache = new Map();
 async function skuExistsCaseInsensitive(sku) {
   const key = String(sku || '').toLowerCase();
   if (!key) return false;
-  if (skuExistCache.has(key)) return skuExistCache.get(key);
-  const data = await shopifyGraphQL(PRODUCT_VARIANTS_BY_SKU_QUERY, { q: `sku:"${sku}"` });
-  let found = false;
-  for (const v of (data.productVariants.nodes || [])) {
-    if (String(v.sku || '').toLowerCase() === key) { found = true; break; }
-  }
-  skuExistCache.set(key, found);
-  return found;
+  const index = await runSkuIndex();
+  if (index) return index.exists(key);
+  return cachedLookup(skuExistCache, key, async () => {
+    const data = await shopifyGraphQL(PRODUCT_VARIANTS_BY_SKU_QUERY, { q: `sku:"${sku}"` });
+    return (data.productVariants.nodes || []).some(v => String(v.sku || '').toLowerCase() === key);
+  });
 }
 
 async function hasDuplicateSkuStorewide(sku, currentVariantId) {
   if (!sku) return false;
+  const index = await runSkuIndex();
+  if (index) return index.hasDuplicate(sku, currentVariantId);
   const data = await shopifyGraphQL(PRODUCT_VARIANTS_BY_SKU_QUERY, { q: `sku:"${sku}"` });
   const nodes = data.productVariants?.nodes || [];
   let dup = false;
@@ -497,17 +781,6 @@ async function hasDuplicateSkuStorewide(sku, currentVariantId) {
   return dup;
 }
 
-function expectedMainSkuParts(sku) {
-  const m = String(sku || '').match(/^(.+)-(\d+)([A-Za-z]*)$/);
-  if (!m) return null;
-  const base = m[1];
-  const digits = m[2];
-  const tail = m[3] || '';
-  const candidate = `${base}-0${tail}`;
-  const groupKey = `${base}${tail}`.toLowerCase();
-  return { base, digits: Number(digits), tail, candidate, groupKey };
-}
-
 /* Publications helpers */
 async function getAllPublicationIds() {
   let after = null;
@@ -522,8 +795,11 @@ async function getAllPublicationIds() {
   return ids;
 }
 async function publishProductToAllPublications(productId) {
-  if (IS_DRY_RUN) return;
   const pubIds = await getAllPublicationIds();
+  if (IS_DRY_RUN) {
+    planChange(productId, { type: 'publish', target: 'all', publicationIds: pubIds });
+    return;
+  }
   for (const publicationId of pubIds) {
     try {
       const res = await shopifyGraphQL(PUBLISHABLE_PUBLISH, {
@@ -541,40 +817,36 @@ async function publishProductToAllPublications(productId) {
   }
 }
 
-/* Cache for India market publication */
-const indiaMarketPublicationCache = { ready: false, id: null };
+/* Cache for India market publication (title per store profile) */
+const indiaMarketPublicationCache = new Map();
 
 /* Find the Publication backing the MarketCatalog titled "India" */
-async function getIndiaMarketPublicationId() {
-  if (indiaMarketPublicationCache.ready) return indiaMarketPublicationCache.id;
-
-  let after = null;
-  while (true) {
-    const data = await shopifyGraphQL(PUBLICATIONS_MARKETS_QUERY, { after });
-    const pubs = data?.publications?.nodes || [];
-    const hit = pubs.find(n => {
-      const mc = n.catalog && n.catalog.__typename === 'MarketCatalog' ? n.catalog : null;
-      return mc && (mc.title || '').trim().toLowerCase() === 'india';
-    });
-    if (hit) {
-      indiaMarketPublicationCache.id = hit.id;  // publication id
-      indiaMarketPublicationCache.ready = true;
-      return hit.id;
+function getIndiaMarketPublicationId() {
+  return cachedLookup(indiaMarketPublicationCache, store.indiaMarket, async () => {
+    let after = null;
+    while (true) {
+      const data = await shopifyGraphQL(PUBLICATIONS_MARKETS_QUERY, { after });
+      const pubs = data?.publications?.nodes || [];
+      const hit = pubs.find(n => {
+        const mc = n.catalog && n.catalog.__typename === 'MarketCatalog' ? n.catalog : null;
+        return mc && (mc.title || '').trim().toLowerCase() === store.indiaMarket.trim().toLowerCase();
+      });
+      if (hit) return hit.id; // publication id
+      const pi = data?.publications?.pageInfo;
+      if (!pi?.hasNextPage) return null;
+      after = pi.endCursor;
     }
-    const pi = data?.publications?.pageInfo;
-    if (!pi?.hasNextPage) break;
-    after = pi.endCursor;
-  }
-  indiaMarketPublicationCache.ready = true;
-  indiaMarketPublicationCache.id = null;
-  return null;
+  });
 }
 
 /* Publish the product to the "India" Market publication */
 async function ensureProductInIndiaCatalog(productId) {
   const publicationId = await getIndiaMarketPublicationId();
   if (!publicationId) return;
-  if (IS_DRY_RUN) return;
+  if (IS_DRY_RUN) {
+    planChange(productId, { type: 'publish', target: 'india', publicationIds: [publicationId] });
+    return;
+  }
   try {
     const res = await shopifyGraphQL(PUBLISHABLE_PUBLISH, {
       id: productId,
@@ -590,69 +862,175 @@ async function ensureProductInIndiaCatalog(productId) {
   }
 }
 
-/* =========================
-   Failure lines + table
-========================= */
-function buildFailureLines({
-  hasIndianTax,
-  percentStr,
-  isCollectionAssigned,
-  linkCheckFailed,
-  isImageEmpty,
-  isPreorderEmpty,
-  isProductCooEmpty,
-  isDescriptionEmpty,
-  duplicateSkus,
-  taxMismatchWithMain,
-  missingMainGroups
-}) {
-  const lines = [];
-  if (!hasIndianTax && !isCollectionAssigned) {
-    lines.push('Indian tax rate is empty.');
-    lines.push('Tax collection not assigned.');
-  } else {
-    if (!hasIndianTax) lines.push('Indian tax rate is empty.');
-    if (hasIndianTax && !isCollectionAssigned) {
-      lines.push(percentStr
-        ? `Assign product to collection: Shopify (India | Tax Rate ${percentStr}%).`
-        : 'Assign product to the appropriate Shopify (India | Tax Rate …%) collection.');
-    }
+/* The manual collection titled for this rate, or null (cached per run) */
+const taxCollectionCache = new Map(); // percent -> { id, title } | null
+function findTaxRateCollection(percentStr) {
+  return cachedLookup(taxCollectionCache, percentStr, async () => {
+    const title = taxRateCollectionTitle(percentStr);
+    const data = await shopifyGraphQL(TAX_COLLECTIONS_QUERY, { query: `collection_type:custom title:${JSON.stringify(title)}` });
+    return (data.collections.nodes || []).find(c => taxRateOfCollectionTitle(c.title) === percentStr) || null;
+  });
+}
+
+/*
+  Puts the product in the tax-rate collection of its custom.indian_tax_rate and
+  takes it out of the other tax-rate collections. Resolves { collections, notes }:
+  the collection list as it now is (or, in a dry run, would be) and one Slack
+  line per change. A removal Shopify refuses (smart collections) is noted only.
+*/
+async function autoAssignTaxCollection(p) {
+  let collections = await getAllCollections(p.id, p.collections);
+  const notes = [];
+  const percentStr = parseTaxPercent(parseStringFromMetafield(p.metafieldTax));
+  if (!percentStr) return { collections, notes };
+
+  const add = [];
+  if (!collections.some(c => taxRateOfCollectionTitle(c.title) === percentStr)) {
+    const target = await findTaxRateCollection(percentStr);
+    if (!target) return { collections, notes: [`No manual collection "${taxRateCollectionTitle(percentStr)}" to add the product to.`] };
+    add.push(target);
   }
-  if (taxMismatchWithMain) {
-    lines.push('Mismatch in tax between composite and main product.');
+  const remove = collections.filter(c => {
+    const rate = taxRateOfCollectionTitle(c.title);
+    return rate !== null && rate !== percentStr;
+  });
+  if (!add.length && !remove.length) return { collections, notes };
+
+  if (IS_DRY_RUN) {
+    planChange(p.id, { type: 'tax_collection', add: add.map(({ id, title }) => ({ id, title })), remove: remove.map(({ id, title }) => ({ id, title })) });
   }
-  if (linkCheckFailed) {
-    lines.push('None of the variant options which require bundling are linked to the "Variant Quantities" metaobject.');
+  for (const c of add) {
+    if (!IS_DRY_RUN) {
+      const res = await shopifyGraphQL(COLLECTION_ADD_PRODUCTS, { id: c.id, productIds: [p.id] });
+      const errs = res?.collectionAddProducts?.userErrors || [];
+      if (errs.length) throw userErrorsFailure('collectionAddProducts', errs);
+    }
+    collections = [...collections, c];
+    notes.push(`Added to "${c.title}".`);
   }
-  if (duplicateSkus && duplicateSkus.size) {
-    lines.push(`Duplicate SKUs found: ${[...duplicateSkus].join(', ')}`);
+  for (const c of remove) {
+    if (!IS_DRY_RUN) {
+      const res = await shopifyGraphQL(COLLECTION_REMOVE_PRODUCTS, { id: c.id, productIds: [p.id] });
+      const errs = res?.collectionRemoveProducts?.userErrors || [];
+      if (errs.length) {
+        notes.push(`Could not remove from "${c.title}": ${errs.map(e => e.message).join('; ')}`);
+        continue;
+      }
+    }
+    collections = collections.filter(x => x.id !== c.id);
+    notes.push(`Removed from "${c.title}".`);
   }
-  if (Array.isArray(missingMainGroups) && missingMainGroups.length) {
-    for (const g of missingMainGroups) {
-      lines.push(`Main item missing for pattern '${g.groupKey}': expected '${g.expected}'.`);
+  if (IS_DRY_RUN) notes.push('(DRY RUN: planned, not applied.)');
+  return { collections, notes };
+}
+
+/*
+  Sets my_fields.country_of_origin (as an ISO code, lib/countries) on every
+  variant's inventory item that carries another code. Resolves { variants, notes }:
+  the variants as they now are (or, in a dry run, would be) and one Slack line
+  per change. An empty or unknown country changes nothing; the check reports it.
+*/
+async function syncCountryOfOrigin(p, variants) {
+  if (!variants) variants = await getAllVariants(p.id, p.variants);
+  const notes = [];
+  const countryCode = countryCodeFor(parseStringFromMetafield(p.metafieldOrigin));
+  if (!countryCode) return { variants, notes };
+  const stale = variants.filter(v => v.inventoryItem?.id && v.inventoryItem.countryCodeOfOrigin !== countryCode);
+  if (!stale.length) return { variants, notes };
+
+  if (IS_DRY_RUN) planChange(p.id, { type: 'country_of_origin', countryCode, inventoryItemIds: stale.map(v => v.inventoryItem.id) });
+  const fixed = new Set();
+  for (const v of stale) {
+    if (!IS_DRY_RUN) {
+      try {
+        await updateInventoryItemCountry(v.inventoryItem.id, countryCode);
+      } catch (e) {
+        if (e.kind !== 'user_errors') throw e;
+        notes.push(`Could not set ${countryCode} on ${variantLabel(v)}: ${e.errors.map(x => x.message).join('; ')}`);
+        continue;
+      }
     }
+    fixed.add(v.id);
+    notes.push(`Set ${countryCode} on ${variantLabel(v)} (was ${v.inventoryItem.countryCodeOfOrigin || 'none'}).`);
   }
-  if (isPreorderEmpty) lines.push('Pre-order setting is empty.');
-  if (isProductCooEmpty) lines.push('Country of origin metafield is empty.');
-  if (isDescriptionEmpty) lines.push('Product description is empty.');
-  if (isImageEmpty) lines.push('No product images.');
-  return lines;
+  variants = variants.map(v => fixed.has(v.id) ? { ...v, inventoryItem: { ...v.inventoryItem, countryCodeOfOrigin: countryCode } } : v);
+  if (IS_DRY_RUN) notes.push('(DRY RUN: planned, not applied.)');
+  return { variants, notes };
 }
+
+/*
+  Copies the product's HSN, when every variant that has one agrees on it, onto
+  the variants without one. Resolves { variants, notes } like syncCountryOfOrigin;
+  conflicting or malformed codes are noted and nothing is written.
+*/
+async function fillMissingHsn(p, variants) {
+  if (!variants) variants = await getAllVariants(p.id, p.variants);
+  const notes = [];
+  const missing = variants.filter(v => !variantHsn(v) && v.inventoryItem?.id);
+  const groups = groupVariantsByHsn(variants);
+  if (!missing.length || !groups.length) return { variants, notes };
+  if (groups.length > 1) return { variants, notes: [`Not filled: variants carry different HS codes (${describeHsnGroups(groups)}).`] };
+  const { hsn } = groups[0];
+  if (!isHsnFormatValid(hsn)) return { variants, notes: [`Not filled: HS code '${hsn}' is not a 4, 6 or 8 digit HSN.`] };
+
+  if (IS_DRY_RUN) planChange(p.id, { type: 'hsn_fill', hsn, inventoryItemIds: missing.map(v => v.inventoryItem.id) });
+  const filled = new Set();
+  for (const v of missing) {
+    if (!IS_DRY_RUN) {
+      try {
+        await updateInventoryItemHsn(v.inventoryItem.id, hsn);
+      } catch (e) {
+        if (e.kind !== 'user_errors') throw e;
+        notes.push(`Could not set ${hsn} on ${variantLabel(v)}: ${e.errors.map(x => x.message).join('; ')}`);
+        continue;
+      }
+    }
+    filled.add(v.id);
+  }
+  if (filled.size) notes.push(`Set HS code ${hsn} on ${filled.size} variant(s): ${missing.filter(v => filled.has(v.id)).map(variantLabel).join(', ')}.`);
+  variants = variants.map(v => filled.has(v.id) ? { ...v, inventoryItem: { ...v.inventoryItem, harmonizedSystemCode: hsn } } : v);
+  if (IS_DRY_RUN) notes.push('(DRY RUN: planned, not applied.)');
+  return { variants, notes };
+}
+
+/* DRAFT -> ACTIVE, then publish everywhere */
+async function activateAndPublish(productId, prevStatus) {
+  if (IS_DRY_RUN) planChange(productId, { type: 'status', from: prevStatus, to: 'ACTIVE' });
+  else await setProductStatusActive(productId);
+  await publishProductToAllPublications(productId);
+  await ensureProductInIndiaCatalog(productId);
+}
+
+/* =========================
+   Failure output + table
+========================= */
 function formatNumbered(lines) { return lines.map((s, i) => `${i + 1}. ${s}`).join('\n'); }
+function formatWarnings(warnings) {
+  const lines = warnings.flatMap(w => w.lines);
+  return lines.length ? `\n\nWarnings -\n${lines.map(l => `- ${l}`).join('\n')}` : '';
+}
+function formatFixNotes(heading, notes) {
+  return notes.length ? `\n\n${heading} auto-fix -\n${notes.map(l => `- ${l}`).join('\n')}` : '';
+}
+function formatWaived(waived) {
+  return waived.length ? `\n\nWaived checks -\n${waived.map(r => `- ${describeWaived(r)}`).join('\n')}` : '';
+}
 
 function buildVariantIssueTable(rows, mfCountry) {
   if (!rows.length) return '';
-  const emph = (v) => {
+  const emph = (v, flagged = false) => {
     const out = (v && String(v).trim()) ? String(v) : 'N/A';
-    return (out === 'N/A' || out === 'No' || out === 'Fill in') ? `* ${out} *` : out;
+    return (flagged || out === 'N/A' || out === 'No' || out === 'Fill in') ? `* ${out} *` : out;
   };
-  const hdr = ['Variant', 'SKU', 'Main Item Exists', 'HS Code', 'Country of Origin (MF)'];
+  const hdr = ['Variant', 'SKU', 'Main Item Exists', 'HS Code', 'HSN GST', 'Country of Origin (MF)', 'Country (Item)'];
   const data = rows.map(r => [
     emph(r.label),
     emph(r.sku),
     emph(r.mainExists),
-    emph(r.hs),
-    emph(mfCountry)
+    emph(r.hs, r.hsnFlagged),
+    emph(r.hsnGst, r.hsnFlagged),
+    emph(mfCountry),
+    emph(r.itemCountry, r.countryFlagged)
   ]);
   const widths = hdr.map((h, i) => Math.max(h.length, ...data.map(d => (d[i] || '').length)));
   const sep = '   ';
@@ -662,106 +1040,260 @@ function buildVariantIssueTable(rows, mfCountry) {
   return '```\n' + body + '\n```';
 }
 
+/* One row per image flagged by the image rules */
+function buildImageIssueTable(media, flaggedIds) {
+  const rules = resolveImageRules({ ...config.checks?.images, ...store.imageRules }); // as the images check merges them
+  const rows = media
+    .map((img, i) => ({ img, position: i + 1 }))
+    .filter(({ img }) => flaggedIds.has(img.id))
+    .map(({ img, position }) => {
+      const d = describeImage(img);
+      return [String(position), img.id.split('/').pop(), d.size || 'N/A', d.format || 'N/A', d.fileSize || 'N/A', imageProblems(img, rules).join('; ')];
+    });
+  if (!rows.length) return '';
+  const hdr = ['#', 'Image', 'Size', 'Format', 'File Size', 'Problems'];
+  const widths = hdr.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const line = (cols) => cols.map((c, i) => c.padEnd(widths[i])).join('   ');
+  const hr = widths.map(w => '-'.repeat(w)).join('   ');
+  return '```\n' + [line(hdr), hr, ...rows.map(line)].join('\n') + '\n```';
+}
+
+/* "482010 (Size: A5, Size: A4); 482020 (Size: A3)" */
+function describeHsnGroups(groups) {
+  return groups.map(g => `${g.hsn} (${g.variants.map(variantLabel).join(', ')})`).join('; ');
+}
+
+/* "HSN GST" column: the rate the HSN attracts, against the product's tax rate */
+function describeHsnGst({ status, hsnRate }, taxPercent) {
+  switch (status) {
+    case 'format': return 'Bad format';
+    case 'mismatch': return `${hsnRate}% (MF ${taxPercent}%)`;
+    case 'ok': return `${hsnRate}%`;
+    case 'unknown': return 'Not in table';
+    default: return 'N/A';
+  }
+}
+
+/* Table rows for the variants flagged by failed checks (main-item lookups hit the SKU cache) */
+async function buildVariantIssueRows(variants, flaggedIds, taxPercent, countryCode) {
+  const rows = [];
+  for (const v of variants) {
+    if (!flaggedIds.has(v.id)) continue;
+    const sku = v.sku ? String(v.sku).trim() : '';
+    const hs = variantHsn(v);
+    const parts = expectedMainSkuParts(sku);
+    let mainExists = 'N/A';
+    if (parts) mainExists = (await skuExistsCaseInsensitive(parts.candidate)) ? 'Yes' : 'No';
+    const hsn = assessHsn(hs, taxPercent, hsnGstRates);
+    rows.push({
+      label: variantLabel(v),
+      sku: sku || 'Fill in',
+      hs: hs || 'Fill in',
+      hsnGst: describeHsnGst(hsn, taxPercent),
+      hsnFlagged: hsn.status === 'format' || hsn.status === 'mismatch',
+      itemCountry: v.inventoryItem?.countryCodeOfOrigin || '',
+      countryFlagged: !!countryCode && v.inventoryItem?.countryCodeOfOrigin !== countryCode,
+      mainExists,
+    });
+  }
+  return rows;
+}
+
 /* =========================
    Caches & fetchers
+
+   Caches hold promises so products processed in parallel share one in-flight
+   lookup; a failed lookup is dropped rather than cached.
 ========================= */
-const metaobjectCache = new Map(); // handle -> fields
+const metaobjectCache = new Map(); // metaobject id -> variant_options fields
 const productTaxCache = new Map();  // productId -> tax string
-const locationIdsCache = { ready: false, ids: [] };
-
-async function getVariantOptionsMeta(handle) {
-  const key = `variant_options:${handle}`;
-  if (metaobjectCache.has(key)) return metaobjectCache.get(key);
-  const data = await shopifyGraphQL(METAOBJECT_BY_HANDLE, { type: 'variant_options', handle });
-  const mo = data?.metaobjectByHandle;
-  const fields = mo?.fields || [];
-  const map = {};
-  for (const f of fields) map[f.key] = f.value;
-  const out = {
-    variant_base_unit: map['base_unit'] || null,
-    variant_reference_unit: map['reference_unit'] || null,
-    variant_numeric_quantity: map['numeric_value'] || null,
-  };
-  metaobjectCache.set(key, out);
-  return out;
-}
-function linkedOptionName(productNode) {
-  const opt = (productNode?.options || []).find(
-    o => o?.linkedMetafield?.namespace === 'custom' && o?.linkedMetafield?.key === 'variant_quantities'
-  );
-  return opt ? opt.name : null;
-}
-function selectedValueForLinkedOption(variantNode, linkedName) {
-  if (!linkedName) return null;
-  const hit = (variantNode?.selectedOptions || []).find(so => so.name === linkedName);
-  return hit ? String(hit.value).trim() : null;
-}
-function handleFromOptionValue(value) {
-  return String(value).trim().toLowerCase().replace(/\s+/g, '-');
+const locationsCache = new Map(); // 'all' -> location nodes { id, name }
+const descriptionIndexCache = new Map(); // 'all' -> storewide description index (lib/description)
+
+function cachedLookup(cache, key, load) {
+  if (!cache.has(key)) {
+    cache.set(key, load().catch((err) => {
+      cache.delete(key);
+      throw err;
+    }));
+  }
+  return cache.get(key);
 }
-function computeVariantTitle(productTitle, variantNode) {
-  const vt = variantNode?.title ? String(variantNode.title).trim() : '';
-  return vt ? `${productTitle} — ${vt}` : productTitle;
+
+/* The variant_options metaobject a linked option value points at (linkedMetaobjectId) */
+function getVariantOptionsMeta(metaobjectId) {
+  return cachedLookup(metaobjectCache, metaobjectId, async () => {
+    const data = await shopifyGraphQL(METAOBJECT_BY_ID, { id: metaobjectId });
+    const mo = data?.metaobject;
+    const fields = mo?.fields || [];
+    const map = {};
+    for (const f of fields) map[f.key] = f.value;
+    return {
+      found: !!mo,
+      handle: mo?.handle || null,
+      variant_base_unit: map['base_unit'] || null,
+      variant_reference_unit: map['reference_unit'] || null,
+      variant_numeric_quantity: map['numeric_value'] || null,
+    };
+  });
 }
 async function getVariantNodeByExactSku(sku) {
+  const index = await runSkuIndex();
+  if (index) return index.find(sku);
   const data = await shopifyGraphQL(PRODUCT_VARIANTS_BY_SKU_QUERY, { q: `sku:"${sku}"` });
   const nodes = data?.productVariants?.nodes || [];
   return nodes.find(n => String(n.sku || '').toLowerCase() === String(sku).toLowerCase()) || null;
 }
-async function getProductTax(productId) {
-  if (productTaxCache.has(productId)) return productTaxCache.get(productId);
-  const data = await shopifyGraphQL(PRODUCT_TAX_QUERY, { id: productId });
-  const val = data?.product?.metafield?.value ? String(data.product.metafield.value).trim() : '';
-  productTaxCache.set(productId, val);
-  return val;
+function getProductTax(productId) {
+  return cachedLookup(productTaxCache, productId, async () => {
+    const data = await shopifyGraphQL(PRODUCT_TAX_QUERY, { id: productId });
+    return data?.product?.metafield?.value ? String(data.product.metafield.value).trim() : '';
+  });
+}
+
+/*
+  Every product's description, opened the first time a duplicate check runs
+  from <dataDir>/description-index.json plus the products updated since it was
+  saved (lib/description), and reopened once DESCRIPTION_INDEX_TTL_MINUTES old.
+  In between, serve keeps it current from product webhooks (updateDescriptionIndex).
+*/
+let descriptionIndexBuiltAt = 0;
+function getDescriptionIndex() {
+  if (descriptionIndexCache.has('all') && Date.now() - descriptionIndexBuiltAt >= DESCRIPTION_INDEX_TTL_MINUTES * 60000) {
+    descriptionIndexCache.delete('all');
+  }
+  return cachedLookup(descriptionIndexCache, 'all', async () => {
+    descriptionIndexBuiltAt = Date.now();
+    const { index } = await openDescriptionIndex({
+      fetchProducts: exportDescriptions,
+      file: path.join(store.dataDir, 'description-index.json'),
+      save: !IS_READ_ONLY,
+      maxAgeMs: DESCRIPTION_INDEX_MAX_AGE_HOURS * 3600000,
+    });
+    return index;
+  });
 }
-async function getAllLocationIds() {
-  if (locationIdsCache.ready) return locationIdsCache.ids;
-  let after = null, ids = [];
+async function* exportDescriptions(updatedSince) {
+  const query = updatedSince ? `updated_at:>'${updatedSince}'` : null;
+  let after = null;
   while (true) {
-    const data = await shopifyGraphQL(LOCATIONS_QUERY, { after });
-    const page = data.locations;
-    ids.push(...(page.nodes || []).map(n => n.id));
-    if (!page.pageInfo.hasNextPage) break;
-    after = page.pageInfo.endCursor;
+    const data = await shopifyGraphQL(PRODUCT_DESCRIPTIONS_QUERY, { after, query });
+    yield* data.products.nodes;
+    if (!data.products.pageInfo.hasNextPage) return;
+    after = data.products.pageInfo.endCursor;
   }
-  locationIdsCache.ready = true;
-  locationIdsCache.ids = ids;
-  return ids;
+}
+/* Upserts a changed product, or removes a deleted one (product null), if the index is already built */
+async function updateDescriptionIndex(productId, product) {
+  if (!descriptionIndexCache.has('all')) return;
+  const index = await descriptionIndexCache.get('all').catch(() => null);
+  if (!index) return;
+  if (product) index.upsert(product);
+  else index.remove(productId);
+}
+async function findSimilarDescriptions(product, options) {
+  const index = await getDescriptionIndex();
+  index.upsert(product); // the product being checked is fresher than the index
+  return index.matches(product, options);
 }
 
-/* Use single input object and set quantities per (item,location) to 0 */
-async function setOnHandZeroForItems(inventoryItemIds) {
-  if (IS_DRY_RUN) return;
-
-  const locations = await getAllLocationIds();
-  if (!locations.length || !inventoryItemIds.length) return;
+/* Lookups handed to the check registry */
+const checkApi = {
+  isAllowedTaxRate: (percentStr) => taxCatalog.has(percentStr),
+  allowedTaxRates: () => taxCatalog.rates(),
+  assessHsn: (hsn, taxPercent) => assessHsn(hsn, taxPercent, hsnGstRates),
+  hsnRateSource: () => hsnGstRates.source,
+  imageRules: () => store.imageRules,
+  syncsCountryOfOrigin: () => SYNC_COUNTRY_OF_ORIGIN,
+  hasDuplicateSkuStorewide,
+  skuExistsCaseInsensitive,
+  getVariantNodeByExactSku,
+  getProductTax,
+  getVariantOptionsMeta,
+  findSimilarDescriptions,
+};
+function getAllLocations() {
+  return cachedLookup(locationsCache, 'all', async () => {
+    let after = null, nodes = [];
+    while (true) {
+      const data = await shopifyGraphQL(LOCATIONS_QUERY, { after });
+      const page = data.locations;
+      nodes.push(...(page.nodes || []));
+      if (!page.pageInfo.hasNextPage) return nodes;
+      after = page.pageInfo.endCursor;
+    }
+  });
+}
 
-  const pairs = [];
-  for (const invId of inventoryItemIds) {
-    for (const locId of locations) {
-      pairs.push({ inventoryItemId: invId, locationId: locId });
+/* On-hand quantity of every (item, location) pair; null where the item is not stocked there */
+async function getOnHandQuantities(inventoryItemIds, locationIds) {
+  const levels = new Map(); // `${item} ${location}` -> quantity
+  const CHUNK = 50;
+  for (let i = 0; i < inventoryItemIds.length; i += CHUNK) {
+    const data = await shopifyGraphQL(INVENTORY_LEVELS_QUERY, { ids: inventoryItemIds.slice(i, i + CHUNK) });
+    for (const item of data.nodes || []) {
+      for (const level of item?.inventoryLevels?.nodes || []) {
+        const onHand = (level.quantities || []).find(q => q.name === 'on_hand');
+        levels.set(`${item.id} ${level.location.id}`, onHand ? onHand.quantity : null);
+      }
     }
   }
+  return inventoryItemIds.flatMap(inventoryItemId => locationIds.map(locationId => ({
+    inventoryItemId,
+    locationId,
+    quantity: levels.get(`${inventoryItemId} ${locationId}`) ?? null,
+  })));
+}
 
+/* One input per chunk of (item, location, quantity); returns { written, errors }: levels Shopify accepted and the userErrors of rejected chunks */
+async function setOnHandQuantities(setQuantities, reference) {
   const CHUNK = 200;
-  for (let i = 0; i < pairs.length; i += CHUNK) {
-    const slice = pairs.slice(i, i + CHUNK);
+  let written = 0;
+  const errors = [];
+  for (let i = 0; i < setQuantities.length; i += CHUNK) {
     const input = {
       reason: 'correction',
-      referenceDocumentUri: `gid://fi-app/AutoZero/${Date.now()}`,
-      setQuantities: slice.map(p => ({
-        inventoryItemId: p.inventoryItemId,
-        locationId: p.locationId,
-        quantity: 0,
+      referenceDocumentUri: `gid://fi-app/${reference}/${Date.now()}`,
+      setQuantities: setQuantities.slice(i, i + CHUNK).map(q => ({
+        inventoryItemId: q.inventoryItemId,
+        locationId: q.locationId,
+        quantity: q.quantity,
       })),
     };
     const res = await shopifyGraphQL(INVENTORY_SET_ON_HAND, { input });
     const errs = res?.inventorySetOnHandQuantities?.userErrors || [];
     if (errs.length) {
       console.warn('inventorySetOnHandQuantities userErrors:', JSON.stringify(errs));
+      errors.push(...errs);
+    } else {
+      written += input.setQuantities.length;
     }
   }
+  return { written, errors };
+}
+
+/* On-hand to 0 where the items are stocked at the policy's locations, after snapshotting the quantities it replaces.
+   Returns notes for the Slack message when Shopify rejects any level */
+async function setOnHandZeroForItems(inventoryItemIds, productId, runId = null) {
+  const locations = selectLocations(inventoryPolicy, await getAllLocations()).map(l => l.id);
+  if (!locations.length || !inventoryItemIds.length) return [];
+  if (IS_DRY_RUN) {
+    planChange(productId, { type: 'inventory_zero', inventoryItemIds, locationIds: locations });
+    return [];
+  }
+
+  const quantities = (await getOnHandQuantities(inventoryItemIds, locations)).filter(q => q.quantity != null);
+  if (quantities.every(q => !q.quantity)) return []; // a second zeroing would snapshot zeros over the real stock
+  inventorySnapshots.record({ runId, productId, quantities });
+  const { written, errors } = await setOnHandQuantities(quantities.map(q => ({ ...q, quantity: 0 })), 'AutoZero');
+  if (!errors.length) return [];
+  return [`Zeroed ${written} of ${quantities.length} on-hand level(s); Shopify rejected the rest: ${errors.map(e => e.message).join('; ')}`];
+}
+
+const ledgerPassedCache = new Map(); // 'all' -> product ids with a 'passed' ledger outcome
+function passedBefore(productId) {
+  if (!inventoryPolicy.skipPassedBefore) return Promise.resolve(false);
+  return cachedLookup(ledgerPassedCache, 'all', async () => ledger.passedProductIds()).then(ids => ids.has(productId));
 }
 
 /* Main item confirmation helpers */
@@ -780,743 +1312,1165 @@ async function setMainItemConfirmationStatus(productId, value /* boolean */) {
   }];
   const data = await shopifyGraphQL(SET_METAFIELDS, { metafields });
   const errs = data?.metafieldsSet?.userErrors || [];
-  if (errs.length) throw new Error(`metafieldsSet(main_item_confirmation_status): ${JSON.stringify(errs)}`);
-}
-
-/* =========================
-   NEW: HSN helpers
-========================= */
-function getUniqueHsnFromVariants(variants = []) {
-  const hsSet = new Set();
-  for (const v of variants) {
-    const hs = v?.inventoryItem?.harmonizedSystemCode
-      ? String(v.inventoryItem.harmonizedSystemCode).trim()
-      : '';
-    if (hs) hsSet.add(hs);
-  }
-  return hsSet.size === 1 ? [...hsSet][0] : null;
+  if (errs.length) throw userErrorsFailure('metafieldsSet(main_item_confirmation_status)', errs);
 }
 
 /* =========================
    Webhook callers
 ========================= */
-async function callMakeWebhook(payload) {
+/* One HTTP attempt for a queued job; retries and dead-lettering live in lib/make-queue */
+async function postToMake(job) {
   try {
-    const res = await axios.post(MAKE_WEBHOOK_URL, payload, { timeout: 30000 });
+    const res = await axios.post(store.make[job.kind], job.payload, { headers: job.headers, timeout: 30000 });
     return { ok: res.status === 200, status: res.status };
   } catch (e) {
     const status = e?.response?.status || null;
-    return { ok: false, status };
+    return { ok: false, status, error: e?.code || e?.message };
   }
 }
-async function callUnitPriceWebhook(productId) {
-  try {
-    const res = await axios.post(UNIT_PRICE_WEBHOOK_URL, { store: 'TAC' }, {
-      headers: { store: 'TAC', productid: productId },
-      timeout: 30000
-    });
-    return { ok: res.status === 200, status: res.status };
-  } catch (e) {
-    const status = e?.response?.status || null;
-    return { ok: false, status };
+
+/* Dry run never reaches Make: the job comes back as `planned` and trackWebhook puts it in the plan */
+async function deliverMake(spec) {
+  if (IS_DRY_RUN) {
+    return { ok: true, status: 200, planned: { kind: spec.kind, payload: spec.payload, ...(spec.headers ? { headers: spec.headers } : {}) } };
   }
-}
-async function callSkuArrayWebhook(payloadObject) {
   try {
-    const res = await axios.post(SKU_MAKE_URL, payloadObject, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 30000
-    });
-    return { ok: res.status === 200, status: res.status };
+    const r = await makeQueue.deliver(spec);
+    if (r.superseded) console.log(`Dropped ${r.superseded.length} older Make job(s) for ${spec.productId} replaced by this batch: ${r.superseded.join(', ')}`);
+    return r;
   } catch (e) {
-    const status = e?.response?.status || null;
-    return { ok: false, status };
+    throw new PipelineError('webhook', `Make ${spec.kind} delivery failed: ${e.message}`, { cause: e });
   }
 }
 
+/*
+  `delivery` travels with the job so a later drain/replay can finish the work:
+  { label, group, key, setMainItemConfirmed } — see applyDeliveryEffects.
+*/
+async function callMakeWebhook(payload, delivery = {}) {
+  return deliverMake({ kind: 'product', payload, productId: payload.product_id, ...delivery });
+}
+async function callUnitPriceWebhook(productId, delivery = {}) {
+  return deliverMake({
+    kind: 'unit-price',
+    payload: { store: store.name },
+    headers: { store: store.name, productid: productId },
+    productId,
+    ...delivery,
+  });
+}
+async function callSkuArrayWebhook(payloadObject, delivery = {}) {
+  return deliverMake({
+    kind: 'sku',
+    payload: payloadObject,
+    headers: { 'Content-Type': 'application/json' },
+    productId: payloadObject.product_id,
+    ...delivery,
+  });
+}
+/* A batched delivery (composite) replaces the jobs an earlier batch for the same product and label left behind */
+function labelDelivery(productId, label, batch) {
+  const key = `${productId}|${label}`;
+  return { label, key, group: batch ? `${key}|${batch}` : key };
+}
+
+/* After a drained/replayed job is confirmed: clear its label once nothing else in its group is outstanding */
+async function applyDeliveryEffects(job) {
+  if (job.setMainItemConfirmed) await setMainItemConfirmationStatus(job.productId, true);
+  if (!job.label || makeQueue.hasOutstanding(job.group, job.id)) return;
+  const current = await getProductChanges(job.productId);
+  if (!current.includes(job.label)) return;
+  await setProductChangesList(job.productId, JSON.stringify(current.filter(l => l !== job.label)));
+  console.log(`Cleared '${job.label}' on ${job.productId} after confirmed delivery of job ${job.id}.`);
+}
+
 /* =========================
    TAX ID mapping (percentage -> Zoho tax id)
 ========================= */
+// The store's allowed rates (lib/tax-catalog); activateStore seeds it from the profile, loadTaxCatalog from metaobjects
+let taxCatalog = createTaxCatalog();
+
+/* '' when the rate is not in the catalogue; callers must not send that to Make */
 function taxIdForPercentStr(percentStr) {
-  const n = Number(percentStr);
-  if (!isFinite(n)) return '';
-  const key = n.toFixed(2);
-  const map = {
-    '0.00':  '514287000000012267',
-    '0.25':  '514287000014475600',
-    '5.00':  '514287000000074409',
-    '12.00': '514287000000074605',
-    '18.00': '514287000000074413',
-  };
-  return map[key] || '';
+  return taxCatalog.taxIdFor(percentStr) || '';
 }
 
-/* =========================
-   Runner
-========================= */
-async function run() {
+/* tax_percentage / tax_id of a Make payload; tax_id is left out when the catalogue has none for the rate */
+function makeTaxFields(p) {
+  const tax_percentage = parseTaxPercent(parseStringFromMetafield(p.metafieldTax)) || '';
+  const tax_id = tax_percentage ? taxIdForPercentStr(tax_percentage) : '';
+  return tax_id ? { tax_percentage, tax_id } : { tax_percentage };
+}
+
+async function loadTaxCatalog() {
+  if (!store.taxCatalogMetaobject) return;
+  const nodes = [];
   let after = null;
-  let processed = 0, matchedAny = 0, passed = 0, failed = 0;
+  while (true) {
+    const data = await shopifyGraphQL(TAX_CATALOG_QUERY, { type: store.taxCatalogMetaobject, after });
+    nodes.push(...data.metaobjects.nodes);
+    if (!data.metaobjects.pageInfo.hasNextPage) break;
+    after = data.metaobjects.pageInfo.endCursor;
+  }
+  const taxIds = taxIdsFromMetaobjects(nodes);
+  if (!Object.keys(taxIds).length) {
+    if (!taxCatalog.size) throw new Error(`Store '${store.name}': no tax rates in metaobjects of type '${store.taxCatalogMetaobject}' and none configured`);
+    console.warn(`No usable '${store.taxCatalogMetaobject}' metaobjects; keeping the configured tax catalogue.`);
+    return;
+  }
+  taxCatalog = createTaxCatalog(taxIds, `metaobject:${store.taxCatalogMetaobject}`);
+}
 
+// The store's HSN -> GST rate table (lib/hsn); activateStore seeds it from the profile, loadHsnRates from metaobjects
+let hsnGstRates = createHsnRateTable();
+
+async function loadHsnRates() {
+  if (!store.hsnRateMetaobject) return;
+  const nodes = [];
+  let after = null;
   while (true) {
-    const data = await shopifyGraphQL(PRODUCTS_PAGE_QUERY, { after });
-    const conn = data.products;
+    const data = await shopifyGraphQL(HSN_RATES_QUERY, { type: store.hsnRateMetaobject, after });
+    nodes.push(...data.metaobjects.nodes);
+    if (!data.metaobjects.pageInfo.hasNextPage) break;
+    after = data.metaobjects.pageInfo.endCursor;
+  }
+  const rates = hsnRatesFromMetaobjects(nodes);
+  if (!Object.keys(rates).length) {
+    console.warn(`No usable '${store.hsnRateMetaobject}' metaobjects; keeping the configured HSN rate table.`);
+    return;
+  }
+  hsnGstRates = createHsnRateTable(rates, `metaobject:${store.hsnRateMetaobject}`);
+}
 
-    for (const p of conn.nodes) {
-      processed++;
+/* Store tables the checks read: tax catalogue and HSN rates */
+async function loadStoreTables() {
+  await loadTaxCatalog();
+  await loadHsnRates();
+}
 
-      const productChanges = parseListFromMetafield(p.metafieldChanges);
-      if (!productChanges.length) continue;
-      matchedAny++;
+async function fetchProductById(productId) {
+  const data = await shopifyGraphQL(PRODUCT_BY_ID_QUERY, { id: productId });
+  return data?.product || null;
+}
 
-      // Track if any sub-action failed (used for Slack routing)
-      let anyWebhookFailed = false;
+/* `check` target: product GID or numeric id, then handle, then exact SKU */
+async function resolveProduct(ref) {
+  const raw = String(ref || '').trim();
+  if (/^gid:\/\/shopify\/Product\/\d+$/.test(raw)) return fetchProductById(raw);
+  if (/^\d+$/.test(raw)) return fetchProductById(`gid://shopify/Product/${raw}`);
+  const byHandle = await shopifyGraphQL(PRODUCT_BY_HANDLE_QUERY, { handle: raw });
+  if (byHandle?.productByIdentifier) return byHandle.productByIdentifier;
+  const v = await getVariantNodeByExactSku(raw);
+  return v?.product?.id ? fetchProductById(v.product.id) : null;
+}
 
-      // Publish to India market publication on scan
-      await ensureProductInIndiaCatalog(p.id);
+/* A forbidden word ("copy", ...) in the title or handle blocks a product outright unless waived; returns the failure line */
+function titleGuard(p) {
+  if (!titleGuardCheck) return null;
+  const hit = findForbiddenWord(p, titleGuardCheck.options.words);
+  if (!hit) return null;
+  const waiver = parseWaivers(p.metafieldWaivers).find(w => w.check === titleGuardCheck.id);
+  if (waiver && isWaiverActive(waiver)) return null; // the registry check reports it as waived
+  return `Blocked: product ${hit.where} contains "${hit.word}".`;
+}
 
-      // Process Title/Price/HSN/Tax updates
-      const slackMakeLines = [];
-      let hadMakeTests = false;
+/* Read-only: full variant/collection/media lists plus the check registry outcome, waivers applied */
+async function evaluateProduct(p, { media, collections, variants } = {}) {
+  if (!collections) collections = await getAllCollections(p.id, p.collections);
+  if (!variants) variants = await getAllVariants(p.id, p.variants);
+  if (!media) media = await getAllProductMediaImages(p.id);
+  if (skuIndex) (await skuIndex)?.replaceProduct(p, variants); // not opened yet: it will export these variants itself
+  const checked = await runChecks(enabledChecks, { product: p, variants, collections, media, api: checkApi });
+  const outcome = applyWaivers(checked, parseWaivers(p.metafieldWaivers));
+  return { variants, collections, media, outcome };
+}
 
-      try {
-        // DRY_RUN parity + payload parity with old code (store: 'TAC')
-        if (productChanges.includes(LABEL_TITLE_UPDATED)) {
-          hadMakeTests = true;
-          const r = IS_DRY_RUN ? { ok: true, status: 200 } : await callMakeWebhook({ store: 'TAC', title_modified: true, product_id: p.id });
-          if (r.ok) {
-            slackMakeLines.push('Title update information sent.');
-            if (!IS_DRY_RUN) {
-              const newList = productChanges.filter(v => v !== LABEL_TITLE_UPDATED);
-              await setProductChangesList(p.id, JSON.stringify(newList));
-              productChanges.splice(0, productChanges.length, ...newList);
-            }
-          } else {
-            anyWebhookFailed = true;
-            slackMakeLines.push(`Title update failed${r.status ? ` (HTTP ${r.status})` : ''}.`);
-          }
-        }
-        if (productChanges.includes(LABEL_PRICE_UPDATED)) {
-          hadMakeTests = true;
-          const r = IS_DRY_RUN ? { ok: true, status: 200 } : await callMakeWebhook({ store: 'TAC', price_modified: true, product_id: p.id });
-          if (r.ok) {
-            slackMakeLines.push('Price update information sent.');
-            if (!IS_DRY_RUN) {
-              const newList = productChanges.filter(v => v !== LABEL_PRICE_UPDATED);
-              await setProductChangesList(p.id, JSON.stringify(newList));
-              productChanges.splice(0, productChanges.length, ...newList);
-            }
-          } else {
-            anyWebhookFailed = true;
-            slackMakeLines.push(`Price update failed${r.status ? ` (HTTP ${r.status})` : ''}.`);
-          }
-        }
-        if (productChanges.includes(LABEL_HSN_UPDATED)) {
-          hadMakeTests = true;
-          const hsSet = new Set();
-          const vs4 = p?.variants?.nodes || [];
-          for (const v of vs4) {
-            const hs = v?.inventoryItem?.harmonizedSystemCode ? String(v.inventoryItem.harmonizedSystemCode).trim() : '';
-            if (hs) hsSet.add(hs);
-          }
-          if (hsSet.size === 1) {
-            const hsnValue = [...hsSet][0];
-            const r = IS_DRY_RUN ? { ok: true, status: 200 } : await callMakeWebhook({ store: 'TAC', hsn_modified: true, hsn_value: hsnValue, product_id: p.id });
-            if (r.ok) {
-              slackMakeLines.push('HSN update information sent.');
-              if (!IS_DRY_RUN) {
-                const newList = productChanges.filter(v => v !== LABEL_HSN_UPDATED);
-                await setProductChangesList(p.id, JSON.stringify(newList));
-                productChanges.splice(0, productChanges.length, ...newList);
-              }
-            } else {
-              anyWebhookFailed = true;
-              slackMakeLines.push(`HSN update failed${r.status ? ` (HTTP ${r.status})` : ''}.`);
-            }
-          } else if (hsSet.size === 0) {
-            anyWebhookFailed = true;
-            slackMakeLines.push('HSN update not sent: HS code missing on all variants.');
-          } else {
-            anyWebhookFailed = true;
-            slackMakeLines.push('HSN update not sent: variants have inconsistent HS codes.');
-          }
-        }
-        if (productChanges.includes(LABEL_TAX_UPDATED)) {
-          hadMakeTests = true;
-          const taxRaw5 = parseStringFromMetafield(p.metafieldTax);
-          let tax_percentage = '', tax_id = '';
-          if (taxRaw5) {
-            const m = taxRaw5.match(/^([0-9]+(?:\.[0-9]+)?)%/);
-            if (m) { tax_percentage = m[1]; tax_id = taxIdForPercentStr(tax_percentage); }
-          }
-          const r = IS_DRY_RUN ? { ok: true, status: 200 } : await callMakeWebhook({ store: 'TAC', tax_modified: true, tax_percentage, tax_id, product_id: p.id });
-          if (r.ok) {
-            slackMakeLines.push('Tax update information sent.');
-            if (!IS_DRY_RUN) {
-              const newList = productChanges.filter(v => v !== LABEL_TAX_UPDATED);
-              await setProductChangesList(p.id, JSON.stringify(newList));
-              productChanges.splice(0, productChanges.length, ...newList);
-            }
-          } else {
-            anyWebhookFailed = true;
-            slackMakeLines.push(`Tax update failed${r.status ? ` (HTTP ${r.status})` : ''}.`);
-          }
+/* Ledger entry (or dry-run plan entry) for each outbound Make call; passes the result through */
+function trackWebhook(runCtx, productId, name, r) {
+  if (r.planned) planChange(productId, { type: 'make_webhook', name, ...r.planned });
+  else if (runCtx.runId) ledger.recordWebhook(runCtx.runId, productId, { name, ok: r.ok, status: r.status });
+  return r;
+}
+
+function newRunStats() {
+  return { processed: 0, matchedAny: 0, passed: 0, failed: 0, errored: 0, errors: [] };
+}
+
+/* Pool workers (run) wait for earlier products before posting; webhook/Slack-triggered runs post directly */
+function postInOrder(runCtx, text, opts) {
+  return runCtx.inOrder ? runCtx.inOrder(() => slackPost(text, opts)) : slackPost(text, opts);
+}
+
+/* =========================
+   Per-product pipeline (shared by the scan and the webhook receiver)
+========================= */
+async function processProduct(p, runCtx) {
+  const { stats } = runCtx;
+  const productChanges = parseListFromMetafield(p.metafieldChanges);
+  // runCtx.labels (process --label) narrows which labels are acted on; the rest stay untouched
+  const wants = (label) => productChanges.includes(label) && (!runCtx.labels || runCtx.labels.has(label));
+  if (!productChanges.some(wants)) return 'no-changes';
+  stats.matchedAny++;
+  if (dryRunPlan) dryRunPlan.product(p, productChanges);
+
+  // Track if any sub-action failed (used for Slack routing)
+  let anyWebhookFailed = false;
+
+  // Publish to India market publication on scan
+  await ensureProductInIndiaCatalog(p.id);
+
+  // Opt-in: fill missing HS codes first, so the checks and the HSN webhook see the result
+  let variants = null, hsnNotes = [];
+  if (AUTO_FILL_HSN && (wants(LABEL_HSN_UPDATED) || wants(LABEL_NEW_PRODUCT_CHECKS))) {
+    ({ variants, notes: hsnNotes } = await fillMissingHsn(p));
+  }
+
+  // Process Title/Price/HSN/Tax updates
+  const slackMakeLines = [];
+  let hadMakeTests = false;
+
+  try {
+    // DRY_RUN parity + payload parity with old code (store: profile name)
+    if (wants(LABEL_TITLE_UPDATED)) {
+      hadMakeTests = true;
+      const r = trackWebhook(runCtx, p.id, 'title_modified', await callMakeWebhook({ store: store.name, title_modified: true, product_id: p.id }, labelDelivery(p.id, LABEL_TITLE_UPDATED)));
+      if (r.ok) {
+        slackMakeLines.push('Title update information sent.');
+        await removeProductChangesLabel(p.id, productChanges, LABEL_TITLE_UPDATED);
+      } else {
+        anyWebhookFailed = true;
+        slackMakeLines.push(`Title update failed${r.status ? ` (HTTP ${r.status})` : ''}.`);
+      }
+    }
+    if (wants(LABEL_PRICE_UPDATED)) {
+      hadMakeTests = true;
+      const r = trackWebhook(runCtx, p.id, 'price_modified', await callMakeWebhook({ store: store.name, price_modified: true, product_id: p.id }, labelDelivery(p.id, LABEL_PRICE_UPDATED)));
+      if (r.ok) {
+        slackMakeLines.push('Price update information sent.');
+        await removeProductChangesLabel(p.id, productChanges, LABEL_PRICE_UPDATED);
+      } else {
+        anyWebhookFailed = true;
+        slackMakeLines.push(`Price update failed${r.status ? ` (HTTP ${r.status})` : ''}.`);
+      }
+    }
+    if (wants(LABEL_HSN_UPDATED)) {
+      hadMakeTests = true;
+      // Sent only once every variant carries the same code
+      const vs4 = variants || await getAllVariants(p.id, p.variants);
+      const hsGroups = groupVariantsByHsn(vs4);
+      const hsMissing = vs4.filter(v => !variantHsn(v)).length;
+      if (hsGroups.length === 1 && !hsMissing) {
+        const hsnValue = hsGroups[0].hsn;
+        const r = trackWebhook(runCtx, p.id, 'hsn_modified', await callMakeWebhook({ store: store.name, hsn_modified: true, hsn_value: hsnValue, product_id: p.id }, labelDelivery(p.id, LABEL_HSN_UPDATED)));
+        if (r.ok) {
+          slackMakeLines.push('HSN update information sent.');
+          await removeProductChangesLabel(p.id, productChanges, LABEL_HSN_UPDATED);
+        } else {
+          anyWebhookFailed = true;
+          slackMakeLines.push(`HSN update failed${r.status ? ` (HTTP ${r.status})` : ''}.`);
         }
-      } catch (e) {
+      } else if (!hsGroups.length) {
+        anyWebhookFailed = true;
+        slackMakeLines.push('HSN update not sent: HS code missing on all variants.');
+      } else if (hsGroups.length > 1) {
+        anyWebhookFailed = true;
+        slackMakeLines.push(`HSN update not sent: variants have inconsistent HS codes: ${describeHsnGroups(hsGroups)}.`);
+      } else {
+        anyWebhookFailed = true;
+        slackMakeLines.push(`HSN update not sent: HS code missing on ${hsMissing} of ${vs4.length} variant(s).`);
+      }
+    }
+    if (wants(LABEL_TAX_UPDATED)) {
+      hadMakeTests = true;
+      const taxRaw5 = parseStringFromMetafield(p.metafieldTax);
+      const tax = makeTaxFields(p);
+      // Zoho cannot apply an empty tax id: hold the update (label stays) until the rate is fixed
+      const r = !tax.tax_id
+        ? { ok: false, blocked: true }
+        : trackWebhook(runCtx, p.id, 'tax_modified', await callMakeWebhook({ store: store.name, tax_modified: true, ...tax, product_id: p.id }, labelDelivery(p.id, LABEL_TAX_UPDATED)));
+      if (r.blocked) {
+        anyWebhookFailed = true;
+        slackMakeLines.push(`Tax update not sent: tax rate '${taxRaw5 || '(empty)'}' has no Zoho tax id in the catalogue.`);
+      } else if (r.ok) {
+        slackMakeLines.push('Tax update information sent.');
+        await removeProductChangesLabel(p.id, productChanges, LABEL_TAX_UPDATED);
+      } else {
         anyWebhookFailed = true;
-        slackMakeLines.push('Webhook processing encountered an unexpected error.');
-        console.error('Webhook block error:', e?.response?.data || e.message || e);
+        slackMakeLines.push(`Tax update failed${r.status ? ` (HTTP ${r.status})` : ''}.`);
       }
+    }
+  } catch (e) {
+    anyWebhookFailed = true;
+    slackMakeLines.push('Webhook processing encountered an unexpected error.');
+    console.error('Webhook block error:', e?.response?.data || e.message || e);
+  }
 
-      const hasNewProductChecks = productChanges.includes(LABEL_NEW_PRODUCT_CHECKS);
-
-      // Slack base message & bucket
-      let slackMsg = `TAC Store - Product "${p.title}"`;
-      const slackParts = [];
-
-      if (!hasNewProductChecks && !hadMakeTests) continue;
-
-      if (hasNewProductChecks) {
-        /* ---------- "copy" guard: fail checks, set to DRAFT, no webhooks ---------- */
-        const nameHasCopy = /copy/i.test(p.title || '');
-        const handleHasCopy = /copy/i.test(p.handle || '');
-        if (nameHasCopy || handleHasCopy) {
-          const where = [
-            nameHasCopy ? 'name' : null,
-            handleHasCopy ? 'url' : null
-          ].filter(Boolean).join(' & ');
-          if (!IS_DRY_RUN) {
-            try { await setProductStatusDraft(p.id); }
-            catch (e) { console.warn('Failed to set DRAFT on copy-flagged product:', e?.response?.data || e.message || e); }
-          }
-          const failNote = `failed checks:\n1. Blocked: product ${where} contains "copy".\n(Checks aborted; no SKU/product webhooks sent. Product set to DRAFT.)`;
-          const finalCopy = `${slackMsg} ${failNote}`;
-          await slackPost(finalCopy, { success: false });
-          failed++;
-          continue; // Skip the rest of checks & any webhooks
-        }
-        /* ------------------------------------------------------------------------- */
+  const hasNewProductChecks = wants(LABEL_NEW_PRODUCT_CHECKS);
 
-        const indianTaxRateRaw = parseStringFromMetafield(p.metafieldTax);
-        const hasIndianTax = !!indianTaxRateRaw;
-        const percentStr = parseTaxPercent(indianTaxRateRaw);
+  // Slack base message & bucket
+  let slackMsg = `${store.name} Store - Product "${p.title}"`;
+  const slackParts = [];
+  let failedCheckIds = []; // offered for waiver on the Slack message
 
-        const preorderSetting = parseStringFromMetafield(p.metafieldPreOrder);
-        const isPreorderEmpty = !preorderSetting;
+  if (!hasNewProductChecks && !hadMakeTests) return 'no-action';
+  let outcome = 'updates-only';
 
-        const productCooMf = parseStringFromMetafield(p.metafieldOrigin);
-        const isProductCooEmpty = !productCooMf;
+  if (hasNewProductChecks) {
+    /* ---------- title guard: fail checks, set to DRAFT, no webhooks ---------- */
+    const blocked = titleGuard(p);
+    if (blocked) {
+      if (!IS_DRY_RUN) {
+        try { await setProductStatusDraft(p.id); }
+        catch (e) { console.warn('Failed to set DRAFT on title-blocked product:', e?.response?.data || e.message || e); }
+      } else {
+        planChange(p.id, { type: 'status', from: p.status, to: 'DRAFT' });
+      }
+      const failNote = `failed checks:\n1. ${blocked}\n(Checks aborted; no SKU/product webhooks sent. Product set to DRAFT.)`;
+      const finalCopy = `${slackMsg} ${failNote}`;
+      await postInOrder(runCtx, finalCopy, { success: false, product: p });
+      stats.failed++;
+      return 'blocked-title'; // Skip the rest of checks & any webhooks
+    }
+    /* ------------------------------------------------------------------------- */
 
-        const descText = stripHtmlToText(p.descriptionHtml);
-        const isDescriptionEmpty = !(descText && descText.length >= 10);
+    const hasImage = (p.images && p.images.edges && p.images.edges.length > 0);
 
-        const hasImage = (p.images && p.images.edges && p.images.edges.length > 0);
-        const isImageEmpty = !hasImage;
+    /* ---------- Silent alt-text alignment (no Slack messages) ---------- */
+    let media = hasImage ? null : []; // left null when the fetch fails: evaluateProduct retries it
+    if (hasImage) {
+      try {
+        media = await getAllProductMediaImages(p.id);
+        const productName = (p.title || '').trim();
+        await setAltTextForProductImages(p.id, productName, media);
+      } catch (e) {
+        console.warn('Alt text update error:', e?.response?.data || e.message || e);
+      }
+    }
+    /* ------------------------------------------------------------------ */
 
-        /* ---------- Silent alt-text alignment (no Slack messages) ---------- */
-        if (hasImage) {
-          try {
-            const productName = (p.title || '').trim();
-            await setAltTextForProductImages(p.id, productName);
-          } catch (e) {
-            console.warn('Alt text update error:', e?.response?.data || e.message || e);
-          }
-        }
-        /* ------------------------------------------------------------------ */
+    /* ---------- Opt-in: move the product into its tax-rate collection ---------- */
+    let collections = null, taxCollectionNotes = [];
+    if (AUTO_ASSIGN_TAX_COLLECTION && enabledChecks.some(c => c.id === 'tax-collection')) {
+      ({ collections, notes: taxCollectionNotes } = await autoAssignTaxCollection(p));
+    }
 
-        const allCollections = await getAllCollections(p.id, p.collections);
-        const isCollectionAssigned = !!(percentStr && allCollections.some(c =>
-          c.title && /shopify/i.test(c.title) && new RegExp(`Tax Rate\\s+${percentStr}%`, 'i').test(c.title)
-        ));
+    /* ---------- Country of origin onto the inventory items ---------- */
+    let countryNotes = [];
+    if (SYNC_COUNTRY_OF_ORIGIN && enabledChecks.some(c => c.id === 'country-of-origin')) {
+      ({ variants, notes: countryNotes } = await syncCountryOfOrigin(p, variants));
+    }
 
-        const allVariants = await getAllVariants(p.id, p.variants);
+    const { variants: allVariants, media: allMedia, outcome: checkOutcome } = await evaluateProduct(p, { media, collections, variants });
 
-        // product-level HSN (only if unique across variants)
-        const productHsn = getUniqueHsnFromVariants(allVariants);
+    // product-level HSN (only if unique across variants)
+    const productHsn = getUniqueHsnFromVariants(allVariants);
 
-        // Main-item classification (all patterned SKUs are -0)
-        let foundPattern = false;
-        let allZeroDigits = true;
-        for (const v of allVariants) {
-          const parts = expectedMainSkuParts(v.sku || '');
-          if (!parts) continue;
-          foundPattern = true;
-          if (parts.digits !== 0) allZeroDigits = false;
-        }
-        const productIsMainItem = foundPattern && allZeroDigits;
+    // Main-item classification (all patterned SKUs are -0)
+    let foundPattern = false;
+    let allZeroDigits = true;
+    for (const v of allVariants) {
+      const parts = expectedMainSkuParts(v.sku || '');
+      if (!parts) continue;
+      foundPattern = true;
+      if (parts.digits !== 0) allZeroDigits = false;
+    }
+    const productIsMainItem = foundPattern && allZeroDigits;
+
+    // Zero stock at the policy's locations (lib/inventory-zeroing) unless it exempts the product
+    const invIds = (allVariants || []).map(v => v.inventoryItem?.id).filter(Boolean);
+    const zeroSkip = zeroingSkipReason(inventoryPolicy, {
+      vendor: p.vendor,
+      preOrderSetting: parseStringFromMetafield(p.metafieldPreOrder),
+      passedBefore: await passedBefore(p.id),
+    });
+    let inventoryNotes = [];
+    if (zeroSkip) console.log(`Inventory not zeroed for ${p.id}: ${zeroSkip}`);
+    else inventoryNotes = await setOnHandZeroForItems(invIds, p.id, runCtx.runId);
+
+    const passesAll = checkOutcome.passed;
+    const warningsBlock = formatFixNotes('HSN', hsnNotes) + formatFixNotes('Tax collection', taxCollectionNotes) + formatFixNotes('Country of origin', countryNotes) + formatFixNotes('Inventory zeroing', inventoryNotes) + formatWarnings(checkOutcome.warnings) + formatWaived(checkOutcome.waived);
+    for (const r of checkOutcome.waived) {
+      console.log(`Waiver applied: ${p.id} ${r.id} (approved by ${r.waiver.approvedBy || 'unknown'}, expires ${r.waiver.expires || 'never'})`);
+      if (runCtx.runId) ledger.recordWaiver(runCtx.runId, p.id, { check: r.id, ...r.waiver });
+    }
 
-        // Linked-metafield check (at least one unit-bearing option linked to custom.variant_quantities)
-        let linkCheckFailed = false;
-        const namesWithUnits = new Set();
-        for (const v of allVariants) {
-          for (const so of v.selectedOptions || []) {
-            if (containsGlossaryTerm(so.value)) namesWithUnits.add(so.name);
+    const makeStatusBlock = (hadMakeTests && slackMakeLines.length)
+      ? `\n\nMake Webhook Stats -\n${slackMakeLines.map(l => `- ${l}`).join('\n')}`
+      : '';
+
+    if (passesAll) {
+      if (productIsMainItem) {
+        // MAIN ITEM path
+        let mainItemUndelivered = false; // keep the label until Make confirms the main-item payload
+        const myMainStatus = parseBooleanFromMetafield(p.metafieldMainItemConfirm); // null | true | false
+        if (myMainStatus === null) {
+          // Build a single-item payload for the main item
+          const mainVariant =
+            allVariants.find(v => {
+              const parts = expectedMainSkuParts(v.sku || '');
+              return parts && parts.digits === 0;
+            }) || allVariants[0];
+
+          const linkedName = linkedOptionName(p);
+          let variant_base_unit = null, variant_reference_unit = null, variant_numeric_quantity = null;
+          if (linkedName) {
+            const val = selectedValueForLinkedOption(mainVariant, linkedName);
+            const metaobjectId = val && linkedMetaobjectId(p, linkedName, val);
+            if (metaobjectId) {
+              const meta = await getVariantOptionsMeta(metaobjectId);
+              variant_base_unit = meta.variant_base_unit;
+              variant_reference_unit = meta.variant_reference_unit;
+              variant_numeric_quantity = meta.variant_numeric_quantity;
+            }
           }
-        }
-        if (namesWithUnits.size > 0) {
-          let anyLinked = false;
-          for (const name of namesWithUnits) {
-            const opt = (p.options || []).find(o => o.name === name);
-            if (opt?.linkedMetafield?.namespace === 'custom' && opt?.linkedMetafield?.key === 'variant_quantities') {
-              anyLinked = true; break;
+
+          const itemSku = String(mainVariant?.sku || '').trim();
+          const mainVariantHsn = (mainVariant?.inventoryItem?.harmonizedSystemCode || '').trim();
+          const hsn_value = mainVariantHsn || productHsn || null;
+
+          const item = {
+            sku: itemSku,
+            is_main_item: true,
+            rate: mainVariant?.price ?? null,
+            variant_title: computeVariantTitle(p.title, mainVariant),
+            variant_base_unit,
+            variant_reference_unit,
+            variant_numeric_quantity
+          };
+
+          const payload = {
+            store: store.name,
+            product_id: p.id,
+            ...makeTaxFields(p),
+            hsn_value,
+            items: [item],
+            count: 1,
+            skus: [itemSku],
+            main_item_sku: itemSku,
+            main_item_id: p.id,
+            main_item_only: true
+          };
+
+          if (IS_DRY_RUN) {
+            trackWebhook(runCtx, p.id, 'sku_main_item_only', await callSkuArrayWebhook(payload));
+            planChange(p.id, { type: 'main_item_confirmation', value: true });
+            slackParts.push(`would send main item-only SKU confirmation (main_item_only=true).${makeStatusBlock}`);
+          } else {
+            const r = trackWebhook(runCtx, p.id, 'sku_main_item_only', await callSkuArrayWebhook(payload, {
+              ...labelDelivery(p.id, LABEL_NEW_PRODUCT_CHECKS),
+              setMainItemConfirmed: true,
+            }));
+            if (r.ok) {
+              slackParts.push(`sent main item-only SKU confirmation (main_item_only=true).${makeStatusBlock}`);
+              try {
+                await setMainItemConfirmationStatus(p.id, true);
+                slackParts.push(`\n- Setting main_item_confirmation_status = true for main item.`);
+              } catch (e) {
+                anyWebhookFailed = true;
+                slackParts.push(`\n- Failed to set main_item_confirmation_status = true on main item (product ${p.id}) after webhook 200.`);
+              }
+            } else {
+              anyWebhookFailed = true;
+              mainItemUndelivered = true;
+              slackParts.push(`failed to send main item-only SKU confirmation (HTTP ${r.status || 'n/a'}).${makeStatusBlock}`);
             }
           }
-          linkCheckFailed = !anyLinked;
+        } else {
+          slackParts.push(`\n- main-item-only send skipped.${makeStatusBlock}`);
         }
 
-        // Zero stock across all locations
-        const invIds = (allVariants || []).map(v => v.inventoryItem?.id).filter(Boolean);
-        await setOnHandZeroForItems(invIds);
+        // Status handling & publish
+        const prevStatus = p.status;
+        if (prevStatus === 'DRAFT') await activateAndPublish(p.id, prevStatus);
+        if (!IS_DRY_RUN && prevStatus === 'DRAFT') {
+          slackParts.push(`\nset to ACTIVE after all checks passed.`);
+        } else if (prevStatus === 'ACTIVE') {
+          await publishProductToAllPublications(p.id);
+          slackParts.push(`\nalready ACTIVE; no status change. All checks passed.`);
+        } else {
+          slackParts.push(`\nchecks passed; status unchanged (${prevStatus}).`);
+        }
+        if (warningsBlock) slackParts.push(warningsBlock);
 
-        // Per-variant validations + tax parity + SKU grouping
-        const variantIssueRows = [];
-        const duplicateSkus = new Set();
-        let taxMismatchWithMain = false;
+        if (!mainItemUndelivered) await removeProductChangesLabel(p.id, productChanges, LABEL_NEW_PRODUCT_CHECKS);
+        stats.passed++;
+        outcome = 'passed';
+      } else {
+        // COMPOSITE path
+        const prevStatus = p.status;
+        if (prevStatus === 'DRAFT') await activateAndPublish(p.id, prevStatus);
+
+        const anyOptionLinkedToVQ = (p.options || []).some(isVariantQuantitiesLink);
+
+        let unitPriceOK = false;
+        let unitPriceNote = '';
+        let skuNote = '';
+        let allSkuGroupsOK = true;
+
+        // All composite deliveries share one group, fresh for every pass over the product
+        // (serve keeps one run id): the label clears only when every one is confirmed.
+        const npcBatch = labelDelivery(p.id, LABEL_NEW_PRODUCT_CHECKS, crypto.randomUUID());
+        if (anyOptionLinkedToVQ) {
+          const up = trackWebhook(runCtx, p.id, 'unit_price', await callUnitPriceWebhook(p.id, npcBatch));
+          unitPriceOK = up.ok;
+          if (!up.ok) anyWebhookFailed = true;
+          unitPriceNote = up.ok
+            ? '\nNote: Data sent for Unit Price Update.'
+            : '\nNote: Error in sending data for Unit Price Update.';
+        } else {
+          unitPriceOK = true;
+          unitPriceNote = '\nNote: Unit Price webhook skipped since none of the selected options are linked to variant quantities metafield.';
+        }
 
-        const skuGroupsForChecks = new Map(); // used for missing main detection in checks
-        const missingMainGroups = [];
+        /* ========= main-item detection + PRODUCT GID in composite path ========= */
+        const skuGroups = new Map();
 
+        // Build groups (patterned vs nonpattern)
         for (const v of allVariants) {
-          const label = variantLabel(v);
-          const sku = v.sku ? String(v.sku).trim() : '';
-          const hs = v.inventoryItem?.harmonizedSystemCode ? String(v.inventoryItem.harmonizedSystemCode).trim() : '';
-          if (sku) {
-            const dup = await hasDuplicateSkuStorewide(sku, v.id);
-            if (dup) duplicateSkus.add(sku);
-          }
-          let mainExists = 'N/A';
+          const sku = String(v.sku || '').trim();
           const parts = expectedMainSkuParts(sku);
+
           if (parts) {
-            const exists = await skuExistsCaseInsensitive(parts.candidate);
-            mainExists = exists ? 'Yes' : 'No';
-            const gkey = parts.groupKey;
-            if (!skuGroupsForChecks.has(gkey)) {
-              skuGroupsForChecks.set(gkey, { expectedMainSku: parts.candidate, mainNode: null, items: [], isNonPattern: false });
-            }
-            skuGroupsForChecks.get(gkey).items.push({ variant: v, label });
-            if (exists && !skuGroupsForChecks.get(gkey).mainNode) {
-              const mn = await getVariantNodeByExactSku(parts.candidate);
-              skuGroupsForChecks.get(gkey).mainNode = mn || null;
-              try {
-                if (mn?.product?.id) {
-                  const mainTax = await getProductTax(mn.product.id);
-                  if (String(mainTax) !== String(indianTaxRateRaw)) {
-                    taxMismatchWithMain = true;
-                  }
-                }
-              } catch {}
+            const key = parts.groupKey;
+            if (!skuGroups.has(key)) {
+              skuGroups.set(key, {
+                isNonPattern: false,
+                expectedMainSku: parts.candidate, // e.g., ABC-0
+                mainSku: null,                    // set if -0 exists in THIS product
+                items: []
+              });
             }
+            const g = skuGroups.get(key);
+            if (parts.digits === 0 && sku) g.mainSku = sku;
+            g.items.push(v);
           } else {
-            const gkey = 'NONPATTERN';
-            if (!skuGroupsForChecks.has(gkey)) {
-              skuGroupsForChecks.set(gkey, { expectedMainSku: 'NA', mainNode: null, items: [], isNonPattern: true });
+            const key = 'NONPATTERN';
+            if (!skuGroups.has(key)) {
+              skuGroups.set(key, {
+                isNonPattern: true,
+                expectedMainSku: 'NA',
+                mainSku: null,
+                items: []
+              });
             }
-            skuGroupsForChecks.get(gkey).items.push({ variant: v, label });
+            skuGroups.get(key).items.push(v);
           }
+        }
+
+        for (const [gkey, g] of skuGroups.entries()) {
+          const items = [];
 
-          let hasIssue = false;
-          const skuCell = sku ? sku : 'Fill in';
-          const hsCell = hs ? hs : 'Fill in';
-          if (!hs) hasIssue = true;
-          if (parts && mainExists === 'No') hasIssue = true;
-          if (!sku && parts) hasIssue = true;
+          // Decide group main
+          const mainSku = g.isNonPattern
+            ? (g.items[0]?.sku || null)
+            : (g.mainSku || g.expectedMainSku || null);
 
-          if (hasIssue) {
-            variantIssueRows.push({ label, sku: skuCell, hs: hsCell, mainExists });
+          // Resolve PRODUCT GID of the main item (storewide if needed)
+          let main_item_id = null;
+          if (!g.isNonPattern && mainSku) {
+            const mn = await getVariantNodeByExactSku(mainSku);
+            const candidateId = mn?.product?.id || null;
+            main_item_id = (candidateId && candidateId !== p.id) ? candidateId : null;
           }
-        }
 
-        for (const [gkey, g] of skuGroupsForChecks.entries()) {
-          if (!g.isNonPattern && !g.mainNode) {
-            missingMainGroups.push({ groupKey: gkey, expected: g.expectedMainSku });
+          for (const v of g.items) {
+            const vSku = String(v.sku || '').trim();
+            if (!vSku) continue;
+
+            const isMain = g.isNonPattern
+              ? true
+              : (vSku.toLowerCase() === String(mainSku || '').toLowerCase());
+
+            const variant_title = computeVariantTitle(p.title, v);
+
+            const ln = linkedOptionName(p);
+            let variant_base_unit = null, variant_reference_unit = null, variant_numeric_quantity = null;
+            if (ln) {
+              const val = selectedValueForLinkedOption(v, ln);
+              const metaobjectId = val && linkedMetaobjectId(p, ln, val);
+              if (metaobjectId) {
+                const meta = await getVariantOptionsMeta(metaobjectId);
+                variant_base_unit = meta.variant_base_unit;
+                variant_reference_unit = meta.variant_reference_unit;
+                variant_numeric_quantity = meta.variant_numeric_quantity;
+              }
+            }
+
+            items.push({
+              sku: vSku,
+              is_main_item: isMain,
+              rate: v?.price ?? null,
+              variant_title,
+              variant_base_unit,
+              variant_reference_unit,
+              variant_numeric_quantity
+            });
+          }
+
+          const count = items.length;
+          const skus = items.map(it => it.sku);
+
+          const payload = {
+            store: store.name,
+            product_id: p.id,
+            ...makeTaxFields(p),
+            hsn_value: productHsn, // unique product-level HSN if resolvable
+            items,
+            count,
+            skus,
+            main_item_sku: mainSku || (g.isNonPattern ? skus[0] || 'NA' : g.expectedMainSku),
+            main_item_id, // PRODUCT GID of identified -0 item's product when different from current; else null
+            main_item_only: false
+          };
+
+          const r = trackWebhook(runCtx, p.id, `sku_group:${gkey}`, await callSkuArrayWebhook(payload, npcBatch));
+          if (!r.ok) {
+            anyWebhookFailed = true;
+            allSkuGroupsOK = false;
           }
         }
+        /* ========= END ========= */
 
-        const isSkuMainItemOk = !variantIssueRows.some(r => r.mainExists === 'No' || r.sku === 'Fill in');
-        const isHsOk = !variantIssueRows.some(r => r.hs === 'Fill in');
-
-        const passesAll =
-          hasIndianTax &&
-          isCollectionAssigned &&
-          !linkCheckFailed &&
-          !isImageEmpty &&
-          !isPreorderEmpty &&
-          !isProductCooEmpty &&
-          !isDescriptionEmpty &&
-          isSkuMainItemOk &&
-          isHsOk &&
-          !taxMismatchWithMain &&
-          !duplicateSkus.size;
-
-        const tableBlock = variantIssueRows.length ? ('\n\n' + buildVariantIssueTable(variantIssueRows, productCooMf)) : '';
-        const makeStatusBlock = (hadMakeTests && slackMakeLines.length)
+        skuNote = allSkuGroupsOK
+          ? '\nNote: Data sent for Zoho item confirmation.'
+          : '\nNote: Error in sending data for Zoho item confirmation.';
+
+        if (unitPriceOK && allSkuGroupsOK) await removeProductChangesLabel(p.id, productChanges, LABEL_NEW_PRODUCT_CHECKS);
+        if (IS_DRY_RUN) {
+          unitPriceNote = '\nNote: Unit Price Update not sent (DRY RUN).';
+          skuNote = '\nNote: New SKU webhook not sent (DRY RUN).';
+        }
+
+        const makeStatus = (hadMakeTests && slackMakeLines.length)
           ? `\n\nMake Webhook Stats -\n${slackMakeLines.map(l => `- ${l}`).join('\n')}`
           : '';
+        if (prevStatus === 'DRAFT') {
+          slackParts.push(`set to ACTIVE after all checks passed.${makeStatus}${unitPriceNote}${skuNote}`);
+        } else if (prevStatus === 'ACTIVE') {
+          await publishProductToAllPublications(p.id);
+          slackParts.push(`already ACTIVE; no status change. All checks passed.${makeStatus}${unitPriceNote}${skuNote}`);
+        } else {
+          slackParts.push(`checks passed; status unchanged (${prevStatus}).${makeStatus}${unitPriceNote}${skuNote}`);
+        }
+        if (warningsBlock) slackParts.push(warningsBlock);
+        stats.passed++;
+        outcome = 'passed';
+      }
+    } else {
+      // ---------- FAIL PATH: FORCE SET TO DRAFT ----------
+      const lines = checkOutcome.blocking.flatMap(r => r.lines);
+      failedCheckIds = checkOutcome.blocking.map(r => r.id);
+      const flaggedIds = new Set(checkOutcome.blocking.concat(checkOutcome.warnings).flatMap(r => r.variantIds));
+      const variantIssueRows = await buildVariantIssueRows(allVariants, flaggedIds, parseTaxPercent(parseStringFromMetafield(p.metafieldTax)), countryCodeFor(parseStringFromMetafield(p.metafieldOrigin)));
+
+      const imageTable = buildImageIssueTable(allMedia, new Set(checkOutcome.blocking.concat(checkOutcome.warnings).flatMap(r => r.mediaIds)));
+      const tableBlock = (variantIssueRows.length ? ('\n\n' + buildVariantIssueTable(variantIssueRows, parseStringFromMetafield(p.metafieldOrigin))) : '')
+        + (imageTable ? `\n\n${imageTable}` : '');
+
+      // NEW: force to DRAFT on any failure
+      if (!IS_DRY_RUN) {
+        try { await setProductStatusDraft(p.id); }
+        catch (e) { console.warn('Failed to set DRAFT on failed product:', e?.response?.data || e.message || e); }
+      } else {
+        planChange(p.id, { type: 'status', from: p.status, to: 'DRAFT' });
+      }
 
-        if (passesAll) {
-          if (productIsMainItem) {
-            // MAIN ITEM path
-            const myMainStatus = parseBooleanFromMetafield(p.metafieldMainItemConfirm); // null | true | false
-            if (myMainStatus === null) {
-              // Build a single-item payload for the main item
-              const mainVariant =
-                allVariants.find(v => {
-                  const parts = expectedMainSkuParts(v.sku || '');
-                  return parts && parts.digits === 0;
-                }) || allVariants[0];
-
-              const linkedName = linkedOptionName(p);
-              let variant_base_unit = null, variant_reference_unit = null, variant_numeric_quantity = null;
-              if (linkedName) {
-                const val = selectedValueForLinkedOption(mainVariant, linkedName);
-                if (val) {
-                  const handle = handleFromOptionValue(val);
-                  const meta = await getVariantOptionsMeta(handle);
-                  variant_base_unit = meta.variant_base_unit;
-                  variant_reference_unit = meta.variant_reference_unit;
-                  variant_numeric_quantity = meta.variant_numeric_quantity;
-                }
-              }
+      const header = lines.length ? `failed checks:\n${formatNumbered(lines)}` : `failed checks:`;
+      const draftNote = `\nProduct set to DRAFT due to failed checks.`;
+      slackParts.push(`${header}${warningsBlock}${tableBlock}${makeStatusBlock}${draftNote}`);
+      stats.failed++;
+      outcome = 'failed';
+    }
+  } else {
+    // Only Title/Price/HSN/Tax actions (no New Product Checks)
+    if (hadMakeTests && slackMakeLines.length) {
+      const makeStatusBlock = `\n\nMake Webhook Stats -\n${slackMakeLines.map(l => `- ${l}`).join('\n')}`;
+      slackParts.push(`tests processed.${formatFixNotes('HSN', hsnNotes)}${makeStatusBlock}`);
+    }
+  }
 
-              const taxRaw = parseStringFromMetafield(p.metafieldTax);
-              let tax_percentage = '', tax_id = '';
-              if (taxRaw) {
-                const m = taxRaw.match(/^([0-9]+(?:\.[0-9]+)?)%/);
-                if (m) { tax_percentage = m[1]; tax_id = taxIdForPercentStr(tax_percentage); }
-              }
+  const final = slackParts.length ? `${slackMsg} ${slackParts.join('')}` : slackMsg;
 
-              const itemSku = String(mainVariant?.sku || '').trim();
-              const mainVariantHsn = (mainVariant?.inventoryItem?.harmonizedSystemCode || '').trim();
-              const hsn_value = mainVariantHsn || productHsn || null;
-
-              const item = {
-                sku: itemSku,
-                is_main_item: true,
-                rate: mainVariant?.price ?? null,
-                variant_title: computeVariantTitle(p.title, mainVariant),
-                variant_base_unit,
-                variant_reference_unit,
-                variant_numeric_quantity
-              };
-
-              const payload = {
-                store: 'TAC',
-                product_id: p.id,
-                tax_percentage,
-                tax_id,
-                hsn_value,
-                items: [item],
-                count: 1,
-                skus: [itemSku],
-                main_item_sku: itemSku,
-                main_item_id: p.id,
-                main_item_only: true
-              };
-
-              if (IS_DRY_RUN) {
-                slackParts.push(`would send main item-only SKU confirmation (main_item_only=true).${makeStatusBlock}`);
-              } else {
-                const r = await callSkuArrayWebhook(payload);
-                if (r.ok) {
-                  slackParts.push(`sent main item-only SKU confirmation (main_item_only=true).${makeStatusBlock}`);
-                  try {
-                    await setMainItemConfirmationStatus(p.id, true);
-                    slackParts.push(`\n- Setting main_item_confirmation_status = true for main item.`);
-                  } catch (e) {
-                    anyWebhookFailed = true;
-                    slackParts.push(`\n- Failed to set main_item_confirmation_status = true on main item (product ${p.id}) after webhook 200.`);
-                  }
-                } else {
-                  anyWebhookFailed = true;
-                  slackParts.push(`failed to send main item-only SKU confirmation (HTTP ${r.status || 'n/a'}).${makeStatusBlock}`);
-                }
-              }
-            } else {
-              slackParts.push(`\n- main-item-only send skipped.${makeStatusBlock}`);
-            }
+  // Determine routing: success channel only for pure successes
+  let routeSuccess = false;
+  if (hasNewProductChecks) {
+    routeSuccess = /checks passed/i.test(final) && !anyWebhookFailed;
+  } else if (hadMakeTests) {
+    routeSuccess = !anyWebhookFailed;
+  }
 
-            // Status handling & publish
-            const prevStatus = p.status;
-            if (!IS_DRY_RUN && prevStatus === 'DRAFT') {
-              await setProductStatusActive(p.id);
-              await publishProductToAllPublications(p.id);
-              await ensureProductInIndiaCatalog(p.id);
-              slackParts.push(`\nset to ACTIVE after all checks passed.`);
-            } else if (prevStatus === 'ACTIVE') {
-              await publishProductToAllPublications(p.id);
-              slackParts.push(`\nalready ACTIVE; no status change. All checks passed.`);
-            } else {
-              slackParts.push(`\nchecks passed; status unchanged (${prevStatus}).`);
-            }
+  await postInOrder(runCtx, final, { success: routeSuccess, product: p, failedChecks: failedCheckIds });
+  return outcome;
+}
 
-            if (!IS_DRY_RUN) {
-              const newList = productChanges.filter(v => v !== LABEL_NEW_PRODUCT_CHECKS);
-              await setProductChangesList(p.id, JSON.stringify(newList));
-            }
-            passed++;
-          } else {
-            // COMPOSITE path
-            const prevStatus = p.status;
-            if (!IS_DRY_RUN && prevStatus === 'DRAFT') {
-              await setProductStatusActive(p.id);
-              await publishProductToAllPublications(p.id);
-              await ensureProductInIndiaCatalog(p.id);
-            }
+/*
+  processProduct with the product's errors contained: a throw is classified
+  (lib/errors), posted to the failure channel and counted, and the caller moves
+  on to the next product. The remaining steps for this product are skipped.
+  Resolves { outcome, error } with error { category, message } or null.
+*/
+async function processProductIsolated(p, runCtx) {
+  try {
+    return { outcome: await processProduct(p, runCtx), error: null };
+  } catch (err) {
+    const error = { category: classifyError(err), message: errorMessage(err) };
+    runCtx.stats.errored++;
+    runCtx.stats.errors.push({ productId: p.id, title: p.title || null, ...error });
+    console.error(`Product ${p.id} errored (${error.category}): ${error.message}`);
+    const text = `${store.name} Store - Product "${p.title}" errored (${error.category} error): ${error.message}\nRemaining steps were skipped; it will be picked up again by the next run.`;
+    try { await postInOrder(runCtx, text, { product: p }); }
+    catch (e) { console.error(`Could not report the error for ${p.id} to Slack: ${errorMessage(e)}`); }
+    return { outcome: 'errored', error };
+  }
+}
 
-            const anyOptionLinkedToVQ = (p.options || []).some(
-              o => o?.linkedMetafield?.namespace === 'custom' && o?.linkedMetafield?.key === 'variant_quantities'
-            );
-
-            let unitPriceOK = false;
-            let unitPriceNote = '';
-            let skuNote = '';
-            let allSkuGroupsOK = true;
-
-            if (!IS_DRY_RUN) {
-              if (anyOptionLinkedToVQ) {
-                const up = await callUnitPriceWebhook(p.id);
-                unitPriceOK = up.ok;
-                if (!up.ok) anyWebhookFailed = true;
-                unitPriceNote = up.ok
-                  ? '\nNote: Data sent for Unit Price Update.'
-                  : '\nNote: Error in sending data for Unit Price Update.';
-              } else {
-                unitPriceOK = true;
-                unitPriceNote = '\nNote: Unit Price webhook skipped since none of the selected options are linked to variant quantities metafield.';
-              }
+/* =========================
+   Runner
+========================= */
+/* Point every store-specific piece at `profile`; lookups cached for the previous store are dropped */
+function activateStore(profile) {
+  store = profile;
+  ledger = createLedger(profile.ledgerFile);
+  inventorySnapshots = createInventorySnapshots(path.join(profile.dataDir, 'inventory-snapshots.jsonl'));
+  taxCatalog = createTaxCatalog(profile.zohoTaxIds);
+  hsnGstRates = createHsnRateTable(profile.hsnGstRates);
+  shopify = createShopifyClient({
+    send: postGraphQL,
+    maxAttempts: SHOPIFY_MAX_ATTEMPTS,
+    baseDelayMs: SHOPIFY_RETRY_BASE_MS,
+    log: LOG_EVERY_CALL ? console.log : null,
+  });
+  makeQueue = createMakeQueue({
+    pendingFile: path.join(profile.dataDir, 'make-queue.json'),
+    deadLetterFile: path.join(profile.dataDir, 'make-dead-letters.jsonl'),
+    send: (job) => postToMake(job),
+    maxAttempts: MAKE_MAX_ATTEMPTS,
+    baseDelayMs: MAKE_RETRY_BASE_MS,
+  });
+  skuExistCache.clear();
+  skuIndexOpener = null;
+  skuIndex = null;
+  metaobjectCache.clear();
+  productTaxCache.clear();
+  locationsCache.clear();
+  ledgerPassedCache.clear();
+  descriptionIndexCache.clear();
+  taxCollectionCache.clear();
+  indiaMarketPublicationCache.clear();
+  dryRunPlan = null;
+}
 
-              const taxRaw = parseStringFromMetafield(p.metafieldTax);
-              let tax_percentage = '', tax_id = '';
-              if (taxRaw) {
-                const m = taxRaw.match(/^([0-9]+(?:\.[0-9]+)?)%/);
-                if (m) { tax_percentage = m[1]; tax_id = taxIdForPercentStr(tax_percentage); }
-              }
+async function run({ resume = false, bulk = false, labels = [], vendor = null } = {}) {
+  const resumePoint = resume ? ledger.findResumePoint() : null;
+  if (resume) {
+    console.log(resumePoint
+      ? `Resuming run ${resumePoint.runId} after cursor ${resumePoint.after || '(start)'}; ${resumePoint.doneProductIds.size} product(s) on that page already done.`
+      : 'Nothing to resume: last run completed (or no runs recorded). Starting a full scan.');
+  }
 
-              /* ========= main-item detection + PRODUCT GID in composite path ========= */
-              const skuGroups = new Map();
-
-              // Build groups (patterned vs nonpattern)
-              for (const v of allVariants) {
-                const sku = String(v.sku || '').trim();
-                const parts = expectedMainSkuParts(sku);
-
-                if (parts) {
-                  const key = parts.groupKey;
-                  if (!skuGroups.has(key)) {
-                    skuGroups.set(key, {
-                      isNonPattern: false,
-                      expectedMainSku: parts.candidate, // e.g., ABC-0
-                      mainSku: null,                    // set if -0 exists in THIS product
-                      items: []
-                    });
-                  }
-                  const g = skuGroups.get(key);
-                  if (parts.digits === 0 && sku) g.mainSku = sku;
-                  g.items.push(v);
-                } else {
-                  const key = 'NONPATTERN';
-                  if (!skuGroups.has(key)) {
-                    skuGroups.set(key, {
-                      isNonPattern: true,
-                      expectedMainSku: 'NA',
-                      mainSku: null,
-                      items: []
-                    });
-                  }
-                  skuGroups.get(key).items.push(v);
-                }
-              }
+  await drainMakeQueue();
+
+  let after = resumePoint && !bulk ? resumePoint.after : null;
+  const skipIds = resumePoint ? resumePoint.doneProductIds : new Set();
+  const stats = newRunStats();
+  const runId = ledger.startRun({
+    mode: `${IS_DRY_RUN ? 'dry-run' : 'live'}${bulk ? ':bulk' : ''}`,
+    resumedFrom: resumePoint ? resumePoint.runId : null,
+    startAfter: after,
+  });
+  const runCtx = { stats, runId, labels: labels.length ? new Set(labels) : null };
+  const search = productSearch({ vendor });
+  if (labels.length || vendor) console.log(`Scope: ${vendor ? `vendor "${vendor}"` : 'all vendors'}; labels ${labels.length ? labels.join(', ') : '(all)'}.`);
+  if (IS_DRY_RUN) dryRunPlan = createPlan({ runId, mode: bulk ? 'bulk' : 'paged' });
+  if (SKU_INDEX) skuIndexOpener = () => loadSkuIndex({ bulk });
+
+  // Products run PRODUCT_CONCURRENCY at a time; Slack posts and ledger lines keep scan order (runCtx.inOrder)
+  const handle = async (p, { inOrder }) => {
+    if (skipIds.has(p.id)) return;
+    stats.processed++;
+    const { outcome, error } = await processProductIsolated(p, { ...runCtx, inOrder });
+    await inOrder(() => {
+      ledger.recordProduct(runId, p.id, outcome, error);
+      if (dryRunPlan) dryRunPlan.outcome(p.id, outcome);
+    });
+  };
+  const pool = { concurrency: PRODUCT_CONCURRENCY };
 
-              for (const [gkey, g] of skuGroups.entries()) {
-                const items = [];
-
-                // Decide group main
-                const mainSku = g.isNonPattern
-                  ? (g.items[0]?.sku || null)
-                  : (g.mainSku || g.expectedMainSku || null);
-
-                // Resolve PRODUCT GID of the main item (storewide if needed)
-                let main_item_id = null;
-                if (!g.isNonPattern && mainSku) {
-                  const mn = await getVariantNodeByExactSku(mainSku);
-                  const candidateId = mn?.product?.id || null;
-                  main_item_id = (candidateId && candidateId !== p.id) ? candidateId : null;
-                }
-
-                for (const v of g.items) {
-                  const vSku = String(v.sku || '').trim();
-                  if (!vSku) continue;
-
-                  const isMain = g.isNonPattern
-                    ? true
-                    : (vSku.toLowerCase() === String(mainSku || '').toLowerCase());
-
-                  const variant_title = computeVariantTitle(p.title, v);
-
-                  const ln = linkedOptionName({ options: p.options });
-                  let variant_base_unit = null, variant_reference_unit = null, variant_numeric_quantity = null;
-                  if (ln) {
-                    const val = selectedValueForLinkedOption(v, ln);
-                    if (val) {
-                      const handle = handleFromOptionValue(val);
-                      const meta = await getVariantOptionsMeta(handle);
-                      variant_base_unit = meta.variant_base_unit;
-                      variant_reference_unit = meta.variant_reference_unit;
-                      variant_numeric_quantity = meta.variant_numeric_quantity;
-                    }
-                  }
-
-                  items.push({
-                    sku: vSku,
-                    is_main_item: isMain,
-                    rate: v?.price ?? null,
-                    variant_title,
-                    variant_base_unit,
-                    variant_reference_unit,
-                    variant_numeric_quantity
-                  });
-                }
-
-                const count = items.length;
-                const skus = items.map(it => it.sku);
-
-                const payload = {
-                  store: 'TAC',
-                  product_id: p.id,
-                  tax_percentage,
-                  tax_id,
-                  hsn_value: productHsn, // unique product-level HSN if resolvable
-                  items,
-                  count,
-                  skus,
-                  main_item_sku: mainSku || (g.isNonPattern ? skus[0] || 'NA' : g.expectedMainSku),
-                  main_item_id, // PRODUCT GID of identified -0 item's product when different from current; else null
-                  main_item_only: false
-                };
-
-                const r = await callSkuArrayWebhook(payload);
-                if (!r.ok) {
-                  anyWebhookFailed = true;
-                  allSkuGroupsOK = false;
-                }
-              }
-              /* ========= END ========= */
+  try {
+    if (bulk) {
+      // One bulk export instead of paging; the ledger sees it as a single page.
+      await runPool(scanProductsBulk(search), handle, pool);
+      ledger.recordPage(runId, { after: null, endCursor: null, hasNextPage: false });
+    } else {
+      while (true) {
+        const data = await shopifyGraphQL(PRODUCTS_PAGE_QUERY, { after, query: search });
+        const conn = data.products;
+
+        await runPool(conn.nodes, handle, pool); // the page is recorded only once all its products are done
+        skipIds.clear();
+        ledger.recordPage(runId, { after, endCursor: conn.pageInfo.endCursor, hasNextPage: conn.pageInfo.hasNextPage });
+
+        if (!conn.pageInfo.hasNextPage) break;
+        after = conn.pageInfo.endCursor;
+      }
+    }
+  } catch (err) {
+    ledger.finishRun(runId, { status: 'failed', summary: stats, error: String(err?.message || err) });
+    savePlan(); // partial, but still worth reviewing
+    throw err;
+  }
 
-              skuNote = allSkuGroupsOK
-                ? '\nNote: Data sent for Zoho item confirmation.'
-                : '\nNote: Error in sending data for Zoho item confirmation.';
+  ledger.finishRun(runId, { status: 'completed', summary: stats });
+  logRunSummary(stats);
+  savePlan();
+  if (stats.errored) globalThis.process.exitCode = 1; // failed checks alone are a normal outcome
+}
 
-              if (unitPriceOK && allSkuGroupsOK) {
-                const newList = productChanges.filter(v => v !== LABEL_NEW_PRODUCT_CHECKS);
-                await setProductChangesList(p.id, JSON.stringify(newList));
-              }
-            } else {
-              unitPriceNote = '\nNote: Unit Price Update not sent (DRY RUN).';
-              skuNote = '\nNote: New SKU webhook not sent (DRY RUN).';
-            }
+/* Opens the run's SKU index; null on failure, so the run carries on with per-SKU searches */
+async function loadSkuIndex({ bulk }) {
+  const started = Date.now();
+  try {
+    const { index, mode, fetched } = await openSkuIndex({
+      fetchVariants: (since) => (bulk && !since ? exportVariantsBulk() : exportVariantsPaged(since)),
+      file: SKU_INDEX_CACHE ? path.join(store.dataDir, 'sku-index.json') : null,
+      maxAgeMs: SKU_INDEX_MAX_AGE_HOURS * 3600000,
+    });
+    console.log(`SKU index ${mode}: ${index.size} SKU(s) across ${index.variantCount} variant(s); fetched ${fetched} in ${Date.now() - started} ms.`);
+    return index;
+  } catch (err) {
+    console.warn(`SKU index unavailable (${errorMessage(err)}); falling back to per-SKU lookups.`);
+    return null;
+  }
+}
 
-            const makeStatus = (hadMakeTests && slackMakeLines.length)
-              ? `\n\nMake Webhook Stats -\n${slackMakeLines.map(l => `- ${l}`).join('\n')}`
-              : '';
-            if (prevStatus === 'DRAFT') {
-              slackParts.push(`set to ACTIVE after all checks passed.${makeStatus}${unitPriceNote}${skuNote}`);
-            } else if (prevStatus === 'ACTIVE') {
-              await publishProductToAllPublications(p.id);
-              slackParts.push(`already ACTIVE; no status change. All checks passed.${makeStatus}${unitPriceNote}${skuNote}`);
-            } else {
-              slackParts.push(`checks passed; status unchanged (${prevStatus}).${makeStatus}${unitPriceNote}${skuNote}`);
-            }
-            passed++;
-          }
-        } else {
-          // ---------- FAIL PATH: FORCE SET TO DRAFT ----------
-          const lines = buildFailureLines({
-            hasIndianTax,
-            percentStr,
-            isCollectionAssigned,
-            linkCheckFailed,
-            isImageEmpty,
-            isPreorderEmpty,
-            isProductCooEmpty,
-            isDescriptionEmpty,
-            duplicateSkus,
-            taxMismatchWithMain,
-            missingMainGroups
-          });
-
-          const allVariants2 = await getAllVariants(p.id, p.variants);
-          const variantIssueRows2 = [];
-          for (const v of allVariants2) {
-            const label = variantLabel(v);
-            const sku = v.sku ? String(v.sku).trim() : '';
-            const hs = v.inventoryItem?.harmonizedSystemCode ? String(v.inventoryItem.harmonizedSystemCode).trim() : '';
-            const parts = expectedMainSkuParts(sku);
-            let mainExists = 'N/A';
-            if (parts) {
-              const exists = await skuExistsCaseInsensitive(parts.candidate);
-              mainExists = exists ? 'Yes' : 'No';
-            }
-            let hasIssue = false;
-            if (!hs) hasIssue = true;
-            if (parts && mainExists === 'No') hasIssue = true;
-            if (!sku && parts) hasIssue = true;
-            if (hasIssue) {
-              variantIssueRows2.push({ label, sku: sku || 'Fill in', hs: hs || 'Fill in', mainExists });
-            }
-          }
+async function* exportVariantsPaged(updatedSince) {
+  const query = updatedSince ? `updated_at:>'${updatedSince}'` : null;
+  let after = null;
+  while (true) {
+    const data = await shopifyGraphQL(SKU_INDEX_PAGE_QUERY, { after, query });
+    yield* data.productVariants.nodes;
+    if (!data.productVariants.pageInfo.hasNextPage) return;
+    after = data.productVariants.pageInfo.endCursor;
+  }
+}
 
-          const tableBlock2 = variantIssueRows2.length ? ('\n\n' + buildVariantIssueTable(variantIssueRows2, parseStringFromMetafield(p.metafieldOrigin))) : '';
-          const makeStatus2 = (hadMakeTests && slackMakeLines.length)
-            ? `\n\nMake Webhook Stats -\n${slackMakeLines.map(l => `- ${l}`).join('\n')}`
-            : '';
+async function* exportVariantsBulk() {
+  const url = await runBulkQuery({
+    graphql: shopifyGraphQL,
+    query: skuIndexBulkQuery(),
+    pollMs: BULK_POLL_MS,
+    sleep,
+    log: (m) => console.log(m),
+  });
+  if (!url) return;
+  const res = await axios.get(url, { responseType: 'stream', timeout: 120000 });
+  yield* readBulkNodes(res.data);
+}
 
-          // NEW: force to DRAFT on any failure
-          if (!IS_DRY_RUN) {
-            try { await setProductStatusDraft(p.id); }
-            catch (e) { console.warn('Failed to set DRAFT on failed product:', e?.response?.data || e.message || e); }
-          }
+function savePlan() {
+  if (!dryRunPlan) return;
+  const { jsonFile, markdownFile } = writePlanReport(dryRunPlan, store.planDir);
+  console.log(`Dry-run plan written to ${jsonFile} and ${markdownFile}`);
+}
 
-          const header = lines.length ? `failed checks:\n${formatNumbered(lines)}` : `failed checks:`;
-          const draftNote = `\nProduct set to DRAFT due to failed checks.`;
-          slackParts.push(`${header}${tableBlock2}${makeStatus2}${draftNote}`);
-          failed++;
-        }
-      } else {
-        // Only Title/Price/HSN/Tax actions (no New Product Checks)
-        if (hadMakeTests && slackMakeLines.length) {
-          const makeStatusBlock = `\n\nMake Webhook Stats -\n${slackMakeLines.map(l => `- ${l}`).join('\n')}`;
-          slackParts.push(`tests processed.${makeStatusBlock}`);
-        }
-      }
+/* Full-catalog export through the Bulk Operations API, streamed product by product */
+async function* scanProductsBulk(search) {
+  const url = await runBulkQuery({
+    graphql: shopifyGraphQL,
+    query: productsBulkQuery(search),
+    pollMs: BULK_POLL_MS,
+    sleep,
+    log: (m) => console.log(m),
+  });
+  if (!url) return;
+  const res = await axios.get(url, { responseType: 'stream', timeout: 120000 });
+  yield* readBulkProducts(res.data);
+}
 
-      const final = slackParts.length ? `${slackMsg} ${slackParts.join('')}` : slackMsg;
+/* Products in scope for a scan, page by page (read-only; used by report) */
+async function* scanProducts(search) {
+  let after = null;
+  while (true) {
+    const data = await shopifyGraphQL(PRODUCTS_PAGE_QUERY, { after, query: search });
+    yield* data.products.nodes;
+    if (!data.products.pageInfo.hasNextPage) return;
+    after = data.products.pageInfo.endCursor;
+  }
+}
 
-      // Determine routing: success channel only for pure successes
-      let routeSuccess = false;
-      if (hasNewProductChecks) {
-        routeSuccess = /checks passed/i.test(final) && !anyWebhookFailed;
-      } else if (hadMakeTests) {
-        routeSuccess = !anyWebhookFailed;
-      }
+/* One product's check verdict as printable lines; no Shopify writes, Make calls, Slack or ledger */
+async function describeChecks(p) {
+  const blocked = titleGuard(p);
+  if (blocked) return { ok: false, lines: [`FAIL  ${blocked}`] };
+  const { outcome } = await evaluateProduct(p);
+  const lines = [outcome.passed ? 'PASS' : 'FAIL'];
+  outcome.blocking.flatMap(r => r.lines).forEach((l, i) => lines.push(`  ${i + 1}. ${l}`));
+  outcome.warnings.flatMap(r => r.lines).forEach(l => lines.push(`  warning: ${l}`));
+  outcome.waived.forEach(r => lines.push(`  waived: ${describeWaived(r)}`));
+  return { ok: outcome.passed, lines };
+}
+
+async function checkCommand(ref) {
+  const p = await resolveProduct(ref);
+  if (!p) throw new Error(`No product found for '${ref}' (tried id, handle and SKU)`);
+  const labels = parseListFromMetafield(p.metafieldChanges);
+  console.log(`Product "${p.title}" ${p.id} (${p.handle}); status ${p.status}; labels ${labels.join(', ') || '-'}`);
+  const { ok, lines } = await describeChecks(p);
+  console.log(lines.join('\n'));
+  if (!ok) globalThis.process.exitCode = 1;
+}
+
+/* Labelled products in scope, with the checks each New Product Checks one would face */
+async function reportCommand({ labels = [], vendor = null } = {}) {
+  const counts = { products: 0, checked: 0, failing: 0 };
+  for await (const p of scanProducts(productSearch({ vendor }))) {
+    const pending = parseListFromMetafield(p.metafieldChanges).filter(l => !labels.length || labels.includes(l));
+    if (!pending.length) continue;
+    counts.products++;
+    console.log(`\n"${p.title}" ${p.id} [${p.status}] labels: ${pending.join(', ')}`);
+    if (!pending.includes(LABEL_NEW_PRODUCT_CHECKS)) continue;
+    const { ok, lines } = await describeChecks(p);
+    counts.checked++;
+    if (!ok) counts.failing++;
+    console.log(lines.join('\n'));
+  }
+  console.log(`\nReport: ${counts.products} labelled product(s); ${counts.checked} checked; ${counts.failing} failing.`);
+}
+
+/* Webhook mode: real-time checks per product; the scan above stays as the reconciliation pass */
+function serve() {
+  drainMakeQueue().catch(e => console.error('Make queue drain failed:', e.message || e));
+  const stats = newRunStats();
+  const runId = ledger.startRun({ mode: `${IS_DRY_RUN ? 'dry-run' : 'live'}:webhooks` });
+  const runCtx = { stats, runId };
+  if (IS_DRY_RUN) dryRunPlan = createPlan({ runId, mode: 'webhooks' });
+  const server = createWebhookServer({
+    secret: store.webhookSecret,
+    onProduct: async (productId, topic) => {
+      const p = await fetchProductById(productId);
+      await updateDescriptionIndex(productId, p);
+      if (!p) { console.warn(`Webhook ${topic}: product ${productId} not found; skipped.`); return; }
+      stats.processed++;
+      const { outcome, error } = await processProductIsolated(p, runCtx);
+      ledger.recordProduct(runId, p.id, outcome, error);
+      if (dryRunPlan) dryRunPlan.outcome(p.id, outcome);
+    },
+    onProductDeleted: (productId) => updateDescriptionIndex(productId, null),
+    slack: SLACK_SIGNING_SECRET ? { signingSecret: SLACK_SIGNING_SECRET, onAction: (a) => handleSlackAction(a, runCtx) } : null,
+  });
+  server.listen(WEBHOOK_PORT, () => {
+    console.log(`Listening for Shopify product webhooks${SLACK_SIGNING_SECRET ? ' and Slack actions' : ''} on :${server.address().port} (mode=${IS_DRY_RUN ? 'DRY RUN' : 'LIVE'})`);
+  });
+  const shutdown = () => {
+    server.close();
+    server.drain().then(() => {
+      ledger.finishRun(runId, { status: 'completed', summary: stats });
+      logRunSummary(stats);
+      savePlan();
+      globalThis.process.exit(0);
+    });
+  };
+  globalThis.process.on('SIGINT', shutdown);
+  globalThis.process.on('SIGTERM', shutdown);
+  return server;
+}
+
+/*
+  Slack button click (already signature-checked): optionally record a waiver,
+  put New Product Checks back on the product and run the pipeline for it.
+*/
+async function handleSlackAction(action, runCtx) {
+  if (action.store && action.store !== store.name) {
+    await slackRespond(action.responseUrl, `This button belongs to store ${action.store}; this endpoint serves ${store.name}.`);
+    return;
+  }
+  if (action.type === 'waiver' && !SLACK_ADMIN_USER_IDS.has(action.user.id)) {
+    await slackRespond(action.responseUrl, 'Only Slack admins listed in SLACK_ADMIN_USER_IDS can approve waivers.');
+    return;
+  }
+  const p = await fetchProductById(action.productId);
+  if (!p) {
+    await slackRespond(action.responseUrl, `Product ${action.productId} no longer exists.`);
+    return;
+  }
+
+  if (action.type === 'waiver' && action.checks.length) {
+    const expires = new Date(Date.now() + WAIVER_DAYS * 86400000).toISOString().slice(0, 10);
+    const current = parseWaivers(p.metafieldWaivers);
+    const waivers = mergeWaivers(current, action.checks.map(check => ({
+      check, reason: 'Approved from Slack', approvedBy: action.user.name || action.user.id, expires,
+    })));
+    if (IS_DRY_RUN) planChange(p.id, { type: 'check_waivers', from: current, to: waivers });
+    else await setCheckWaivers(p.id, waivers);
+    p.metafieldWaivers = { value: JSON.stringify(waivers) };
+    console.log(`Slack: ${action.user.id} waived ${action.checks.join(', ')} on ${p.id} until ${expires}.`);
+  }
+
+  const labels = parseListFromMetafield(p.metafieldChanges);
+  if (!labels.includes(LABEL_NEW_PRODUCT_CHECKS)) {
+    const next = [...labels, LABEL_NEW_PRODUCT_CHECKS];
+    if (IS_DRY_RUN) planChange(p.id, { type: 'product_changes', from: labels, to: next });
+    else await setProductChangesList(p.id, JSON.stringify(next));
+    p.metafieldChanges = { value: JSON.stringify(next) };
+  }
 
-      await slackPost(final, { success: routeSuccess });
+  const waived = action.type === 'waiver' ? `Waiver recorded for ${action.checks.join(', ')}. ` : '';
+  await slackRespond(action.responseUrl, `${waived}Re-running checks for "${p.title}" (requested by <@${action.user.id}>).`);
+  runCtx.stats.processed++;
+  const { outcome, error } = await processProductIsolated(p, runCtx);
+  ledger.recordProduct(runCtx.runId, p.id, outcome, error);
+  if (dryRunPlan) dryRunPlan.outcome(p.id, outcome);
+}
+
+/* Deliver Make calls a crashed process left in the queue before starting new work */
+async function drainMakeQueue() {
+  if (IS_DRY_RUN || !makeQueue.pendingCount()) return;
+  const { total, delivered } = await makeQueue.drainPending(applyDeliveryEffects);
+  console.log(`Make queue: re-delivered ${delivered}/${total} pending call(s) from an earlier run; the rest were dead-lettered.`);
+}
+
+/* dead-letters list | dead-letters replay <jobId...> | dead-letters replay --all */
+async function deadLettersCommand(args) {
+  const [action = 'list', ...rest] = args;
+  const jobs = makeQueue.listDeadLetters();
+  if (action === 'list') {
+    if (!jobs.length) { console.log('No dead-lettered Make calls.'); return; }
+    for (const j of jobs) {
+      console.log(`${j.id}  ${j.kind}  ${j.productId || '-'}  label=${j.label || '-'}  attempts=${j.attempts}  ${j.reason}  (${j.deadLetteredAt})`);
     }
+    console.log(`${jobs.length} dead-lettered call(s).`);
+    return;
+  }
+  if (action !== 'replay') throw new Error(`Unknown dead-letters action '${action}' (expected list or replay)`);
+
+  const ids = rest.includes('--all') ? null : rest;
+  if (ids && !ids.length) throw new Error('dead-letters replay needs job ids or --all');
+  if (IS_DRY_RUN) {
+    const selected = ids ? jobs.filter(j => ids.includes(j.id)) : jobs;
+    console.log(`[DRY RUN] would replay ${selected.length} call(s): ${selected.map(j => j.id).join(', ') || '(none)'}`);
+    return;
+  }
+  const results = await makeQueue.replayDeadLetters(ids, applyDeliveryEffects);
+  for (const r of results) {
+    console.log(`${r.id}: ${r.ok ? 'delivered' : `failed again (HTTP ${r.status || 'n/a'}); back in dead letters`}`);
+  }
+  if (results.some(r => !r.ok)) globalThis.process.exitCode = 1;
+}
 
-    if (!conn.pageInfo.hasNextPage) break;
-    after = conn.pageInfo.endCursor;
+/* Sets the quantities of the product's latest inventory snapshot back (lib/inventory-zeroing) */
+async function restoreInventoryCommand(ref) {
+  const p = await resolveProduct(ref);
+  if (!p) throw new Error(`No product found for '${ref}' (tried id, handle and SKU)`);
+  const snapshot = inventorySnapshots.restorable(p.id);
+  if (!snapshot) {
+    console.log(`No inventory snapshot for "${p.title}" ${p.id} since its last restore.`);
+    return;
   }
+  const { quantities } = snapshot;
+  const source = `${snapshot.snapshots} snapshot(s) since ${snapshot.since}`;
+  if (IS_DRY_RUN) {
+    console.log(`[DRY RUN] would restore ${quantities.length} on-hand level(s) for "${p.title}" from ${source}.`);
+    return;
+  }
+  const { written, errors } = await setOnHandQuantities(quantities, 'AutoZeroRestore');
+  if (errors.length) {
+    console.error(`Restored ${written} of ${quantities.length} on-hand level(s) for "${p.title}"; Shopify rejected the rest: ${errors.map(e => e.message).join('; ')}. The snapshots are kept for another try.`);
+    globalThis.process.exitCode = 1;
+    return;
+  }
+  inventorySnapshots.markRestored({ productId: p.id });
+  console.log(`Restored ${written} on-hand level(s) for "${p.title}" from ${source}.`);
+}
 
-  const last = apiStats.last || {};
+function logRunSummary(stats) {
+  const api = shopify.stats();
+  const last = api.last || {};
   console.log(
-    `Summary: scanned=${processed}; with_product_changes=${matchedAny}; passed=${passed}; failed=${failed}; mode=${IS_DRY_RUN ? 'DRY RUN' : 'LIVE'}`
+    `Summary: store=${store.name}; scanned=${stats.processed}; with_product_changes=${stats.matchedAny}; passed=${stats.passed}; failed=${stats.failed}; errored=${stats.errored}; mode=${IS_DRY_RUN ? 'DRY RUN' : 'LIVE'}`
   );
+  if (stats.errors.length) {
+    console.log(`Errored products (${stats.errors.length}):`);
+    for (const e of stats.errors) console.log(`  - [${e.category}] "${e.title}" ${e.productId}: ${e.message}`);
+  }
   console.log(
-    `Shopify API usage: calls=${apiStats.calls}; requested_cost=${apiStats.requested}; actual_cost=${apiStats.actual}; ` +
+    `Shopify API usage: calls=${api.calls}; requested_cost=${api.requested}; actual_cost=${api.actual}; ` +
+    `throttled=${api.throttled}; retries=${api.retries}; waited_ms=${api.waitedMs}; ` +
     `last_available=${last.currentlyAvailable ?? 'n/a'}/${last.maximumAvailable ?? 'n/a'}; restore_rate=${last.restoreRate ?? 'n/a'}/s`
   );
+  // Most expensive queries first
+  const byCost = Object.entries(api.byQuery).sort((a, b) => b[1].actual - a[1].actual);
+  for (const [op, q] of byCost) {
+    console.log(`  ${op}: calls=${q.calls}; actual_cost=${q.actual}; max_requested=${q.maxRequested}; throttled=${q.throttled}; retries=${q.retries}; waited_ms=${q.waitedMs}`);
+  }
 }
 
-run().catch(err => {
-  console.error(err?.response?.data || err.message || err);
-  if (globalThis.process && globalThis.process.exit) globalThis.process.exit(1);
-});
+async function main(argv) {
+  const cli = parseArgs(argv);
+  if (cli.dryRun !== null) IS_DRY_RUN = cli.dryRun;
+  if (cli.command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+
+  const selected = selectStores(stores, cli.stores);
+  if (cli.command === 'serve' && selected.length !== 1) {
+    throw new UsageError(`serve handles one store at a time; pick one with --store (${selected.map(s => s.name).join(', ')})`);
+  }
+
+  // Stores run one after another; a failure in one is reported and the rest still run
+  for (const profile of selected) {
+    activateStore(profile);
+    if (selected.length > 1) console.log(`\n=== Store ${profile.name} ===`);
+    try {
+      await runCommand(cli);
+    } catch (err) {
+      if (selected.length === 1 || err instanceof UsageError) throw err;
+      console.error(`Store ${profile.name} failed:`, err?.response?.data || err.message || err);
+      globalThis.process.exitCode = 1;
+    }
+  }
+}
+
+async function runCommand(cli) {
+  switch (cli.command) {
+    case 'dead-letters':
+      await deadLettersCommand(cli.args);
+      return;
+    case 'restore-inventory':
+      await restoreInventoryCommand(cli.args[0]);
+      return;
+    case 'serve':
+      if (!store.webhookSecret) throw new Error(`Missing webhook secret for store '${store.name}' (required for serve)`);
+      await loadStoreTables();
+      serve();
+      return;
+    case 'check':
+      IS_READ_ONLY = true;
+      await loadStoreTables();
+      await checkCommand(cli.args[0]);
+      return;
+    case 'report':
+      IS_READ_ONLY = true;
+      await loadStoreTables();
+      await reportCommand(cli);
+      return;
+    default: // scan | process
+      await loadStoreTables();
+      await run({
+        resume: cli.resume,
+        bulk: cli.bulk || SCAN_MODE === 'bulk',
+        labels: cli.labels,
+        vendor: cli.vendor,
+      });
+  }
+}
+
+if (require.main === module) {
+  main(globalThis.process.argv.slice(2)).catch(err => {
+    if (err instanceof UsageError) console.error(`${err.message}\n\n${USAGE}`);
+    else console.error(err?.response?.data || err.message || err);
+    if (globalThis.process && globalThis.process.exit) globalThis.process.exit(1);
+  });
+}
+
+module.exports = { processProduct, fetchProductById, run, serve };
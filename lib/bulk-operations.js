@@ -0,0 +1,106 @@
+const readline = require('readline');
+
+/* =========================
+   Bulk Operations API helpers
+
+   runBulkQuery starts a bulkOperationRunQuery, polls until it settles and
+   returns the result URL (null when the query matched nothing).
+   readBulkProducts streams that JSONL back as product nodes shaped like the
+   paged scan's, so the per-product pipeline does not care which mode fed it;
+   readBulkNodes yields the raw lines of a flat export (no nested connections).
+========================= */
+const BULK_RUN_QUERY = `
+  mutation BulkRunQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_STATUS_QUERY = `
+  query BulkOperationStatus($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+    }
+  }
+`;
+
+const TERMINAL_FAILURES = new Set(['FAILED', 'CANCELED', 'CANCELING', 'EXPIRED']);
+
+async function runBulkQuery({ graphql, query, pollMs = 5000, timeoutMs = 60 * 60 * 1000, sleep, log = () => {} }) {
+  const started = await graphql(BULK_RUN_QUERY, { query });
+  const errs = started?.bulkOperationRunQuery?.userErrors || [];
+  if (errs.length) throw new Error(`bulkOperationRunQuery: ${JSON.stringify(errs)}`);
+  const id = started.bulkOperationRunQuery.bulkOperation.id;
+  log(`Bulk operation ${id} started.`);
+
+  const deadline = Date.now() + timeoutMs;
+  while (true) {
+    const data = await graphql(BULK_STATUS_QUERY, { id });
+    const op = data?.node;
+    if (!op) throw new Error(`Bulk operation ${id} not found`);
+    if (op.status === 'COMPLETED') {
+      log(`Bulk operation ${id} completed: ${op.objectCount} object(s).`);
+      return op.url || null;
+    }
+    if (TERMINAL_FAILURES.has(op.status)) {
+      throw new Error(`Bulk operation ${id} ended ${op.status}${op.errorCode ? ` (${op.errorCode})` : ''}`);
+    }
+    if (Date.now() > deadline) throw new Error(`Bulk operation ${id} still ${op.status} after ${timeoutMs} ms`);
+    await sleep(pollMs);
+  }
+}
+
+/*
+  Bulk JSONL flattens nested connections: each variant/collection/image is its
+  own line carrying __parentId, written after its product. We rebuild one
+  product at a time and hand it over when the next product line starts.
+*/
+const CHILD_KINDS = [
+  ['gid://shopify/ProductVariant/', 'variants'],
+  ['gid://shopify/Collection/', 'collections'],
+  ['gid://shopify/ProductImage/', 'images'],
+  ['gid://shopify/MediaImage/', 'images'],
+];
+
+function emptyProduct(line) {
+  return {
+    ...line,
+    images: { edges: [] },
+    collections: { nodes: [], pageInfo: { hasNextPage: false, endCursor: null } },
+    variants: { nodes: [], pageInfo: { hasNextPage: false, endCursor: null } },
+  };
+}
+
+function attachChild(product, line) {
+  const kind = CHILD_KINDS.find(([prefix]) => String(line.id || '').startsWith(prefix));
+  if (!kind) return;
+  const { __parentId, ...node } = line;
+  if (kind[1] === 'images') product.images.edges.push({ node });
+  else product[kind[1]].nodes.push(node);
+}
+
+async function* readBulkNodes(stream) {
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const raw of rl) {
+    if (raw.trim()) yield JSON.parse(raw);
+  }
+}
+
+async function* readBulkProducts(stream) {
+  let current = null;
+  for await (const line of readBulkNodes(stream)) {
+    if (!line.__parentId) {
+      if (current) yield current;
+      current = emptyProduct(line);
+    } else if (current && line.__parentId === current.id) {
+      attachChild(current, line);
+    } else {
+      throw new Error(`Bulk result out of order: child ${line.id} of ${line.__parentId} after ${current?.id || 'start'}`);
+    }
+  }
+  if (current) yield current;
+}
+
+module.exports = { runBulkQuery, readBulkProducts, readBulkNodes, BULK_RUN_QUERY, BULK_STATUS_QUERY };
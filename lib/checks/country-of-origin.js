@@ -0,0 +1,27 @@
+const { parseStringFromMetafield } = require('../helpers');
+const { countryCodeFor } = require('../countries');
+
+/*
+  my_fields.country_of_origin must name a country, and every variant's
+  inventory item must carry its ISO code. The runner sets that code when
+  SYNC_COUNTRY_OF_ORIGIN=true; without the sync a mismatch only warns, since
+  nothing would repair it.
+*/
+module.exports = {
+  id: 'country-of-origin',
+  severity: 'block',
+  evaluate({ product, variants, api }) {
+    const name = parseStringFromMetafield(product.metafieldOrigin);
+    if (!name) return { ok: false, name };
+    const countryCode = countryCodeFor(name);
+    if (!countryCode) return { ok: false, name, countryCode };
+    const mismatched = variants.filter(v => (v.inventoryItem?.countryCodeOfOrigin || null) !== countryCode);
+    const syncing = api.syncsCountryOfOrigin();
+    return { ok: !mismatched.length, warnOnly: !syncing, variantIds: mismatched.map(v => v.id), name, countryCode, mismatched, syncing };
+  },
+  message: ({ name, countryCode, mismatched, syncing }) => {
+    if (!name) return 'Country of origin metafield is empty.';
+    if (!countryCode) return `Country of origin '${name}' is not a recognised country.`;
+    return `Inventory item country of origin is not ${countryCode} ('${name}') on ${mismatched.length} variant(s)${syncing ? '' : ' (SYNC_COUNTRY_OF_ORIGIN=true sets it)'}.`;
+  },
+};
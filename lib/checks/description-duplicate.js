@@ -0,0 +1,22 @@
+/*
+  No other product in the store may carry the same (or nearly the same)
+  description (lib/description). Warns by default; a store opts into blocking
+  with "severity": "block" on its "description-duplicate" config entry.
+*/
+module.exports = {
+  id: 'description-duplicate',
+  severity: 'warn',
+  async evaluate({ product, api, options }) {
+    const matches = await api.findSimilarDescriptions(product, options);
+    return { ok: !matches.length, matches };
+  },
+  message: ({ matches }) => {
+    const list = (ms) => ms.slice(0, 5).map(m => `"${m.title}"`).join(', ') + (ms.length > 5 ? ` and ${ms.length - 5} more` : '');
+    const exact = matches.filter(m => m.exact);
+    const near = matches.filter(m => !m.exact);
+    return [
+      exact.length && `Product description is identical to ${list(exact)}.`,
+      near.length && `Product description is a near duplicate of ${list(near)} (${Math.round(near[0].similarity * 100)}% similar).`,
+    ];
+  },
+};
@@ -0,0 +1,19 @@
+const { analyseDescription } = require('../description');
+
+const describe = {
+  empty: () => 'Product description is empty.',
+  min_words: ({ wordCount, minWords }) => `Product description is too short: ${wordCount} word(s), at least ${minWords} required.`,
+  banned: ({ phrases }) => `Product description contains placeholder text: ${phrases.map(p => `'${p}'`).join(', ')}.`,
+  template: ({ markers }) => `Product description has unfilled template markers: ${markers.map(m => `'${m}'`).join(', ')}.`,
+};
+
+/* Description must be real copy: long enough, no placeholder text or template markers (lib/description) */
+module.exports = {
+  id: 'description',
+  severity: 'block',
+  evaluate({ product, options }) {
+    const findings = analyseDescription(product.descriptionHtml, options);
+    return { ok: !findings.length, findings };
+  },
+  message: ({ findings }) => findings.map(f => describe[f.kind](f)),
+};
@@ -0,0 +1,14 @@
+/* No variant SKU may be used by another variant anywhere in the store */
+module.exports = {
+  id: 'duplicate-sku',
+  severity: 'block',
+  async evaluate({ variants, api }) {
+    const duplicateSkus = new Set();
+    for (const v of variants) {
+      const sku = v.sku ? String(v.sku).trim() : '';
+      if (sku && await api.hasDuplicateSkuStorewide(sku, v.id)) duplicateSkus.add(sku);
+    }
+    return { ok: !duplicateSkus.size, duplicateSkus: [...duplicateSkus] };
+  },
+  message: ({ duplicateSkus }) => `Duplicate SKUs found: ${duplicateSkus.join(', ')}`,
+};
@@ -0,0 +1,17 @@
+const { variantHsn } = require('../helpers');
+const { isHsnFormatValid } = require('../hsn');
+
+/* Every variant's inventory item must carry a harmonized system (HSN) code of 4, 6 or 8 digits */
+module.exports = {
+  id: 'hs-code',
+  severity: 'block',
+  evaluate({ variants }) {
+    const missing = variants.filter(v => !variantHsn(v));
+    const malformed = variants.filter(v => variantHsn(v) && !isHsnFormatValid(variantHsn(v)));
+    return { ok: !missing.length && !malformed.length, variantIds: [...missing, ...malformed].map(v => v.id), missing, malformed };
+  },
+  message: ({ missing, malformed }) => [
+    missing.length && `HS code missing on ${missing.length} variant(s).`,
+    malformed.length && `HS code is not a 4, 6 or 8 digit HSN on ${malformed.length} variant(s): ${malformed.map(v => `'${variantHsn(v)}'`).join(', ')}.`,
+  ],
+};
@@ -0,0 +1,24 @@
+const { parseStringFromMetafield, parseTaxPercent, variantHsn } = require('../helpers');
+
+/* custom.indian_tax_rate should be the GST rate the variants' HSN codes attract in the store's HSN rate table (lib/hsn).
+   Off by default: no table ships with the runner, so enable it once the store has one */
+module.exports = {
+  id: 'hsn-gst-rate',
+  severity: 'warn',
+  enabled: false,
+  evaluate({ product, variants, api }) {
+    const taxPercent = parseTaxPercent(parseStringFromMetafield(product.metafieldTax));
+    if (!taxPercent) return { ok: true }; // 'tax-rate' reports it
+    const mismatched = new Map(); // hsn -> rate it implies
+    const variantIds = [];
+    for (const v of variants) {
+      const { status, hsnRate } = api.assessHsn(variantHsn(v), taxPercent);
+      if (status !== 'mismatch') continue;
+      mismatched.set(variantHsn(v), hsnRate);
+      variantIds.push(v.id);
+    }
+    return { ok: !variantIds.length, variantIds, taxPercent, mismatched: [...mismatched], source: api.hsnRateSource() };
+  },
+  message: ({ taxPercent, mismatched, source }) =>
+    `Indian tax rate ${taxPercent}% disagrees with the GST rate of HSN ${mismatched.map(([hsn, rate]) => `${hsn} (${rate}%)`).join(', ')} (HSN rates: ${source}).`,
+};
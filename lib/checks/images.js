@@ -0,0 +1,31 @@
+const { resolveImageRules, validateImageRules, imageProblems, variantsMissingImage } = require('../images');
+
+/*
+  Product images must meet the image rules (lib/images): count, resolution,
+  aspect ratio, format, file size, variant images. Only the count is checked
+  unless the config or the store profile sets stricter rules.
+*/
+module.exports = {
+  id: 'images',
+  severity: 'block',
+  validate: validateImageRules,
+  evaluate({ product, variants, media, api, options }) {
+    const rules = resolveImageRules({ ...options, ...api.imageRules() });
+    const failing = media.filter(img => imageProblems(img, rules).length);
+    const missing = variantsMissingImage(product, variants, rules);
+    return {
+      ok: media.length >= rules.minCount && !failing.length && !missing.variants.length,
+      count: media.length,
+      minCount: rules.minCount,
+      mediaIds: failing.map(img => img.id),
+      variantIds: missing.variants.map(v => v.id),
+      visualOption: missing.option,
+    };
+  },
+  message: ({ count, minCount, mediaIds, variantIds, visualOption }) => [
+    count === 0 && minCount > 0 && 'No product images.',
+    count > 0 && count < minCount && `Only ${count} product image(s); at least ${minCount} required.`,
+    mediaIds.length && `${mediaIds.length} image(s) do not meet the image rules (see image table).`,
+    variantIds.length && `Variant image missing on ${variantIds.length} variant(s); '${visualOption}' changes how the product looks.`,
+  ],
+};
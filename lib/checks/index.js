@@ -0,0 +1,82 @@
+/* =========================
+   "New Product Checks" registry
+
+   Each check is a module exporting:
+     id        stable identifier, used in config
+     severity  'block' (fails the product) or 'warn' (reported only)
+     evaluate  (ctx) => { ok, variantIds?, mediaIds?, warnOnly?, ...details }   may be async;
+               warnOnly reports this failure as a warning whatever the severity
+     message   (result, ctx) => string | string[]         failure line(s)
+     validate  (options) => void                          optional; throws on bad config
+     enabled   false                                      optional; off until the config enables it
+
+   ctx = { product, variants, collections, media, api, options } where api
+   carries the runner's cached Shopify lookups and options is the check's
+   config entry. variantIds / mediaIds pick the rows of the Slack tables.
+   Order here is the order of failure lines.
+
+   Per-check overrides come from the "checks" section of the config file:
+     { "checks": { "images": { "enabled": false }, "pre-order": { "severity": "warn" } } }
+   Any other keys of an entry are options for that check (e.g. description minWords).
+========================= */
+const CHECKS = [
+  require('./title-forbidden-words'),
+  require('./title-length'),
+  require('./title-spacing'),
+  require('./title-vendor'),
+  require('./title-units'),
+  require('./tax-rate'),
+  require('./tax-rate-allowed'),
+  require('./tax-collection'),
+  require('./tax-parity'),
+  require('./linked-metafield'),
+  require('./variant-quantities'),
+  require('./duplicate-sku'),
+  require('./sku-main-item'),
+  require('./pre-order'),
+  require('./country-of-origin'),
+  require('./description'),
+  require('./description-duplicate'),
+  require('./images'),
+  require('./hs-code'),
+  require('./hsn-gst-rate'),
+];
+
+const SEVERITIES = ['block', 'warn'];
+
+function resolveChecks(overrides = {}) {
+  const known = new Set(CHECKS.map(c => c.id));
+  for (const id of Object.keys(overrides)) {
+    if (!known.has(id)) console.warn(`Config references unknown check '${id}'; ignoring.`);
+  }
+  return CHECKS
+    .filter(c => (overrides[c.id]?.enabled ?? c.enabled) !== false)
+    .map(c => {
+      const severity = overrides[c.id]?.severity || c.severity;
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid severity '${severity}' for check '${c.id}' (expected ${SEVERITIES.join('/')})`);
+      }
+      const options = overrides[c.id] || {};
+      if (c.validate) c.validate(options);
+      return { ...c, severity, options };
+    });
+}
+
+async function runChecks(checks, ctx) {
+  const results = [];
+  for (const check of checks) {
+    const checkCtx = { ...ctx, options: check.options || {} };
+    const r = (await check.evaluate(checkCtx)) || {};
+    const out = { id: check.id, severity: r.warnOnly ? 'warn' : check.severity, ok: !!r.ok, variantIds: r.variantIds || [], mediaIds: r.mediaIds || [], lines: [] };
+    if (!out.ok) {
+      const msg = check.message(r, checkCtx);
+      out.lines = (Array.isArray(msg) ? msg : [msg]).filter(Boolean);
+    }
+    results.push(out);
+  }
+  const blocking = results.filter(r => !r.ok && r.severity === 'block');
+  const warnings = results.filter(r => !r.ok && r.severity === 'warn');
+  return { results, blocking, warnings, passed: !blocking.length };
+}
+
+module.exports = { CHECKS, resolveChecks, runChecks };
@@ -0,0 +1,21 @@
+const { containsGlossaryTerm, isVariantQuantitiesLink } = require('../helpers');
+
+/* At least one unit-bearing option must be linked to custom.variant_quantities */
+module.exports = {
+  id: 'linked-metafield',
+  severity: 'block',
+  evaluate({ product, variants }) {
+    const namesWithUnits = new Set();
+    for (const v of variants) {
+      for (const so of v.selectedOptions || []) {
+        if (containsGlossaryTerm(so.value)) namesWithUnits.add(so.name);
+      }
+    }
+    if (!namesWithUnits.size) return { ok: true };
+    const anyLinked = [...namesWithUnits].some(name =>
+      isVariantQuantitiesLink((product.options || []).find(o => o.name === name))
+    );
+    return { ok: anyLinked };
+  },
+  message: () => 'None of the variant options which require bundling are linked to the "Variant Quantities" metaobject.',
+};
@@ -0,0 +1,11 @@
+const { parseStringFromMetafield } = require('../helpers');
+
+/* custom.pre_order_setting must be filled in */
+module.exports = {
+  id: 'pre-order',
+  severity: 'block',
+  evaluate({ product }) {
+    return { ok: !!parseStringFromMetafield(product.metafieldPreOrder) };
+  },
+  message: () => 'Pre-order setting is empty.',
+};
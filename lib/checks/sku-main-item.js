@@ -0,0 +1,22 @@
+const { expectedMainSkuParts } = require('../helpers');
+
+/* Every patterned SKU (ABC-2) needs its -0 main item (ABC-0) to exist somewhere in the store */
+module.exports = {
+  id: 'sku-main-item',
+  severity: 'block',
+  async evaluate({ variants, api }) {
+    const variantIds = [];
+    const missingMainGroups = new Map(); // groupKey -> expected main SKU
+    for (const v of variants) {
+      const parts = expectedMainSkuParts(String(v.sku || '').trim());
+      if (!parts) continue;
+      if (await api.skuExistsCaseInsensitive(parts.candidate)) continue;
+      variantIds.push(v.id);
+      missingMainGroups.set(parts.groupKey, parts.candidate);
+    }
+    return { ok: !variantIds.length, variantIds, missingMainGroups: [...missingMainGroups] };
+  },
+  message: ({ missingMainGroups }) => missingMainGroups.map(
+    ([groupKey, expected]) => `Main item missing for pattern '${groupKey}': expected '${expected}'.`
+  ),
+};
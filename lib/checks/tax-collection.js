@@ -0,0 +1,19 @@
+const { parseStringFromMetafield, parseTaxPercent, taxRateOfCollectionTitle, taxRateCollectionTitle } = require('../helpers');
+
+/* Product must sit in the "Shopify (India | Tax Rate X%)" collection matching its tax rate */
+module.exports = {
+  id: 'tax-collection',
+  severity: 'block',
+  evaluate({ product, collections }) {
+    const taxRaw = parseStringFromMetafield(product.metafieldTax);
+    const percentStr = parseTaxPercent(taxRaw);
+    const ok = !!(percentStr && collections.some(c => taxRateOfCollectionTitle(c.title) === percentStr));
+    return { ok, hasTax: !!taxRaw, percentStr };
+  },
+  message({ hasTax, percentStr }) {
+    if (!hasTax) return 'Tax collection not assigned.';
+    return percentStr
+      ? `Assign product to collection: ${taxRateCollectionTitle(percentStr)}.`
+      : 'Assign product to the appropriate Shopify (India | Tax Rate …%) collection.';
+  },
+};
@@ -0,0 +1,24 @@
+const { parseStringFromMetafield, expectedMainSkuParts } = require('../helpers');
+
+/* Composite variants must carry the same tax rate as the product owning their -0 main item */
+module.exports = {
+  id: 'tax-parity',
+  severity: 'block',
+  async evaluate({ product, variants, api }) {
+    const taxRaw = parseStringFromMetafield(product.metafieldTax);
+    const seen = new Set();
+    for (const v of variants) {
+      const parts = expectedMainSkuParts(String(v.sku || '').trim());
+      if (!parts || seen.has(parts.groupKey)) continue;
+      seen.add(parts.groupKey);
+      try {
+        const mn = await api.getVariantNodeByExactSku(parts.candidate);
+        if (!mn?.product?.id) continue;
+        const mainTax = await api.getProductTax(mn.product.id);
+        if (String(mainTax) !== String(taxRaw)) return { ok: false };
+      } catch {}
+    }
+    return { ok: true };
+  },
+  message: () => 'Mismatch in tax between composite and main product.',
+};
@@ -0,0 +1,15 @@
+const { parseStringFromMetafield, parseTaxPercent } = require('../helpers');
+
+/* custom.indian_tax_rate must be one of the store's catalogue rates (lib/tax-catalog) */
+module.exports = {
+  id: 'tax-rate-allowed',
+  severity: 'block',
+  evaluate({ product, api }) {
+    const taxRaw = parseStringFromMetafield(product.metafieldTax);
+    if (!taxRaw) return { ok: true }; // 'tax-rate' reports the empty case
+    const percentStr = parseTaxPercent(taxRaw);
+    return { ok: !!percentStr && api.isAllowedTaxRate(percentStr), taxRaw, allowed: api.allowedTaxRates() };
+  },
+  message: ({ taxRaw, allowed }) =>
+    `Indian tax rate '${taxRaw}' is not an allowed rate (allowed: ${allowed.map(r => `${r}%`).join(', ') || 'none configured'}).`,
+};
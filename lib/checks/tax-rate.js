@@ -0,0 +1,11 @@
+const { parseStringFromMetafield } = require('../helpers');
+
+/* custom.indian_tax_rate must be filled in */
+module.exports = {
+  id: 'tax-rate',
+  severity: 'block',
+  evaluate({ product }) {
+    return { ok: !!parseStringFromMetafield(product.metafieldTax) };
+  },
+  message: () => 'Indian tax rate is empty.',
+};
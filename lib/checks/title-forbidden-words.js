@@ -0,0 +1,12 @@
+const { findForbiddenWord } = require('../title-lint');
+
+/* Title and handle must not contain a forbidden word ("copy", "test", ...); see lib/title-lint */
+module.exports = {
+  id: 'title-forbidden-words',
+  severity: 'block',
+  evaluate({ product, options }) {
+    const hit = findForbiddenWord(product, options.words);
+    return { ok: !hit, ...hit };
+  },
+  message: ({ word, where }) => `Product ${where} contains "${word}".`,
+};
@@ -0,0 +1,13 @@
+const { DEFAULT_MAX_TITLE_LENGTH } = require('../title-lint');
+
+/* Title must fit the storefront and marketplace limits */
+module.exports = {
+  id: 'title-length',
+  severity: 'warn',
+  evaluate({ product, options }) {
+    const max = options.max || DEFAULT_MAX_TITLE_LENGTH;
+    const length = String(product.title || '').trim().length;
+    return { ok: length <= max, length, max };
+  },
+  message: ({ length, max }) => `Title is ${length} characters long; at most ${max} allowed.`,
+};
@@ -0,0 +1,12 @@
+const { spacingProblems } = require('../title-lint');
+
+/* Title must not have leading/trailing or double spaces */
+module.exports = {
+  id: 'title-spacing',
+  severity: 'warn',
+  evaluate({ product }) {
+    const problems = spacingProblems(product.title);
+    return { ok: !problems.length, problems };
+  },
+  message: ({ problems }) => `Title has ${problems.join(' and ')}.`,
+};
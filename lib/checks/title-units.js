@@ -0,0 +1,12 @@
+const { redundantTitleUnit } = require('../title-lint');
+
+/* No units in the title when the variant options already carry them */
+module.exports = {
+  id: 'title-units',
+  severity: 'warn',
+  evaluate({ product, variants }) {
+    const hit = redundantTitleUnit(product.title, variants);
+    return { ok: !hit, ...hit };
+  },
+  message: ({ term, options }) => `Title mentions '${term}' although the ${options.join(', ')} option(s) already carry units.`,
+};
@@ -0,0 +1,19 @@
+const { vendorPlacementOk, VENDOR_POSITIONS } = require('../title-lint');
+
+const PLACEMENT = { prefix: 'start with', suffix: 'end with', either: 'start or end with' };
+
+/* Title must start and/or end with the vendor name; off until "position" is configured */
+module.exports = {
+  id: 'title-vendor',
+  severity: 'warn',
+  validate(options) {
+    if (options.position && !VENDOR_POSITIONS.includes(options.position)) {
+      throw new Error(`Invalid position '${options.position}' for check 'title-vendor' (expected ${VENDOR_POSITIONS.join('/')})`);
+    }
+  },
+  evaluate({ product, options }) {
+    if (!options.position) return { ok: true };
+    return { ok: vendorPlacementOk(product.title, product.vendor, options.position), vendor: product.vendor, position: options.position };
+  },
+  message: ({ vendor, position }) => `Title must ${PLACEMENT[position]} the vendor "${vendor}".`,
+};
@@ -0,0 +1,58 @@
+const { linkedOptionName, selectedValueForLinkedOption, linkedMetaobjectId } = require('../helpers');
+const { parseQuantity, compareWithVariantOptions } = require('../quantity');
+
+const quoted = (list) => list.map(s => `'${s}'`).join(', ');
+
+/*
+  Values of the option linked to custom.variant_quantities must parse and
+  agree with the variant_options metaobject each value links to (lib/quantity)
+*/
+module.exports = {
+  id: 'variant-quantities',
+  severity: 'block',
+  async evaluate({ product, variants, api }) {
+    const linked = linkedOptionName(product);
+    if (!linked) return { ok: true };
+    const unparsed = new Map(), missing = new Map(), mismatched = new Map(); // value -> detail
+    const variantIds = new Set();
+    for (const v of variants) {
+      const value = selectedValueForLinkedOption(v, linked);
+      if (!value) continue;
+      const parsed = parseQuantity(value);
+      if (!parsed) {
+        unparsed.set(value, value);
+        variantIds.add(v.id);
+        continue;
+      }
+      const metaobjectId = linkedMetaobjectId(product, linked, value);
+      const meta = metaobjectId ? await api.getVariantOptionsMeta(metaobjectId) : { found: false };
+      if (!meta.found) {
+        missing.set(value, `'${value}'`);
+        variantIds.add(v.id);
+        continue;
+      }
+      const problems = compareWithVariantOptions(parsed, {
+        base_unit: meta.variant_base_unit,
+        reference_unit: meta.variant_reference_unit,
+        numeric_value: meta.variant_numeric_quantity,
+      });
+      if (problems.length) {
+        mismatched.set(value, `variant_options '${meta.handle}' does not match '${value}': ${problems.map(p => `${p.field} '${p.actual}', expected ${p.expected}`).join('; ')}.`);
+        variantIds.add(v.id);
+      }
+    }
+    return {
+      ok: !variantIds.size,
+      variantIds: [...variantIds],
+      option: linked,
+      unparsed: [...unparsed.values()],
+      missing: [...missing.values()],
+      mismatched: [...mismatched.values()],
+    };
+  },
+  message: ({ option, unparsed, missing, mismatched }) => [
+    unparsed.length && `${option} value(s) not understood as a quantity: ${quoted(unparsed)}.`,
+    missing.length && `${option} value(s) not linked to a variant_options metaobject: ${missing.join(', ')}.`,
+    ...mismatched,
+  ],
+};
@@ -0,0 +1,89 @@
+/* =========================
+   Command-line parsing
+
+   node index.js [command] [args] [flags]; no command means `scan`, so the
+   scheduled `node index.js` keeps doing what it always did.
+========================= */
+const USAGE = `Usage: node index.js [command] [options]
+
+Commands:
+  scan                       process every product with product_changes labels (default)
+  process --label <label>    like scan, but only act on the given label(s); repeatable
+  check <id|handle|sku>      run the checks on one product and print the result; changes nothing
+  report                     print check results for every labelled product; changes nothing
+  serve                      receive Shopify product webhooks (same as --serve)
+  dead-letters list | replay <jobId...> | replay --all
+  restore-inventory <id|handle|sku>
+                             put back the on-hand quantities the last inventory zeroing replaced
+
+Options:
+  --dry-run | --live         override DRY_RUN for this invocation
+  --store <name>             only this store profile; repeatable (default: every configured store)
+  --vendor <name>            scan/process/report: only products from this vendor
+  --bulk                     scan/process: use the Bulk Operations API
+  --resume                   scan: continue the last interrupted run
+`;
+
+const COMMANDS = ['scan', 'process', 'check', 'report', 'serve', 'dead-letters', 'restore-inventory', 'help'];
+const VALUE_FLAGS = { '--label': 'labels', '--store': 'stores', '--vendor': 'vendor' };
+const REPEATABLE = ['labels', 'stores'];
+const BOOLEAN_FLAGS = { '--dry-run': 'dryRun', '--live': 'live', '--bulk': 'bulk', '--resume': 'resume', '--serve': 'serve', '--help': 'help' };
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const out = { command: null, args: [], labels: [], stores: [], vendor: null, dryRun: null, bulk: false, resume: false };
+  const rest = [...argv];
+
+  if (rest.length && !rest[0].startsWith('--')) {
+    out.command = rest.shift();
+    if (!COMMANDS.includes(out.command)) throw new UsageError(`Unknown command '${out.command}'`);
+  }
+  // dead-letters keeps its own argument grammar (replay --all)
+  if (out.command === 'dead-letters') {
+    for (let i = rest.indexOf('--store'); i !== -1; i = rest.indexOf('--store')) {
+      if (rest[i + 1] === undefined) throw new UsageError('--store needs a value');
+      out.stores.push(...rest.splice(i, 2).slice(1));
+    }
+    out.args = rest.filter(a => a !== '--dry-run' && a !== '--live');
+    applyMode(out, rest.includes('--dry-run'), rest.includes('--live'));
+    return out;
+  }
+
+  const seen = {};
+  while (rest.length) {
+    const arg = rest.shift();
+    if (VALUE_FLAGS[arg]) {
+      const value = rest.shift();
+      if (value === undefined || value.startsWith('--')) throw new UsageError(`${arg} needs a value`);
+      if (REPEATABLE.includes(VALUE_FLAGS[arg])) out[VALUE_FLAGS[arg]].push(value);
+      else out[VALUE_FLAGS[arg]] = value;
+    } else if (BOOLEAN_FLAGS[arg]) {
+      seen[BOOLEAN_FLAGS[arg]] = true;
+    } else if (arg.startsWith('--')) {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else {
+      out.args.push(arg);
+    }
+  }
+
+  if (seen.help) out.command = 'help';
+  if (seen.serve && !out.command) out.command = 'serve';
+  out.command = out.command || 'scan';
+  out.bulk = !!seen.bulk;
+  out.resume = !!seen.resume;
+  applyMode(out, seen.dryRun, seen.live);
+
+  if (out.command === 'check' && out.args.length !== 1) throw new UsageError('check needs exactly one product id, handle or SKU');
+  if (out.command === 'restore-inventory' && out.args.length !== 1) throw new UsageError('restore-inventory needs exactly one product id, handle or SKU');
+  if (out.command === 'process' && !out.labels.length) throw new UsageError('process needs at least one --label');
+  if (out.resume && (out.vendor || out.labels.length)) throw new UsageError('--resume cannot be combined with --vendor or --label');
+  return out;
+}
+
+function applyMode(out, dryRun, live) {
+  if (dryRun && live) throw new UsageError('--dry-run and --live are mutually exclusive');
+  out.dryRun = dryRun ? true : live ? false : null;
+}
+
+module.exports = { parseArgs, UsageError, USAGE };
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = 'product-checks.config.json';
+
+/* Optional JSON config; a missing file means "all defaults" */
+function loadConfig(file) {
+  const resolved = path.resolve(file || DEFAULT_CONFIG_FILE);
+  if (!fs.existsSync(resolved)) {
+    if (file) throw new Error(`Config file not found: ${resolved}`);
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid config file ${resolved}: ${e.message}`);
+  }
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,72 @@
+/* =========================
+   Country names -> ISO 3166-1 alpha-2 codes
+
+   For my_fields.country_of_origin, which holds a free-text name ("India",
+   "USA", "Türkiye") while inventory items take a CountryCode. English names
+   come from Intl.DisplayNames, so they follow Node's ICU data; ALIASES keeps
+   older and colloquial names working. Matching ignores case, accents and
+   punctuation; a bare two-letter code is accepted as well.
+========================= */
+// Regions, pseudo-locales and withdrawn codes (BU, ZR, SU...) that ICU also names
+const NOT_COUNTRIES = new Set(['EU', 'EZ', 'UN', 'QO', 'XA', 'XB', 'ZZ', 'AN', 'BU', 'CS', 'DD', 'DY', 'FX', 'HV', 'NH', 'RH', 'SU', 'TP', 'UK', 'VD', 'YD', 'YU', 'ZR']);
+
+const ALIASES = {
+  'usa': 'US', 'us': 'US', 'u s a': 'US', 'united states of america': 'US', 'america': 'US',
+  'uk': 'GB', 'u k': 'GB', 'great britain': 'GB', 'britain': 'GB', 'england': 'GB', 'scotland': 'GB', 'wales': 'GB',
+  'uae': 'AE',
+  'turkey': 'TR',
+  'czech republic': 'CZ',
+  'burma': 'MM',
+  'hong kong': 'HK',
+  'macau': 'MO', 'macao': 'MO',
+  'korea': 'KR', 'republic of korea': 'KR',
+  'north korea': 'KP',
+  'viet nam': 'VN',
+  'holland': 'NL',
+  'ivory coast': 'CI',
+  'prc': 'CN', 'peoples republic of china': 'CN',
+  'russian federation': 'RU',
+  'swaziland': 'SZ',
+  'macedonia': 'MK',
+  'drc': 'CD', 'democratic republic of the congo': 'CD', 'dr congo': 'CD',
+  'republic of the congo': 'CG',
+};
+
+const normalise = (name) => String(name || '')
+  .normalize('NFD').replace(/[̀-ͯ]/g, '')
+  .toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').replace(/\bsaint\b/g, 'st').trim();
+
+let byName = null;
+let codes = null;
+function nameTable() {
+  if (byName) return byName;
+  byName = new Map(Object.entries(ALIASES));
+  codes = new Set();
+  const names = new Intl.DisplayNames(['en'], { type: 'region' });
+  for (let a = 65; a <= 90; a++) {
+    for (let b = 65; b <= 90; b++) {
+      const code = String.fromCharCode(a, b);
+      if (NOT_COUNTRIES.has(code)) continue;
+      let name;
+      try { name = names.of(code); } catch { continue; }
+      if (!name || name === code) continue;
+      codes.add(code);
+      byName.set(normalise(name), code);
+      const short = name.replace(/\s*\(.*\)$/, '').replace(/\s+SAR China$/, ''); // "Myanmar (Burma)", "Hong Kong SAR China"
+      if (short !== name && !byName.has(normalise(short))) byName.set(normalise(short), code);
+    }
+  }
+  return byName;
+}
+
+/* ISO alpha-2 code for a country name or code, or null when unknown */
+function countryCodeFor(name) {
+  const raw = String(name || '').trim();
+  if (!raw) return null;
+  const table = nameTable();
+  if (ALIASES[normalise(raw)]) return ALIASES[normalise(raw)];
+  if (codes.has(raw.toUpperCase())) return raw.toUpperCase();
+  return table.get(normalise(raw)) || null;
+}
+
+module.exports = { countryCodeFor };
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { stripHtmlToText } = require('./helpers');
+
+/* =========================
+   Product description analyser
+
+   Works on the visible text of descriptionHtml (stripHtmlToText). Findings:
+     empty       no visible text
+     min_words   fewer than `minWords` words
+     banned      placeholder phrases ("lorem ipsum", "TBD", ...), whole words only
+     template    unfilled template markers ({{ size }}, [INSERT ...], %%name%%)
+   Options come from the "description" entry of the config "checks" section:
+     { "minWords": 25, "bannedPhrases": ["coming soon"] }   bannedPhrases adds to the defaults
+
+   The description index holds every product's text so duplicates can be
+   found: identical after normalising case, punctuation and spacing, or near
+   duplicates whose word 3-gram sets overlap (Jaccard) at least `threshold`
+   ("description-duplicate" config entry, default 0.9). openDescriptionIndex
+   saves it to a file and refreshes it like the SKU index (lib/sku-index):
+   products updated since the last save, and a full rebuild after maxAgeMs.
+========================= */
+const DEFAULT_MIN_WORDS = 5;
+const DEFAULT_BANNED_PHRASES = ['lorem ipsum', 'tbd', 'tba', 'to be decided', 'to be added', 'description here', 'placeholder', 'sample text'];
+const TEMPLATE_MARKERS = [
+  /\{\{[^}]*\}\}/g,          // {{ size }}
+  /\{%[^%]*%\}/g,            // {% if %}
+  /\[\[[^\]]*\]\]/g,         // [[material]]
+  /\[(?:insert|add|enter|your|product|brand)\b[^\]]*\]/gi, // [Insert dimensions]
+  /%%\w+%%/g,                // %%name%%
+  /\b(?:TODO|FIXME|XXX+)\b/g,
+];
+const NEAR_DUPLICATE_THRESHOLD = 0.9;
+const SHINGLE_SIZE = 3;
+const MIN_SHINGLES = 10; // shorter texts are only compared exactly
+const REFRESH_OVERLAP_MS = 5 * 60 * 1000;
+const FILE_VERSION = 1;
+
+const wordsOf = (text) => String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function analyseDescription(html, { minWords = DEFAULT_MIN_WORDS, bannedPhrases = [] } = {}) {
+  const text = stripHtmlToText(html);
+  if (!text) return [{ kind: 'empty' }];
+
+  const findings = [];
+  const wordCount = wordsOf(text).length;
+  if (wordCount < minWords) findings.push({ kind: 'min_words', wordCount, minWords });
+
+  const banned = [...DEFAULT_BANNED_PHRASES, ...bannedPhrases]
+    .filter((phrase) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(phrase)}(?![\\p{L}\\p{N}])`, 'iu').test(text));
+  if (banned.length) findings.push({ kind: 'banned', phrases: [...new Set(banned.map(p => p.toLowerCase()))] });
+
+  const markers = TEMPLATE_MARKERS.flatMap(re => text.match(re) || []);
+  if (markers.length) findings.push({ kind: 'template', markers: [...new Set(markers)] });
+  return findings;
+}
+
+function shinglesOf(words) {
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) set.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  return set;
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  for (const s of small) if (large.has(s)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/* `products` are { id, title, descriptionHtml } */
+function createDescriptionIndex(products = []) {
+  const entries = new Map(); // product id -> { title, normalised, shingles }
+
+  const prepare = (html) => {
+    const words = wordsOf(stripHtmlToText(html));
+    return { normalised: words.join(' '), shingles: shinglesOf(words) };
+  };
+
+  function upsert({ id, title, descriptionHtml }) {
+    const entry = prepare(descriptionHtml);
+    if (entry.normalised) entries.set(id, { title, ...entry });
+    else entries.delete(id);
+  }
+
+  products.forEach(upsert);
+
+  return {
+    upsert,
+    remove(id) { entries.delete(id); },
+    /* Normalised text stands in for the HTML: it prepares to the same entry */
+    products() { return [...entries].map(([id, e]) => ({ id, title: e.title, descriptionHtml: e.normalised })); },
+    /* Other products sharing the description: [{ id, title, similarity, exact }], most similar first */
+    matches({ id, descriptionHtml }, { threshold = NEAR_DUPLICATE_THRESHOLD } = {}) {
+      const own = prepare(descriptionHtml);
+      if (!own.normalised) return [];
+      const comparable = own.shingles.size >= MIN_SHINGLES;
+      const found = [];
+      for (const [otherId, other] of entries) {
+        if (otherId === id) continue;
+        if (other.normalised === own.normalised) {
+          found.push({ id: otherId, title: other.title, similarity: 1, exact: true });
+          continue;
+        }
+        if (!comparable || other.shingles.size < MIN_SHINGLES) continue;
+        // Jaccard can only reach the threshold when the sizes are close
+        const ratio = Math.min(own.shingles.size, other.shingles.size) / Math.max(own.shingles.size, other.shingles.size);
+        if (ratio < threshold) continue;
+        const similarity = jaccard(own.shingles, other.shingles);
+        if (similarity >= threshold) found.push({ id: otherId, title: other.title, similarity, exact: false });
+      }
+      return found.sort((a, b) => b.similarity - a.similarity);
+    },
+    get size() { return entries.size; },
+  };
+}
+
+function readIndexFile(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return saved.version === FILE_VERSION && Array.isArray(saved.products) ? saved : null;
+  } catch {
+    return null; // unreadable: rebuild
+  }
+}
+
+function writeIndexFile(file, { builtAt, refreshedAt, index }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ version: FILE_VERSION, builtAt, refreshedAt, products: index.products() }));
+  fs.renameSync(tmp, file);
+}
+
+/*
+  `fetchProducts(updatedSince)` yields { id, title, descriptionHtml }: every
+  product when updatedSince is null, else those updated after that ISO timestamp.
+  save: false reads the file but leaves it as it was. Resolves { index, mode: 'built' | 'refreshed', fetched }.
+*/
+async function openDescriptionIndex({ fetchProducts, file = null, save = true, maxAgeMs = 24 * 60 * 60 * 1000, now = () => Date.now() }) {
+  const startedAt = new Date(now()).toISOString();
+  const saved = readIndexFile(file);
+  const reusable = saved && now() - Date.parse(saved.builtAt) < maxAgeMs;
+
+  const index = createDescriptionIndex(reusable ? saved.products : []);
+  const since = reusable ? new Date(Date.parse(saved.refreshedAt) - REFRESH_OVERLAP_MS).toISOString() : null;
+  let fetched = 0;
+  for await (const p of fetchProducts(since)) {
+    index.upsert(p);
+    fetched++;
+  }
+
+  const builtAt = reusable ? saved.builtAt : startedAt;
+  if (file && save) writeIndexFile(file, { builtAt, refreshedAt: startedAt, index });
+  return { index, mode: reusable ? 'refreshed' : 'built', fetched };
+}
+
+module.exports = { DEFAULT_MIN_WORDS, DEFAULT_BANNED_PHRASES, analyseDescription, createDescriptionIndex, openDescriptionIndex };
@@ -0,0 +1,35 @@
+const { ShopifyApiError } = require('./shopify-client');
+
+/* =========================
+   Per-product error classification
+
+   A throw while one product is processed is caught by the runner, classified,
+   posted to the failure channel and counted; the scan moves on.
+     shopify   Admin API failures and mutation userErrors (ShopifyApiError)
+     webhook   a Make call could not be queued or attempted
+     slack     posting to Slack failed
+     data      anything else, e.g. a product missing a field the pipeline needs
+========================= */
+const ERROR_CATEGORIES = ['shopify', 'webhook', 'slack', 'data'];
+
+class PipelineError extends Error {
+  constructor(category, message, { cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'PipelineError';
+    this.category = category;
+  }
+}
+
+function classifyError(err) {
+  if (ERROR_CATEGORIES.includes(err?.category)) return err.category;
+  if (err instanceof ShopifyApiError) return 'shopify';
+  return 'data';
+}
+
+/* One line, short enough for Slack and the summary */
+function errorMessage(err) {
+  const detail = err?.response?.data ? JSON.stringify(err.response.data) : (err?.message || String(err));
+  return detail.length > 300 ? `${detail.slice(0, 299)}…` : detail;
+}
+
+module.exports = { ERROR_CATEGORIES, PipelineError, classifyError, errorMessage };
@@ -0,0 +1,144 @@
+/* =========================
+   Pure helpers shared by the runner and the checks
+========================= */
+const GLOSSARY_TERMS = [
+  'g', 'gm', 'gms', 'gram', 'grams',
+  'kg', 'kgs', 'kilogram', 'kilograms',
+  'ml', 'millilitre', 'millilitres', 'millilizer', 'milliliter', 'milliliters',
+  'l', 'ltr', 'litre', 'litres', 'liter', 'liters',
+  'piece', 'pieces', 'pc', 'pcs',
+  'roll', 'rolls', 'sheet', 'sheets',
+  'pack', 'packs', 'pack-of', 'pack of', 'packof'
+];
+
+function parseListFromMetafield(mf) {
+  if (!mf || mf.value == null) return [];
+  const v = String(mf.value).trim();
+  try { const parsed = JSON.parse(v); return Array.isArray(parsed) ? parsed : []; }
+  catch { return []; }
+}
+function parseStringFromMetafield(mf) { return (!mf || mf.value == null) ? '' : String(mf.value).trim(); }
+function parseTaxPercent(raw) { const m = raw ? String(raw).match(/^([0-9]+(?:\.[0-9]+)?)%/) : null; return m ? m[1] : null; }
+/* "Shopify (India | Tax Rate 18%)" -> '18'; null for any other collection */
+function taxRateOfCollectionTitle(title) {
+  const m = title && /shopify/i.test(title) ? String(title).match(/Tax Rate\s+([0-9]+(?:\.[0-9]+)?)%/i) : null;
+  return m ? m[1] : null;
+}
+const taxRateCollectionTitle = (percentStr) => `Shopify (India | Tax Rate ${percentStr}%)`;
+function parseBooleanFromMetafield(mf) {
+  if (!mf || mf.value == null) return null;
+  const v = String(mf.value).trim().toLowerCase();
+  if (v === 'true') return true;
+  if (v === 'false') return false;
+  return null;
+}
+
+function containsGlossaryTerm(text) {
+  if (!text) return null;
+  const s = String(text).toLowerCase();
+  if (/\bpack(?:[- ]?of)?\b/.test(s) || /\bpackof\b/.test(s) || /\bpacks?\b/.test(s)) return 'pack';
+  const SHORT_UNITS = ['g','gm','gms','kg','kgs','ml','l','ltr'];
+  for (const u of SHORT_UNITS) {
+    const re = new RegExp(`(?:^|\\W)(?:\\d+\\s*${u}|${u}\\s*\\d+)(?:\\W|$)`, 'i');
+    if (re.test(s)) return u;
+  }
+  const LONG_TERMS = GLOSSARY_TERMS.filter(t => !SHORT_UNITS.includes(t));
+  for (const term of LONG_TERMS) {
+    const re = new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+    if (re.test(s)) return term;
+  }
+  return null;
+}
+
+function stripHtmlToText(html) {
+  if (!html) return '';
+  const noTags = String(html).replace(/<[^>]*>/g, ' ');
+  return noTags.replace(/&nbsp;/gi, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function variantLabel(v) {
+  const parts = (v.selectedOptions || []).map(so => `${so.name}: ${so.value}`);
+  return parts.join(', ') || v.id;
+}
+
+function variantHsn(v) {
+  return v?.inventoryItem?.harmonizedSystemCode ? String(v.inventoryItem.harmonizedSystemCode).trim() : '';
+}
+
+function expectedMainSkuParts(sku) {
+  const m = String(sku || '').match(/^(.+)-(\d+)([A-Za-z]*)$/);
+  if (!m) return null;
+  const base = m[1];
+  const digits = m[2];
+  const tail = m[3] || '';
+  const candidate = `${base}-0${tail}`;
+  const groupKey = `${base}${tail}`.toLowerCase();
+  return { base, digits: Number(digits), tail, candidate, groupKey };
+}
+
+function isVariantQuantitiesLink(option) {
+  return option?.linkedMetafield?.namespace === 'custom' && option?.linkedMetafield?.key === 'variant_quantities';
+}
+function linkedOptionName(productNode) {
+  const opt = (productNode?.options || []).find(isVariantQuantitiesLink);
+  return opt ? opt.name : null;
+}
+function selectedValueForLinkedOption(variantNode, linkedName) {
+  if (!linkedName) return null;
+  const hit = (variantNode?.selectedOptions || []).find(so => so.name === linkedName);
+  return hit ? String(hit.value).trim() : null;
+}
+/* Metaobject the linked option's value points at (options { optionValues { name linkedMetafieldValue } }) */
+function linkedMetaobjectId(productNode, linkedName, value) {
+  const opt = (productNode?.options || []).find(o => o.name === linkedName);
+  const hit = (opt?.optionValues || []).find(ov => String(ov.name).trim() === value);
+  return hit?.linkedMetafieldValue || null;
+}
+function computeVariantTitle(productTitle, variantNode) {
+  const vt = variantNode?.title ? String(variantNode.title).trim() : '';
+  return vt ? `${productTitle} — ${vt}` : productTitle;
+}
+
+/* product-level HSN (only if unique across variants) */
+function getUniqueHsnFromVariants(variants = []) {
+  const hsSet = new Set();
+  for (const v of variants) {
+    const hs = variantHsn(v);
+    if (hs) hsSet.add(hs);
+  }
+  return hsSet.size === 1 ? [...hsSet][0] : null;
+}
+
+/* [{ hsn, variants }] for each HS code present, in first-seen order; variants without one are left out */
+function groupVariantsByHsn(variants = []) {
+  const groups = new Map();
+  for (const v of variants) {
+    const hs = variantHsn(v);
+    if (!hs) continue;
+    if (!groups.has(hs)) groups.set(hs, []);
+    groups.get(hs).push(v);
+  }
+  return [...groups].map(([hsn, vs]) => ({ hsn, variants: vs }));
+}
+
+module.exports = {
+  GLOSSARY_TERMS,
+  parseListFromMetafield,
+  parseStringFromMetafield,
+  parseTaxPercent,
+  taxRateOfCollectionTitle,
+  taxRateCollectionTitle,
+  parseBooleanFromMetafield,
+  containsGlossaryTerm,
+  stripHtmlToText,
+  variantLabel,
+  variantHsn,
+  expectedMainSkuParts,
+  isVariantQuantitiesLink,
+  linkedOptionName,
+  selectedValueForLinkedOption,
+  linkedMetaobjectId,
+  computeVariantTitle,
+  getUniqueHsnFromVariants,
+  groupVariantsByHsn,
+};
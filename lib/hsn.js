@@ -0,0 +1,71 @@
+/* =========================
+   HSN codes and their GST rates
+
+   India's GST rules use 4-, 6- or 8-digit HSN codes; anything else on a
+   variant's harmonizedSystemCode is a typo.
+
+   No GST rate table ships with the runner, so the hsn-gst-rate check is off
+   until the config enables it. Each store keeps its own table: "hsnGstRates"
+   in its profile or config ({ "4820": 18, "482020": 0 }), or metaobjects of
+   the profile's "hsnRateMetaobject" type with fields hsn and gst_rate, which
+   replace it whenever any are found. The longest matching prefix wins.
+========================= */
+const isHsnFormatValid = (code) => /^\d{4}(?:\d{2}){0,2}$/.test(String(code || '').trim());
+
+/* Validated { prefix: percentage }; throws on a bad entry */
+function normaliseHsnRates(map = {}) {
+  const out = {};
+  for (const [prefix, rate] of Object.entries(map || {})) {
+    const pct = Number(String(rate ?? '').trim().replace(/%$/, ''));
+    if (!/^\d{2,8}$/.test(prefix) || rate === '' || rate === null || !isFinite(pct)) {
+      throw new Error(`Invalid hsnGstRates entry '${prefix}': ${JSON.stringify(rate)} (expected digits -> percentage)`);
+    }
+    out[prefix] = pct;
+  }
+  return out;
+}
+
+function createHsnRateTable(rates = {}, source = 'config') {
+  const table = normaliseHsnRates(rates);
+  const prefixes = Object.keys(table).sort((a, b) => b.length - a.length);
+  return {
+    source,
+    /* GST % for a well-formed code, or null when the table does not cover it */
+    rateFor(code) {
+      const hsn = String(code || '').trim();
+      if (!isHsnFormatValid(hsn)) return null;
+      const prefix = prefixes.find(p => hsn.startsWith(p));
+      return prefix ? table[prefix] : null;
+    },
+    get size() { return prefixes.length; },
+  };
+}
+
+/* Metaobject nodes ({ fields: [{ key, value }] }) -> { hsn: rate }; incomplete or malformed entries are skipped */
+function hsnRatesFromMetaobjects(nodes) {
+  const map = {};
+  for (const node of nodes) {
+    const fields = Object.fromEntries((node.fields || []).map(f => [f.key, f.value]));
+    const hsn = String(fields.hsn || '').trim();
+    const rate = String(fields.gst_rate ?? '').trim().replace(/%$/, '');
+    if (/^\d{2,8}$/.test(hsn) && rate !== '' && isFinite(Number(rate))) map[hsn] = Number(rate);
+  }
+  return map;
+}
+
+/*
+  Where a variant's HSN stands, for the check and the variant issue table:
+    { status: 'missing' | 'format' | 'mismatch' | 'ok' | 'unknown', hsnRate }
+  `taxPercent` is the product's custom.indian_tax_rate as a number string ('18').
+*/
+function assessHsn(code, taxPercent, rates) {
+  const hsn = String(code || '').trim();
+  if (!hsn) return { status: 'missing', hsnRate: null };
+  if (!isHsnFormatValid(hsn)) return { status: 'format', hsnRate: null };
+  const hsnRate = rates.rateFor(hsn);
+  if (hsnRate === null) return { status: 'unknown', hsnRate };
+  if (taxPercent != null && taxPercent !== '' && Number(taxPercent) !== hsnRate) return { status: 'mismatch', hsnRate };
+  return { status: 'ok', hsnRate };
+}
+
+module.exports = { isHsnFormatValid, normaliseHsnRates, createHsnRateTable, hsnRatesFromMetaobjects, assessHsn };
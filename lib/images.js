@@ -0,0 +1,87 @@
+/* =========================
+   Product image rules
+
+   Media images are shaped like the ProductMedia result in index.js:
+     { id, alt, mimeType, image: { width, height }, originalSource: { fileSize } }
+   By default a product only needs one image. Stricter rules are opt-in, from
+   the "images" entry of the config "checks" section or, per store, from the
+   profile's "imageRules" (which wins key by key):
+     { "minCount": 2, "minWidth": 800, "minHeight": 800, "aspectRatios": ["1:1", "4:5"],
+       "formats": ["jpeg", "png", "webp"], "maxFileSizeMb": 20, "visualOptions": ["Colour", "Pattern"] }
+   Values Shopify has not worked out yet (dimensions while an upload is still
+   processing) are not judged. Options named in `visualOptions` change how a
+   variant looks, so every variant of such a product needs its own image.
+========================= */
+const DEFAULT_IMAGE_RULES = {
+  minCount: 1,
+  minWidth: 0,
+  minHeight: 0,
+  aspectRatios: [],
+  aspectTolerance: 0.02, // relative difference still counted as the same ratio
+  formats: [],           // mimeType subtypes; empty allows any
+  maxFileSizeMb: 0,      // 0 = no limit
+  visualOptions: [],
+};
+
+function resolveImageRules(options = {}) {
+  const rules = { ...DEFAULT_IMAGE_RULES };
+  for (const key of Object.keys(DEFAULT_IMAGE_RULES)) {
+    if (options[key] !== undefined) rules[key] = options[key];
+  }
+  return rules;
+}
+
+function parseRatio(text) {
+  const m = String(text).match(/^\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)\s*$/);
+  if (!m || !Number(m[2])) throw new Error(`Invalid image aspect ratio '${text}' (expected e.g. "1:1")`);
+  return Number(m[1]) / Number(m[2]);
+}
+
+/* Throws on rules that could only fail later, per product */
+function validateImageRules(options) {
+  resolveImageRules(options).aspectRatios.forEach(parseRatio);
+}
+
+const formatOf = (img) => (String(img.mimeType || '').split('/')[1] || '').toLowerCase();
+const fileSizeOf = (img) => Number(img.originalSource?.fileSize) || null;
+
+/* Rule breaches of one image, as short phrases for the image table */
+function imageProblems(img, rules) {
+  const problems = [];
+  const width = Number(img.image?.width) || null;
+  const height = Number(img.image?.height) || null;
+  if (width && height) {
+    if (width < rules.minWidth || height < rules.minHeight) problems.push(`below ${rules.minWidth}x${rules.minHeight}`);
+    const ratio = width / height;
+    const allowed = rules.aspectRatios.map(parseRatio);
+    if (allowed.length && !allowed.some(r => Math.abs(ratio - r) / r <= rules.aspectTolerance)) {
+      problems.push(`aspect ratio not ${rules.aspectRatios.join(' / ')}`);
+    }
+  }
+  const format = formatOf(img);
+  if (format && rules.formats.length && !rules.formats.includes(format)) problems.push(`format ${format} not allowed`);
+  const size = fileSizeOf(img);
+  if (size && rules.maxFileSizeMb && size > rules.maxFileSizeMb * 1024 * 1024) problems.push(`over ${rules.maxFileSizeMb} MB`);
+  return problems;
+}
+
+/* Variants needing their own image: every variant when an option is visual, else none */
+function variantsMissingImage(product, variants, rules) {
+  const visual = new Set(rules.visualOptions.map(o => o.toLowerCase()));
+  const visualOption = (product.options || []).find(o => visual.has(String(o.name).toLowerCase()));
+  if (!visualOption || variants.length < 2) return { option: null, variants: [] };
+  return { option: visualOption.name, variants: variants.filter(v => !v.image?.id) };
+}
+
+/* Image table row fields for one image */
+function describeImage(img) {
+  const width = img.image?.width, height = img.image?.height;
+  const size = fileSizeOf(img);
+  return {
+    size: width && height ? `${width}x${height}` : '',
+    format: formatOf(img),
+    fileSize: size ? `${(size / (1024 * 1024)).toFixed(1)} MB` : '',
+  };
+}
+
+module.exports = { DEFAULT_IMAGE_RULES, resolveImageRules, parseRatio, validateImageRules, imageProblems, variantsMissingImage, describeImage };
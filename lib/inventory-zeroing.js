@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+/* =========================
+   Inventory zeroing policy and snapshots
+
+   New Product Checks set on-hand to 0 for every variant of the product.
+   config.inventoryZeroing narrows that (defaults keep the old behaviour):
+
+     "inventoryZeroing": {
+       "enabled": true,
+       "locations": "all",          or ["gid://shopify/Location/1", "Warehouse"]: ids, numeric ids or names
+       "skipPassedBefore": false,   products with a 'passed' outcome in the ledger
+       "skipVendors": [],           vendor names, case-insensitive
+       "skipPreOrder": false        custom.pre_order_setting set to anything but "Disabled"
+     }
+
+   Before each write the on-hand quantities it replaces are appended to a
+   snapshot file (JSON lines) so `restore-inventory` can put them back. A
+   product whose levels are all 0 already is neither snapshotted nor written.
+========================= */
+const DEFAULT_INVENTORY_POLICY = { enabled: true, locations: 'all', skipPassedBefore: false, skipVendors: [], skipPreOrder: false };
+
+function resolveInventoryPolicy(raw = {}) {
+  const policy = { ...DEFAULT_INVENTORY_POLICY, ...raw };
+  const names = (list) => Array.isArray(list) && list.every(s => typeof s === 'string' && s.trim());
+  if (policy.locations !== 'all' && !names(policy.locations)) {
+    throw new Error('Invalid inventoryZeroing.locations: expected "all" or a list of location ids or names');
+  }
+  if (!Array.isArray(policy.skipVendors) || (policy.skipVendors.length && !names(policy.skipVendors))) {
+    throw new Error('Invalid inventoryZeroing.skipVendors: expected a list of vendor names');
+  }
+  return policy;
+}
+
+const isPreOrder = (setting) => {
+  const v = String(setting || '').trim().toLowerCase();
+  return !!v && v !== 'disabled';
+};
+
+/* Why the product's stock is left alone, or null to zero it */
+function zeroingSkipReason(policy, { vendor, preOrderSetting, passedBefore = false }) {
+  if (!policy.enabled) return 'inventory zeroing is disabled';
+  if (policy.skipPassedBefore && passedBefore) return 'product passed the checks before';
+  const v = String(vendor || '').trim().toLowerCase();
+  if (v && policy.skipVendors.some(s => s.trim().toLowerCase() === v)) return `vendor '${vendor}' is excluded`;
+  if (policy.skipPreOrder && isPreOrder(preOrderSetting)) return `pre-order product ('${preOrderSetting}')`;
+  return null;
+}
+
+/* The policy's share of the store's locations ({ id, name }) */
+function selectLocations(policy, locations) {
+  if (policy.locations === 'all') return locations;
+  const wanted = policy.locations.map(s => s.trim());
+  return locations.filter(l => wanted.some(w =>
+    w === l.id || w === l.id.split('/').pop() || w.toLowerCase() === String(l.name || '').toLowerCase()));
+}
+
+/*
+  Append-only snapshot file, one line per zeroing write:
+    { ts, runId, productId, quantities: [{ inventoryItemId, locationId, quantity }] }
+  quantity is null where the item was not stocked at that location. A restore
+  appends { ts, runId, productId, restored: true } and consumes the snapshots
+  before it.
+*/
+function createInventorySnapshots(file) {
+  const resolved = path.resolve(file);
+
+  function readEntries() {
+    if (!fs.existsSync(resolved)) return [];
+    const out = [];
+    for (const line of fs.readFileSync(resolved, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try { out.push(JSON.parse(line)); }
+      catch { /* torn last line from a crash mid-write */ }
+    }
+    return out;
+  }
+
+  function append(entry) {
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    fs.appendFileSync(resolved, JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n');
+  }
+
+  return {
+    file: resolved,
+    record({ runId = null, productId, quantities }) {
+      append({ runId, productId, quantities });
+    },
+    markRestored({ runId = null, productId }) {
+      append({ runId, productId, restored: true });
+    },
+    /*
+      What the product held before it was zeroed, from the snapshots since its
+      last restore: per item and location the most recent non-zero level (0
+      when it was only ever recorded at 0). null when there is nothing to restore.
+      Returns { since, snapshots, quantities }.
+    */
+    restorable(productId) {
+      const entries = readEntries().filter(e => e.productId === productId);
+      const pending = entries.slice(entries.findLastIndex(e => e.restored) + 1);
+      if (!pending.length) return null;
+      const levels = new Map(); // item|location -> quantity row
+      for (const { quantities } of [...pending].reverse()) {
+        for (const q of quantities) {
+          if (q.quantity === null) continue;
+          const key = `${q.inventoryItemId}|${q.locationId}`;
+          if (!levels.has(key) || (levels.get(key).quantity === 0 && q.quantity !== 0)) levels.set(key, q);
+        }
+      }
+      return { since: pending[0].ts, snapshots: pending.length, quantities: [...levels.values()] };
+    },
+  };
+}
+
+module.exports = { DEFAULT_INVENTORY_POLICY, resolveInventoryPolicy, zeroingSkipReason, selectLocations, createInventorySnapshots };
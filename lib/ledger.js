@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/* =========================
+   Run ledger (append-only JSON lines)
+
+   One line per event, written synchronously so a crash loses nothing already
+   recorded:
+     run_start  { runId, mode, resumedFrom, startAfter }   mode 'live' | 'dry-run', plus ':bulk' or ':webhooks'
+     page       { runId, after, endCursor, hasNextPage }   page fully processed
+     product    { runId, productId, outcome, error? }       error { category, message } when outcome is 'errored'
+     webhook    { runId, productId, name, ok, status }
+     waiver     { runId, productId, check, reason, approvedBy, expires }   waiver applied
+     run_end    { runId, status: 'completed' | 'failed', summary?, error? }
+========================= */
+const isLive = (start) => String(start.mode || '').split(':')[0] === 'live';
+const isScan = (start) => !String(start.mode || '').endsWith(':webhooks');
+
+function createLedger(file) {
+  const resolved = path.resolve(file);
+
+  function append(entry) {
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    fs.appendFileSync(resolved, JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n');
+  }
+
+  function readEntries() {
+    if (!fs.existsSync(resolved)) return [];
+    const out = [];
+    for (const line of fs.readFileSync(resolved, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try { out.push(JSON.parse(line)); }
+      catch { /* torn last line from a crash mid-write */ }
+    }
+    return out;
+  }
+
+  return {
+    file: resolved,
+    startRun({ mode, resumedFrom = null, startAfter = null } = {}) {
+      const runId = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+      append({ type: 'run_start', runId, mode, resumedFrom, startAfter });
+      return runId;
+    },
+    recordPage(runId, { after, endCursor, hasNextPage }) {
+      append({ type: 'page', runId, after: after || null, endCursor: endCursor || null, hasNextPage: !!hasNextPage });
+    },
+    recordProduct(runId, productId, outcome, error = null) {
+      append({ type: 'product', runId, productId, outcome, ...(error ? { error } : {}) });
+    },
+    recordWebhook(runId, productId, { name, ok, status }) {
+      append({ type: 'webhook', runId, productId, name, ok: !!ok, status: status ?? null });
+    },
+    recordWaiver(runId, productId, { check, reason, approvedBy, expires }) {
+      append({ type: 'waiver', runId, productId, check, reason: reason ?? null, approvedBy: approvedBy ?? null, expires: expires ?? null });
+    },
+    finishRun(runId, { status, summary, error } = {}) {
+      append({ type: 'run_end', runId, status, summary, error });
+    },
+
+    /* Products that have passed the checks in any recorded live run (a dry run changes nothing) */
+    passedProductIds() {
+      const entries = readEntries();
+      const liveRuns = new Set(entries.filter(e => e.type === 'run_start' && isLive(e)).map(e => e.runId));
+      return new Set(entries.filter(e => e.type === 'product' && e.outcome === 'passed' && liveRuns.has(e.runId)).map(e => e.productId));
+    },
+
+    /*
+      Where --resume picks up: the most recent live scan, if it never completed.
+      `after` is the endCursor of its last fully processed page (null = start
+      over); `doneProductIds` are products already finished on the page after it.
+    */
+    findResumePoint() {
+      const entries = readEntries();
+      const lastStart = [...entries].reverse().find(e => e.type === 'run_start' && isLive(e) && isScan(e));
+      if (!lastStart) return null;
+      const runEntries = entries.filter(e => e.runId === lastStart.runId);
+      if (runEntries.some(e => e.type === 'run_end' && e.status === 'completed')) return null;
+
+      let after = lastStart.startAfter || null; // a resumed run starts mid-catalog
+      let doneProductIds = new Set();
+      for (const e of runEntries) {
+        if (e.type === 'page') {
+          if (!e.hasNextPage) return null; // last page finished; nothing left to resume
+          after = e.endCursor;
+          doneProductIds = new Set();
+        } else if (e.type === 'product') {
+          doneProductIds.add(e.productId);
+        }
+      }
+      return { runId: lastStart.runId, after, doneProductIds };
+    },
+  };
+}
+
+module.exports = { createLedger };
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/* =========================
+   Durable delivery queue for Make webhooks
+
+   Every call is written to the pending file before the first attempt and
+   removed only once Make answers 200. Retryable failures (network error,
+   timeout, 429, 5xx) back off exponentially up to maxAttempts; anything else,
+   or running out of attempts, moves the job to the dead-letter file (JSON
+   lines) where it can be listed and replayed.
+
+   A job is { id, kind, payload, headers, productId, label, group, key, ... }.
+   `send(job)` does one HTTP attempt and resolves { ok, status, error? }.
+   Jobs left pending by a crash are re-delivered by drainPending().
+
+   `key` names what a batch of jobs (one `group`) is about, e.g. a product's
+   label. Queuing a job drops pending and dead-lettered jobs with the same key
+   from another group: the newer batch replaces them, so a replay never sends
+   a stale duplicate.
+========================= */
+function isRetryable(r) {
+  return !r.status || r.status === 429 || r.status >= 500;
+}
+
+function writeFileAtomic(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, file);
+}
+
+function readJsonLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(l => l.trim()).flatMap(l => {
+    try { return [JSON.parse(l)]; } catch { return []; }
+  });
+}
+
+function createMakeQueue({
+  pendingFile,
+  deadLetterFile,
+  send,
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  maxDelayMs = 60000,
+  sleep = (ms) => new Promise((r) => setTimeout(r, ms)),
+}) {
+  const pendingPath = path.resolve(pendingFile);
+  const deadPath = path.resolve(deadLetterFile);
+
+  const pending = new Map();
+  if (fs.existsSync(pendingPath)) {
+    try {
+      for (const job of JSON.parse(fs.readFileSync(pendingPath, 'utf8'))) pending.set(job.id, job);
+    } catch (e) {
+      throw new Error(`Unreadable Make queue file ${pendingPath}: ${e.message}`);
+    }
+  }
+
+  const persistPending = () => writeFileAtomic(pendingPath, JSON.stringify([...pending.values()], null, 2));
+  const writeDeadLetters = (jobs) => writeFileAtomic(deadPath, jobs.map(j => JSON.stringify(j)).join('\n') + (jobs.length ? '\n' : ''));
+
+  function deadLetter(job, reason) {
+    if (!pending.has(job.id)) return; // superseded while in flight
+    pending.delete(job.id);
+    persistPending();
+    fs.mkdirSync(path.dirname(deadPath), { recursive: true });
+    fs.appendFileSync(deadPath, JSON.stringify({ ...job, deadLetteredAt: new Date().toISOString(), reason }) + '\n');
+  }
+
+  /* Ids of the older batches' jobs that `job` replaces, removed from both files */
+  function dropSuperseded(job) {
+    if (!job.key) return [];
+    const stale = (j) => j.key === job.key && j.group !== job.group;
+    const dropped = [...pending.values()].filter(stale);
+    for (const j of dropped) pending.delete(j.id);
+    const dead = readJsonLines(deadPath);
+    const deadStale = dead.filter(stale);
+    if (deadStale.length) writeDeadLetters(dead.filter(j => !stale(j)));
+    return [...dropped, ...deadStale].map(j => j.id);
+  }
+
+  async function attempt(job) {
+    let r = { ok: false, status: null };
+    while (job.attempts < maxAttempts) {
+      if (job.attempts > 0) {
+        await sleep(Math.min(maxDelayMs, baseDelayMs * 2 ** (job.attempts - 1)));
+      }
+      if (!pending.has(job.id)) return { ok: false, status: r.status, attempts: job.attempts, dropped: true }; // a newer batch replaced it
+      job.attempts += 1;
+      r = await send(job);
+      job.lastStatus = r.status ?? null;
+      job.lastError = r.error || null;
+      job.lastAttemptAt = new Date().toISOString();
+
+      if (r.ok) {
+        pending.delete(job.id);
+        persistPending();
+        return { ok: true, status: r.status, attempts: job.attempts };
+      }
+      persistPending();
+      if (!isRetryable(r)) {
+        deadLetter(job, `HTTP ${r.status}`);
+        return { ok: false, status: r.status, attempts: job.attempts, deadLettered: true };
+      }
+    }
+    deadLetter(job, `gave up after ${job.attempts} attempt(s)${r.status ? ` (last HTTP ${r.status})` : ''}`);
+    return { ok: false, status: r.status, attempts: job.attempts, deadLettered: true };
+  }
+
+  return {
+    /*
+      Persist, then deliver with retries. Resolves like a single call did:
+      { ok, status }, plus `superseded` (job ids) when it replaced older jobs.
+    */
+    async deliver(spec) {
+      const job = {
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        attempts: 0,
+        ...spec,
+      };
+      const superseded = dropSuperseded(job);
+      pending.set(job.id, job);
+      persistPending();
+      const r = await attempt(job);
+      return superseded.length ? { ...r, superseded } : r;
+    },
+
+    /* Re-deliver jobs a previous process left pending; onDelivered(job) runs after each 200 */
+    async drainPending(onDelivered) {
+      const jobs = [...pending.values()];
+      let delivered = 0;
+      for (const job of jobs) {
+        job.attempts = 0;
+        const r = await attempt(job);
+        if (r.ok) { delivered++; if (onDelivered) await onDelivered(job); }
+      }
+      return { total: jobs.length, delivered };
+    },
+
+    listDeadLetters() {
+      return readJsonLines(deadPath);
+    },
+
+    /* ids: array of job ids, or null for all. Failed replays land back in the dead-letter file. */
+    async replayDeadLetters(ids, onDelivered) {
+      const all = readJsonLines(deadPath);
+      const wanted = ids ? all.filter(j => ids.includes(j.id)) : all;
+      writeDeadLetters(all.filter(j => !wanted.includes(j)));
+      const results = [];
+      for (const dead of wanted) {
+        const { deadLetteredAt, reason, ...job } = dead;
+        job.attempts = 0;
+        job.replayedAt = new Date().toISOString();
+        pending.set(job.id, job);
+        persistPending();
+        const r = await attempt(job);
+        if (r.ok && onDelivered) await onDelivered(job);
+        results.push({ id: job.id, ...r });
+      }
+      return results;
+    },
+
+    /* True while another job of the same group is still pending or dead-lettered */
+    hasOutstanding(group, exceptId) {
+      if (!group) return false;
+      const others = (j) => j.group === group && j.id !== exceptId;
+      return [...pending.values()].some(others) || readJsonLines(deadPath).some(others);
+    },
+
+    pendingCount() { return pending.size; },
+  };
+}
+
+module.exports = { createMakeQueue, isRetryable };
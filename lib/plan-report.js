@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+/* =========================
+   Dry-run plan
+
+   Everything a LIVE run would have changed, grouped per product:
+     status              { from, to }
+     product_changes     { from, to }                 label list edit
+     alt_text            { media: [{ id, alt }] }
+     inventory_zero      { inventoryItemIds, locationIds }
+     publish             { target: 'all' | 'india', publicationIds }
+     tax_collection      { add: [{ id, title }], remove: [{ id, title }] }
+     country_of_origin   { countryCode, inventoryItemIds }
+     hsn_fill            { hsn, inventoryItemIds }
+     main_item_confirmation { value }
+     check_waivers       { from, to }                 Slack-approved waiver list
+     make_webhook        { name, kind, payload, headers? }
+   Written as <runId>.json plus a Markdown rendering for review.
+========================= */
+function createPlan({ runId, mode }) {
+  const products = new Map();
+
+  function entry(productId) {
+    if (!products.has(productId)) {
+      products.set(productId, { productId, title: null, handle: null, status: null, labels: [], outcome: null, actions: [] });
+    }
+    return products.get(productId);
+  }
+
+  return {
+    runId,
+    mode,
+    product(p, labels) {
+      Object.assign(entry(p.id), { title: p.title || null, handle: p.handle || null, status: p.status || null, labels: [...labels] });
+    },
+    record(productId, action) {
+      entry(productId).actions.push(action);
+    },
+    outcome(productId, outcome) {
+      if (products.has(productId)) products.get(productId).outcome = outcome;
+    },
+    toJSON() {
+      const list = [...products.values()];
+      return {
+        runId,
+        mode,
+        generatedAt: new Date().toISOString(),
+        totals: { products: list.length, actions: list.reduce((n, p) => n + p.actions.length, 0) },
+        products: list,
+      };
+    },
+  };
+}
+
+function describeAction(a) {
+  switch (a.type) {
+    case 'status': return `Set status ${a.from || '?'} → ${a.to}`;
+    case 'product_changes': return `Set \`custom.product_changes\` ${JSON.stringify(a.from)} → ${JSON.stringify(a.to)}`;
+    case 'alt_text': return `Set alt text on ${a.media.length} image(s): ${a.media.map(m => `${m.id} = "${m.alt}"`).join(', ')}`;
+    case 'inventory_zero': return `Set on-hand to 0 for ${a.inventoryItemIds.length} inventory item(s) at ${a.locationIds.length} location(s)`;
+    case 'publish': return `Publish to ${a.target === 'india' ? 'the India market catalog' : 'all publications'} (${a.publicationIds.join(', ') || 'none found'})`;
+    case 'tax_collection': return `Tax-rate collections: ${[...a.add.map(c => `add to "${c.title}"`), ...a.remove.map(c => `remove from "${c.title}"`)].join(', ')}`;
+    case 'country_of_origin': return `Set country of origin ${a.countryCode} on ${a.inventoryItemIds.length} inventory item(s)`;
+    case 'hsn_fill': return `Set HS code ${a.hsn} on ${a.inventoryItemIds.length} inventory item(s) without one`;
+    case 'main_item_confirmation': return `Set \`custom.main_item_confirmation_status\` = ${a.value}`;
+    case 'check_waivers': return `Set \`custom.check_waivers\` to ${a.to.length} waiver(s): ${a.to.map(w => w.check).join(', ')}`;
+    case 'make_webhook': return `Make webhook \`${a.name}\` (${a.kind})`;
+    default: return a.type;
+  }
+}
+
+function renderPlanMarkdown(plan) {
+  const out = [
+    `# Dry-run plan ${plan.runId}`,
+    '',
+    `Mode: ${plan.mode}. Generated ${plan.generatedAt}. ${plan.totals.products} product(s), ${plan.totals.actions} planned change(s).`,
+  ];
+  for (const p of plan.products) {
+    out.push('', `## ${p.title || p.productId}`, '');
+    out.push(`\`${p.productId}\`${p.handle ? ` · ${p.handle}` : ''} · status ${p.status || '?'} · labels ${p.labels.join(', ') || '-'} · outcome **${p.outcome || '-'}**`, '');
+    if (!p.actions.length) { out.push('_No changes._'); continue; }
+    for (const a of p.actions) {
+      out.push(`- ${describeAction(a)}`);
+      if (a.type === 'make_webhook') {
+        if (a.headers) out.push('  ```json', ...indent(JSON.stringify({ headers: a.headers }, null, 2)), '  ```');
+        out.push('  ```json', ...indent(JSON.stringify(a.payload, null, 2)), '  ```');
+      }
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+function indent(text) { return text.split('\n').map(l => `  ${l}`); }
+
+/* Returns the written paths */
+function writePlanReport(plan, dir) {
+  const data = plan.toJSON();
+  fs.mkdirSync(dir, { recursive: true });
+  const jsonFile = path.join(dir, `${data.runId}.json`);
+  const markdownFile = path.join(dir, `${data.runId}.md`);
+  fs.writeFileSync(jsonFile, JSON.stringify(data, null, 2) + '\n');
+  fs.writeFileSync(markdownFile, renderPlanMarkdown(data));
+  return { jsonFile, markdownFile };
+}
+
+module.exports = { createPlan, renderPlanMarkdown, writePlanReport };
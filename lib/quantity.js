@@ -0,0 +1,126 @@
+/* =========================
+   Quantity / unit parser for variant option values
+
+   "500 ml", "1.5 L", "Pack of 3 x 500ml", "3 x 500 ml", "2 x 3 x 100 ml",
+   "500 ml x 3", "500ml (pack of 3)", "3-pack", "Pack of 6", "Set of 12",
+   "Pack of 10 sheets", "10 sheets", "2 m", "16 oz"
+     -> { quantity, unit, pack }   unit canonical (g, kg, oz, lb, ml, l, fl_oz,
+        mm, cm, m, in, pc, sheet, roll)
+   A bare pack ("Pack of 6") is 6 x 1 pc, and a pack followed by a count unit
+   ("Pack of 10 sheets") is 10 x 1 sheet. Anything else is null.
+
+   compareWithVariantOptions() holds a parsed value against its
+   variant_options metaobject: base_unit must measure the same thing,
+   numeric_value must be the total (pack x quantity) in base_unit, and
+   reference_unit, when set, must be in the same dimension. Between metric
+   and imperial units the total only has to agree to within 0.5%, since
+   the metaobject holds a rounded conversion.
+========================= */
+const UNITS = {
+  g: { dimension: 'mass', factor: 1, aliases: ['g', 'gm', 'gms', 'gram', 'grams', 'gr'] },
+  kg: { dimension: 'mass', factor: 1000, aliases: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+  oz: { dimension: 'mass', factor: 28.349523125, imperial: true, aliases: ['oz', 'ounce', 'ounces'] },
+  lb: { dimension: 'mass', factor: 453.59237, imperial: true, aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+  ml: { dimension: 'volume', factor: 1, aliases: ['ml', 'mls', 'millilitre', 'millilitres', 'milliliter', 'milliliters', 'millilizer'] },
+  l: { dimension: 'volume', factor: 1000, aliases: ['l', 'ltr', 'ltrs', 'litre', 'litres', 'liter', 'liters'] },
+  fl_oz: { dimension: 'volume', factor: 29.5735295625, imperial: true, aliases: ['fl oz', 'floz', 'fluid ounce', 'fluid ounces'] },
+  mm: { dimension: 'length', factor: 1, aliases: ['mm', 'millimetre', 'millimetres', 'millimeter', 'millimeters'] },
+  cm: { dimension: 'length', factor: 10, aliases: ['cm', 'cms', 'centimetre', 'centimetres', 'centimeter', 'centimeters'] },
+  m: { dimension: 'length', factor: 1000, aliases: ['m', 'mtr', 'mtrs', 'metre', 'metres', 'meter', 'meters'] },
+  in: { dimension: 'length', factor: 25.4, imperial: true, aliases: ['in', 'inch', 'inches'] },
+  pc: { dimension: 'count', factor: 1, aliases: ['pc', 'pcs', 'piece', 'pieces', 'nos', 'unit', 'units'] },
+  sheet: { dimension: 'sheets', factor: 1, aliases: ['sheet', 'sheets'] },
+  roll: { dimension: 'rolls', factor: 1, aliases: ['roll', 'rolls'] },
+};
+const COUNT_DIMENSIONS = new Set(['count', 'sheets', 'rolls']);
+const UNIT_BY_ALIAS = new Map(Object.entries(UNITS).flatMap(([unit, u]) => u.aliases.map(a => [a, unit])));
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+const UNIT = '([a-z]+(?:\\.?\\s*[a-z]+)?\\.?)'; // one or two words: "ml", "fl. oz"
+const toNumber = (s) => Number(String(s).replace(',', '.'));
+
+function canonicalUnit(text) {
+  return UNIT_BY_ALIAS.get(String(text || '').trim().toLowerCase().replace(/\./g, ' ').replace(/\s+/g, ' ').trim()) || null;
+}
+
+/* Pulls the pack count out of the text; returns { pack, rest } */
+function extractPack(text) {
+  const patterns = [
+    new RegExp(`\\(?\\b(?:pack|set)\\s*(?:of\\s*)?(\\d+)\\)?`), // pack of 3, (pack of 3), pack 3, set of 12
+    new RegExp(`\\b(\\d+)\\s*-?\\s*packs?\\b`),                 // 3-pack, 3 pack
+    new RegExp(`^\\s*(\\d+)\\s*[x×*]\\s*(?=\\d)`),              // 3 x 500 ml, 2 x 3 x 100 ml
+    new RegExp(`[x×*]\\s*(\\d+)\\s*$`),                         // 500 ml x 3
+  ];
+  let pack = 1;
+  let rest = text;
+  for (const re of patterns) {
+    let m;
+    while ((m = rest.match(re))) {
+      pack *= Number(m[1]);
+      rest = rest.replace(re, ' ');
+    }
+  }
+  return { pack, rest: rest.replace(/^[\s,x×*-]+|[\s,x×*-]+$/g, '') };
+}
+
+function parseQuantity(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  const { pack, rest } = extractPack(text);
+  if (!rest) return pack > 1 ? { quantity: 1, unit: 'pc', pack } : null;
+  const countUnit = pack > 1 && canonicalUnit(rest); // "pack of 10 sheets": the number went to the pack
+  if (countUnit && COUNT_DIMENSIONS.has(UNITS[countUnit].dimension)) return { quantity: 1, unit: countUnit, pack };
+  const m = rest.match(new RegExp(`^${NUMBER}\\s*${UNIT}$`));
+  const unit = m && canonicalUnit(m[2]);
+  if (!unit) return null;
+  const quantity = toNumber(m[1]);
+  return quantity > 0 ? { quantity, unit, pack } : null;
+}
+
+/* "100 ml" / "ml" / "1 l" -> { quantity, unit } (quantity 1 when only the unit is given) */
+function parseUnitAmount(text) {
+  const t = String(text || '').trim().toLowerCase();
+  const m = t.match(new RegExp(`^(?:${NUMBER}\\s*)?${UNIT}$`));
+  const unit = m && canonicalUnit(m[2]);
+  return unit ? { quantity: m[1] ? toNumber(m[1]) : 1, unit } : null;
+}
+
+/* Amount of `parsed` expressed in `unit`, or null across dimensions */
+function totalIn(parsed, unit) {
+  const from = UNITS[parsed.unit], to = UNITS[unit];
+  if (!from || !to || from.dimension !== to.dimension) return null;
+  return parsed.pack * parsed.quantity * from.factor / to.factor;
+}
+
+/*
+  meta = { base_unit, reference_unit, numeric_value } (metaobject fields).
+  Returns the problems: [{ field, actual, expected }], empty when consistent.
+*/
+function compareWithVariantOptions(parsed, meta) {
+  const problems = [];
+  const base = parseUnitAmount(meta.base_unit);
+  if (!base) {
+    problems.push({ field: 'base_unit', actual: meta.base_unit || '', expected: parsed.unit });
+    return problems;
+  }
+  const total = totalIn(parsed, base.unit);
+  if (total === null) {
+    problems.push({ field: 'base_unit', actual: meta.base_unit, expected: `a ${UNITS[parsed.unit].dimension} unit` });
+    return problems;
+  }
+  const numeric = Number(String(meta.numeric_value ?? '').replace(',', '.'));
+  const expected = Math.round(total * 1000) / 1000;
+  const tolerance = UNITS[parsed.unit].imperial !== UNITS[base.unit].imperial ? expected * 0.005 : 1e-6;
+  if (meta.numeric_value == null || meta.numeric_value === '' || Math.abs(numeric - expected) > tolerance) {
+    problems.push({ field: 'numeric_value', actual: meta.numeric_value ?? '', expected: String(expected) });
+  }
+  if (meta.reference_unit) {
+    const ref = parseUnitAmount(meta.reference_unit);
+    if (!ref || UNITS[ref.unit].dimension !== UNITS[base.unit].dimension) {
+      problems.push({ field: 'reference_unit', actual: meta.reference_unit, expected: `a ${UNITS[base.unit].dimension} unit` });
+    }
+  }
+  return problems;
+}
+
+module.exports = { UNITS, canonicalUnit, parseQuantity, parseUnitAmount, compareWithVariantOptions };
@@ -0,0 +1,179 @@
+/* =========================
+   Shopify Admin GraphQL client
+
+   Keeps a local model of the store's cost bucket from each response's
+   `extensions.cost.throttleStatus` (maximumAvailable, currentlyAvailable,
+   restoreRate) and, before sending a query whose cost it has seen before,
+   waits until the bucket has refilled enough to pay for it.
+
+   Retried, up to maxAttempts in total:
+     THROTTLED     wait for the points the query asked for (backoff if unknown)
+     429           Retry-After, else backoff
+     5xx, network  jittered exponential backoff
+   Other GraphQL errors and 4xx are not retried. Giving up throws
+   ShopifyApiError { kind, operation, status, attempts, errors }; the runner
+   also throws it (kind 'user_errors') for mutation userErrors.
+
+   `send({ query, variables })` does one HTTP attempt and resolves
+   { status, data, headers }; it rejects only when no response came back.
+========================= */
+class ShopifyApiError extends Error {
+  constructor(message, { kind, operation = null, status = null, attempts = 0, errors = null } = {}) {
+    super(message);
+    this.name = 'ShopifyApiError';
+    this.kind = kind; // 'throttled' | 'http' | 'network' | 'graphql' | 'user_errors'
+    this.operation = operation;
+    this.status = status;
+    this.attempts = attempts;
+    this.errors = errors;
+  }
+}
+
+function operationName(query) {
+  const m = String(query || '').match(/\b(?:query|mutation)\s+(\w+)/);
+  return m ? m[1] : 'anonymous';
+}
+
+function createShopifyClient({
+  send,
+  maxAttempts = 6,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  sleep = (ms) => new Promise((r) => setTimeout(r, ms)),
+  now = () => Date.now(),
+  random = Math.random,
+  log = null,
+}) {
+  const bucket = { max: null, available: null, restoreRate: null, at: 0 };
+  const totals = { calls: 0, requested: 0, actual: 0, throttled: 0, retries: 0, waitedMs: 0, last: null };
+  const byQuery = new Map();
+
+  const statsFor = (op) => {
+    if (!byQuery.has(op)) byQuery.set(op, { calls: 0, requested: 0, actual: 0, maxRequested: 0, throttled: 0, retries: 0, waitedMs: 0 });
+    return byQuery.get(op);
+  };
+
+  // Half fixed, half random so parallel callers do not retry in lockstep
+  const backoff = (attempt) => {
+    const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(cap / 2 + random() * cap / 2);
+  };
+
+  async function wait(ms, op) {
+    if (ms <= 0) return;
+    totals.waitedMs += ms;
+    statsFor(op).waitedMs += ms;
+    await sleep(ms);
+  }
+
+  function refill() {
+    if (bucket.available === null) return;
+    const t = now();
+    bucket.available = Math.min(bucket.max, bucket.available + bucket.restoreRate * (t - bucket.at) / 1000);
+    bucket.at = t;
+  }
+
+  /* ms until `cost` points are available; reserves them so concurrent callers queue behind */
+  function reserve(cost) {
+    if (bucket.available === null || !bucket.restoreRate || !cost) return 0;
+    refill();
+    const short = Math.min(cost, bucket.max) - bucket.available;
+    bucket.available -= cost;
+    return short > 0 ? Math.ceil(short / bucket.restoreRate * 1000) : 0;
+  }
+
+  function observe(op, cost) {
+    if (!cost) return;
+    const requested = Number(cost.requestedQueryCost || 0);
+    const actual = Number(cost.actualQueryCost || 0);
+    const s = statsFor(op);
+    s.calls += 1;
+    s.requested += requested;
+    s.actual += actual;
+    s.maxRequested = Math.max(s.maxRequested, requested);
+    totals.calls += 1;
+    totals.requested += requested;
+    totals.actual += actual;
+
+    const ts = cost.throttleStatus;
+    if (ts) {
+      totals.last = ts;
+      Object.assign(bucket, { max: Number(ts.maximumAvailable), available: Number(ts.currentlyAvailable), restoreRate: Number(ts.restoreRate), at: now() });
+    }
+    if (log) {
+      const t = ts || {};
+      log(`[Shopify GQL] ${op} requested=${cost.requestedQueryCost} actual=${cost.actualQueryCost} avail=${t.currentlyAvailable}/${t.maximumAvailable} restore=${t.restoreRate}/s`);
+    }
+  }
+
+  /* ms to wait before retrying a THROTTLED query, from what the response says it needed */
+  function throttleDelay(cost, attempt) {
+    const ts = cost?.throttleStatus;
+    const needed = Number(cost?.requestedQueryCost || 0) - Number(ts?.currentlyAvailable ?? Infinity);
+    if (needed > 0 && ts.restoreRate > 0) return Math.ceil(needed / ts.restoreRate * 1000);
+    return backoff(attempt);
+  }
+
+  async function request(query, variables = {}) {
+    const op = operationName(query);
+    let lastError = null;
+    let retryDelay = 0;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (attempt > 1) {
+        totals.retries += 1;
+        statsFor(op).retries += 1;
+        await wait(retryDelay, op);
+      }
+      await wait(reserve(statsFor(op).maxRequested), op);
+
+      let res;
+      try {
+        res = await send({ query, variables });
+      } catch (err) {
+        lastError = new ShopifyApiError(`Shopify ${op}: ${err.code || err.message}`, { kind: 'network', operation: op, attempts: attempt });
+        retryDelay = backoff(attempt);
+        continue;
+      }
+
+      const cost = res.data?.extensions?.cost;
+      observe(op, cost);
+
+      if (res.status === 429 || res.status >= 500) {
+        lastError = new ShopifyApiError(`Shopify ${op}: HTTP ${res.status}`, { kind: res.status === 429 ? 'throttled' : 'http', operation: op, status: res.status, attempts: attempt });
+        const retryAfter = Number(res.headers?.['retry-after']);
+        retryDelay = retryAfter > 0 ? retryAfter * 1000 : backoff(attempt);
+        continue;
+      }
+      if (res.status >= 400) {
+        throw new ShopifyApiError(`Shopify ${op}: HTTP ${res.status}`, { kind: 'http', operation: op, status: res.status, attempts: attempt, errors: res.data?.errors || null });
+      }
+
+      const errors = res.data?.errors;
+      if (errors) {
+        if (!errors.some(e => (e.extensions || {}).code === 'THROTTLED')) {
+          throw new ShopifyApiError(JSON.stringify(errors), { kind: 'graphql', operation: op, status: res.status, attempts: attempt, errors });
+        }
+        totals.throttled += 1;
+        statsFor(op).throttled += 1;
+        lastError = new ShopifyApiError(`Shopify ${op}: throttled`, { kind: 'throttled', operation: op, status: res.status, attempts: attempt, errors });
+        retryDelay = throttleDelay(cost, attempt);
+        continue;
+      }
+      return res.data?.data;
+    }
+
+    lastError.message = `${lastError.message} (gave up after ${maxAttempts} attempts)`;
+    throw lastError;
+  }
+
+  return {
+    request,
+    /* { calls, requested, actual, throttled, retries, waitedMs, last, byQuery: { op: {...} } } */
+    stats() {
+      return { ...totals, byQuery: Object.fromEntries([...byQuery].map(([op, s]) => [op, { ...s }])) };
+    },
+  };
+}
+
+module.exports = { createShopifyClient, ShopifyApiError, operationName };
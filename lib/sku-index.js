@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+/* =========================
+   Storewide SKU index
+
+   Every variant in the store keyed by lowercase SKU, built once per run so
+   the duplicate, main-item-exists and main-product questions are answered
+   locally instead of with one productVariants search per variant.
+   Nodes are shaped like the ProductVariantsBySku result in index.js:
+     { id, title, sku, price, selectedOptions, product: { id, title, options } }
+
+   With a file the index is saved once it is up to date, and the next run only
+   fetches variants updated since (a few minutes' overlap covers search-index lag).
+   Deleted variants cannot be seen that way, so a saved index older than
+   maxAgeMs is rebuilt from scratch.
+========================= */
+const REFRESH_OVERLAP_MS = 5 * 60 * 1000;
+const FILE_VERSION = 1;
+
+const skuKey = (sku) => String(sku || '').trim().toLowerCase();
+
+function createSkuIndex(variants = []) {
+  const byId = new Map();  // variant id -> node
+  const bySku = new Map(); // lowercase sku -> Set of variant ids
+  const byProduct = new Map(); // product id -> Set of variant ids
+
+  const link = (map, key, id) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(id);
+  };
+  const unlink = (map, key, id) => {
+    const ids = map.get(key);
+    if (!ids) return;
+    ids.delete(id);
+    if (!ids.size) map.delete(key);
+  };
+
+  function remove(id) {
+    const old = byId.get(id);
+    if (!old) return;
+    byId.delete(id);
+    unlink(bySku, skuKey(old.sku), id);
+    unlink(byProduct, old.product?.id, id);
+  }
+
+  function upsert(node) {
+    remove(node.id);
+    byId.set(node.id, node);
+    if (skuKey(node.sku)) link(bySku, skuKey(node.sku), node.id);
+    if (node.product?.id) link(byProduct, node.product.id, node.id);
+  }
+
+  const lookup = (sku) => [...(bySku.get(skuKey(sku)) || [])].map(id => byId.get(id));
+
+  variants.forEach(upsert);
+
+  return {
+    upsert,
+    lookup,
+    exists: (sku) => bySku.has(skuKey(sku)),
+    hasDuplicate: (sku, variantId) => lookup(sku).some(v => v.id !== variantId),
+    find: (sku) => lookup(sku)[0] || null,
+    /* The product being processed is fresher than the index: swap in its current variants */
+    replaceProduct(product, productVariants) {
+      for (const id of [...(byProduct.get(product.id) || [])]) remove(id);
+      const owner = { id: product.id, title: product.title, options: product.options || [] };
+      for (const v of productVariants) {
+        upsert({ id: v.id, title: v.title, sku: v.sku, price: v.price, selectedOptions: v.selectedOptions || [], product: owner });
+      }
+    },
+    get size() { return bySku.size; },
+    get variantCount() { return byId.size; },
+    variants: () => [...byId.values()],
+  };
+}
+
+function readIndexFile(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return saved.version === FILE_VERSION && Array.isArray(saved.variants) ? saved : null;
+  } catch {
+    return null; // unreadable: rebuild
+  }
+}
+
+function writeIndexFile(file, { builtAt, refreshedAt, index }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ version: FILE_VERSION, builtAt, refreshedAt, variants: index.variants() }));
+  fs.renameSync(tmp, file);
+}
+
+/*
+  `fetchVariants(updatedSince)` yields variant nodes: every variant when
+  updatedSince is null, else those updated after that ISO timestamp.
+  Resolves { index, mode: 'built' | 'refreshed', fetched }.
+*/
+async function openSkuIndex({ fetchVariants, file = null, maxAgeMs = 24 * 60 * 60 * 1000, now = () => Date.now() }) {
+  const startedAt = new Date(now()).toISOString();
+  const saved = readIndexFile(file);
+  const reusable = saved && now() - Date.parse(saved.builtAt) < maxAgeMs;
+
+  const index = createSkuIndex(reusable ? saved.variants : []);
+  const since = reusable ? new Date(Date.parse(saved.refreshedAt) - REFRESH_OVERLAP_MS).toISOString() : null;
+  let fetched = 0;
+  for await (const v of fetchVariants(since)) {
+    index.upsert(v);
+    fetched++;
+  }
+
+  const builtAt = reusable ? saved.builtAt : startedAt;
+  if (file) writeIndexFile(file, { builtAt, refreshedAt: startedAt, index });
+  return { index, mode: reusable ? 'refreshed' : 'built', fetched };
+}
+
+module.exports = { createSkuIndex, openSkuIndex };
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+/* =========================
+   Slack Block Kit messages and interactivity
+
+   Product messages carry a button row; clicks come back to the serve
+   process at POST /slack/interactions (see lib/webhook-server):
+     rerun_checks    re-add New Product Checks and run the pipeline
+     open_admin      link only, nothing comes back
+     approve_waiver  admins only: waive the failing checks, then re-run
+   Button values are JSON { store, productId, checks }.
+========================= */
+const ACTIONS = { rerun: 'rerun_checks', admin: 'open_admin', waiver: 'approve_waiver' };
+const SECTION_LIMIT = 3000; // Block Kit cap on section text
+const MAX_SKEW_SECONDS = 5 * 60;
+
+function chunkLines(text, limit) {
+  const chunks = [];
+  let current = '';
+  for (const line of String(text).split('\n')) {
+    const piece = line.length > limit ? `${line.slice(0, limit - 1)}…` : line;
+    if (current && current.length + 1 + piece.length > limit) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = current ? `${current}\n${piece}` : piece;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+const button = (actionId, text, extra) => ({ type: 'button', action_id: actionId, text: { type: 'plain_text', text }, ...extra });
+
+/* Message text as sections plus the product's action buttons */
+function buildProductBlocks(text, { store, productId, adminUrl, failedChecks = [] }) {
+  const value = (checks) => JSON.stringify({ store, productId, ...(checks ? { checks } : {}) });
+  const elements = [
+    button(ACTIONS.rerun, 'Re-run checks', { value: value() }),
+    button(ACTIONS.admin, 'Open in admin', { url: adminUrl }),
+  ];
+  if (failedChecks.length) {
+    elements.push(button(ACTIONS.waiver, 'Approve with waiver', {
+      style: 'danger',
+      value: value(failedChecks),
+      confirm: {
+        title: { type: 'plain_text', text: 'Approve with waiver?' },
+        text: { type: 'mrkdwn', text: `Waive ${failedChecks.map(c => `\`${c}\``).join(', ')} for this product and re-run the checks.` },
+        confirm: { type: 'plain_text', text: 'Approve' },
+        deny: { type: 'plain_text', text: 'Cancel' },
+      },
+    }));
+  }
+  return [
+    ...chunkLines(text, SECTION_LIMIT).map(t => ({ type: 'section', text: { type: 'mrkdwn', text: t } })),
+    { type: 'actions', block_id: 'product_actions', elements },
+  ];
+}
+
+/* v0 signing: HMAC-SHA256 of "v0:<timestamp>:<raw body>" with the app's signing secret */
+function signSlackRequest(rawBody, timestamp, secret) {
+  return `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+}
+
+function verifySlackSignature(rawBody, timestamp, signature, secret, now = Date.now()) {
+  if (!secret || !timestamp || !signature) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > MAX_SKEW_SECONDS) return false; // replay window
+  const expected = Buffer.from(signSlackRequest(rawBody, timestamp, secret));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/* Form-encoded `payload=` body -> our button clicks as { type, store, productId, checks, user, responseUrl } */
+function parseInteraction(rawBody) {
+  const payload = JSON.parse(new URLSearchParams(String(rawBody)).get('payload') || 'null');
+  if (!payload || payload.type !== 'block_actions') return [];
+  const user = { id: payload.user?.id || null, name: payload.user?.username || payload.user?.name || null };
+  const out = [];
+  for (const a of payload.actions || []) {
+    const type = a.action_id === ACTIONS.rerun ? 'rerun' : a.action_id === ACTIONS.waiver ? 'waiver' : null;
+    if (!type) continue;
+    let value;
+    try { value = JSON.parse(a.value || '{}'); }
+    catch { continue; }
+    if (!value.productId) continue;
+    out.push({ type, store: value.store || null, productId: value.productId, checks: value.checks || [], user, responseUrl: payload.response_url || null });
+  }
+  return out;
+}
+
+module.exports = { buildProductBlocks, signSlackRequest, verifySlackSignature, parseInteraction, ACTIONS };
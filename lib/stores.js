@@ -0,0 +1,101 @@
+/* =========================
+   Store profiles
+
+   The "stores" section of the config file describes every store the runner
+   serves. Secrets stay in the environment; a profile only names the env vars:
+
+     "stores": {
+       "TAC": {
+         "domain": "the-art-connect.myshopify.com",
+         "accessTokenEnv": "SHOPIFY_ADMIN_ACCESS_TOKEN",     default SHOPIFY_ADMIN_ACCESS_TOKEN_<KEY>
+         "webhookSecretEnv": "SHOPIFY_WEBHOOK_SECRET",        default SHOPIFY_WEBHOOK_SECRET_<KEY>
+         "slack": { "channel": "C01", "successChannel": "C02", "botTokenEnv": "SLACK_BOT_TOKEN" },
+         "make": { "product": "https://hook...", "unitPrice": "https://hook...", "sku": "https://hook..." },
+         "zohoTaxIds": { "0": "5142...", "18": "5142..." },  tax percentage -> Zoho tax id
+         "taxCatalogMetaobject": "zoho_tax_rate",             optional: load those from metaobjects (lib/tax-catalog)
+         "hsnGstRates": { "4820": 18, "482020": 0 },         HSN prefix -> GST %, default the top-level "hsnGstRates" (lib/hsn)
+         "hsnRateMetaobject": "hsn_gst_rate",                 optional: load those from metaobjects
+         "imageRules": { "minWidth": 800, "aspectRatios": ["1:1"] },  optional stricter image rules (lib/images)
+         "indiaMarket": "India",                              MarketCatalog title to publish to
+         "dataDir": ".data/TAC",                              default <DATA_DIR>/<KEY>
+         "graphqlUrl": "http://..."                           optional endpoint override
+       }
+     }
+
+   Without a "stores" section the runner has a single 'TAC' profile built from
+   .env exactly as before (see defaultStoreProfile in index.js).
+========================= */
+const path = require('path');
+const { normaliseTaxIds } = require('./tax-catalog');
+const { normaliseHsnRates } = require('./hsn');
+const { validateImageRules } = require('./images');
+
+const envKey = (name) => String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+/* Turn one raw profile into the shape the runner uses; secrets are read from env here */
+function resolveStore(name, raw, { env, dataDir, apiVersion, hsnGstRates = {} }) {
+  const tokenEnv = raw.accessTokenEnv || `SHOPIFY_ADMIN_ACCESS_TOKEN_${envKey(name)}`;
+  const secretEnv = raw.webhookSecretEnv || `SHOPIFY_WEBHOOK_SECRET_${envKey(name)}`;
+  const botTokenEnv = raw.slack?.botTokenEnv || 'SLACK_BOT_TOKEN';
+  const profile = {
+    name,
+    domain: raw.domain || null,
+    graphqlUrl: raw.graphqlUrl || (raw.domain ? `https://${raw.domain}/admin/api/${apiVersion}/graphql.json` : null),
+    accessToken: env[tokenEnv] || null,
+    webhookSecret: env[secretEnv] || null,
+    slack: {
+      botToken: env[botTokenEnv] || null,
+      channel: raw.slack?.channel || null,
+      successChannel: raw.slack?.successChannel || null,
+    },
+    make: {
+      product: raw.make?.product || null,
+      'unit-price': raw.make?.unitPrice || null,
+      sku: raw.make?.sku || null,
+    },
+    zohoTaxIds: normaliseTaxIds(raw.zohoTaxIds),
+    taxCatalogMetaobject: raw.taxCatalogMetaobject || null,
+    hsnGstRates: normaliseHsnRates(raw.hsnGstRates || hsnGstRates),
+    hsnRateMetaobject: raw.hsnRateMetaobject || null,
+    imageRules: raw.imageRules || {},
+    indiaMarket: raw.indiaMarket || 'India',
+    dataDir: raw.dataDir || path.join(dataDir, name),
+  };
+  profile.ledgerFile = raw.ledgerFile || path.join(profile.dataDir, 'ledger.jsonl');
+  profile.planDir = raw.planDir || path.join(profile.dataDir, 'plans');
+
+  const missing = [
+    !profile.domain && 'domain',
+    !profile.accessToken && tokenEnv,
+    !profile.slack.botToken && botTokenEnv,
+    !profile.slack.channel && 'slack.channel',
+    !profile.make.product && 'make.product',
+    !profile.make['unit-price'] && 'make.unitPrice',
+    !profile.make.sku && 'make.sku',
+    !Object.keys(profile.zohoTaxIds).length && !profile.taxCatalogMetaobject && 'zohoTaxIds',
+  ].filter(Boolean);
+  if (missing.length) throw new Error(`Store '${name}': missing ${missing.join(', ')}`);
+  try { validateImageRules(profile.imageRules); }
+  catch (e) { throw new Error(`Store '${name}': ${e.message}`); }
+  return profile;
+}
+
+/* All configured profiles, or just the fallback when the config has none */
+function resolveStores(configStores, fallback, opts) {
+  const entries = configStores && Object.keys(configStores).length
+    ? Object.entries(configStores)
+    : [[fallback.name, fallback.raw]];
+  return entries.map(([name, raw]) => resolveStore(name, raw || {}, opts));
+}
+
+/* --store picks (case-insensitive); none means every profile */
+function selectStores(profiles, names = []) {
+  if (!names.length) return profiles;
+  return names.map(n => {
+    const hit = profiles.find(p => p.name.toLowerCase() === String(n).toLowerCase());
+    if (!hit) throw new Error(`Unknown store '${n}' (configured: ${profiles.map(p => p.name).join(', ')})`);
+    return hit;
+  });
+}
+
+module.exports = { resolveStores, selectStores };
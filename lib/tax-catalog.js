@@ -0,0 +1,50 @@
+/* =========================
+   Tax-rate catalogue (percentage -> Zoho tax id)
+
+   The allowed Indian tax rates of a store and their Zoho tax ids. It comes
+   from the store profile ("zohoTaxIds" in config, or the built-in TAC table)
+   or, when the profile names a metaobject type ("taxCatalogMetaobject"), from
+   Shopify metaobjects of that type with the fields
+     rate          "18", "18%" or "0.25"
+     zoho_tax_id   "514287000000074413"
+   Metaobject entries replace the configured table whenever any are found.
+   Rates are keyed by n.toFixed(2), so "18", "18%" and "18.0" are one rate.
+========================= */
+function rateKey(pct) {
+  const s = String(pct ?? '').trim().replace(/%$/, '');
+  const n = Number(s);
+  return s !== '' && isFinite(n) ? n.toFixed(2) : null;
+}
+
+function normaliseTaxIds(map = {}) {
+  const out = {};
+  for (const [pct, id] of Object.entries(map)) {
+    const key = rateKey(pct);
+    if (key && id) out[key] = String(id);
+  }
+  return out;
+}
+
+/* `taxIds` is already keyed by rateKey (see normaliseTaxIds) */
+function createTaxCatalog(taxIds = {}, source = 'config') {
+  return {
+    source,
+    taxIdFor: (pct) => taxIds[rateKey(pct)] || null,
+    has: (pct) => !!taxIds[rateKey(pct)],
+    /* Display form, ascending: ['0', '0.25', '5', ...] */
+    rates: () => Object.keys(taxIds).map(Number).sort((a, b) => a - b).map(String),
+    get size() { return Object.keys(taxIds).length; },
+  };
+}
+
+/* Metaobject nodes ({ fields: [{ key, value }] }) -> { rate: zohoTaxId }; incomplete entries are skipped */
+function taxIdsFromMetaobjects(nodes) {
+  const map = {};
+  for (const node of nodes) {
+    const fields = Object.fromEntries((node.fields || []).map(f => [f.key, f.value]));
+    if (fields.rate && fields.zoho_tax_id) map[fields.rate] = fields.zoho_tax_id;
+  }
+  return normaliseTaxIds(map);
+}
+
+module.exports = { rateKey, normaliseTaxIds, createTaxCatalog, taxIdsFromMetaobjects };
@@ -0,0 +1,76 @@
+const { containsGlossaryTerm } = require('./helpers');
+
+/* =========================
+   Title linter
+
+   Pure rules over a product's title (and handle), each a check in
+   lib/checks/title-*.js so its severity, enabled flag and options come from
+   the config "checks" section like any other check:
+     title-forbidden-words  { "words": ["copy", "test"] }      whole words in title or handle
+     title-length           { "max": 70 }
+     title-spacing          leading/trailing or double spaces
+     title-vendor           { "position": "prefix" | "suffix" | "either" }   off until set
+     title-units            units in the title while variant options carry them
+   A blocking title-forbidden-words hit stops the product before any other
+   check or webhook (the old "copy" guard).
+========================= */
+const DEFAULT_FORBIDDEN_WORDS = ['copy', 'test', 'duplicate', 'sample'];
+const DEFAULT_MAX_TITLE_LENGTH = 70;
+const VENDOR_POSITIONS = ['prefix', 'suffix', 'either'];
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const hasWord = (text, word) =>
+  new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'iu').test(String(text || ''));
+
+/* First forbidden word found and where: { word, where: 'name' | 'url' | 'name & url' }, or null */
+function findForbiddenWord(product, words = DEFAULT_FORBIDDEN_WORDS) {
+  for (const word of words) {
+    const inName = hasWord(product.title, word);
+    const inUrl = hasWord(String(product.handle || '').replace(/-/g, ' '), word);
+    if (inName || inUrl) return { word, where: [inName && 'name', inUrl && 'url'].filter(Boolean).join(' & ') };
+  }
+  return null;
+}
+
+/* 'leading or trailing spaces' / 'double spaces' problems of a title */
+function spacingProblems(title) {
+  const t = String(title || '');
+  return [
+    t !== t.trim() && 'leading or trailing spaces',
+    /\s{2,}/.test(t.trim()) && 'double spaces',
+  ].filter(Boolean);
+}
+
+function vendorPlacementOk(title, vendor, position) {
+  if (!vendor) return true;
+  const t = String(title || '').trim().toLowerCase();
+  const v = String(vendor).trim().toLowerCase();
+  const prefix = t.startsWith(v);
+  const suffix = t.endsWith(v);
+  if (position === 'prefix') return prefix;
+  if (position === 'suffix') return suffix;
+  return prefix || suffix;
+}
+
+/* Unit term in the title, when some variant option value already carries units; else null */
+function redundantTitleUnit(title, variants) {
+  const optionsWithUnits = new Set();
+  for (const v of variants) {
+    for (const so of v.selectedOptions || []) {
+      if (containsGlossaryTerm(so.value)) optionsWithUnits.add(so.name);
+    }
+  }
+  if (!optionsWithUnits.size) return null;
+  const term = containsGlossaryTerm(title);
+  return term ? { term, options: [...optionsWithUnits] } : null;
+}
+
+module.exports = {
+  DEFAULT_FORBIDDEN_WORDS,
+  DEFAULT_MAX_TITLE_LENGTH,
+  VENDOR_POSITIONS,
+  findForbiddenWord,
+  spacingProblems,
+  vendorPlacementOk,
+  redundantTitleUnit,
+};
@@ -0,0 +1,62 @@
+/* =========================
+   Check waivers (product metafield custom.check_waivers, JSON list)
+
+     [{ "check": "pre-order", "reason": "...", "approvedBy": "...", "expires": "2026-01-31" }]
+
+   `check` is a check id from lib/checks; `expires` is an ISO date(-time), a
+   bare date being valid through the end of that day (UTC). A waiver without
+   `expires` never lapses; one with an unreadable date counts as expired.
+========================= */
+const WAIVER_NAMESPACE = 'custom';
+const WAIVER_KEY = 'check_waivers';
+
+function parseWaivers(metafield) {
+  if (!metafield || metafield.value == null) return [];
+  try {
+    const list = JSON.parse(metafield.value);
+    return Array.isArray(list) ? list.filter(w => w && typeof w.check === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/* New waivers replace existing ones for the same check */
+function mergeWaivers(existing, additions) {
+  const replaced = new Set(additions.map(w => w.check));
+  return [...existing.filter(w => !replaced.has(w.check)), ...additions];
+}
+
+function isWaiverActive(waiver, now = Date.now()) {
+  if (!waiver.expires) return true;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(waiver.expires));
+  const end = Date.parse(dateOnly ? `${waiver.expires}T00:00:00Z` : waiver.expires) + (dateOnly ? 86400000 : 0);
+  return Number.isFinite(end) && now < end;
+}
+
+/*
+  Re-sorts a runChecks() outcome: failed checks with an active waiver move to
+  `waived` (result.waiver set) and stop blocking; an expired waiver leaves the
+  check failing, noted on its lines (result.expiredWaiver set).
+*/
+function applyWaivers(outcome, waivers, now = Date.now()) {
+  const byCheck = new Map(waivers.map(w => [w.check, w])); // last entry wins
+  const results = outcome.results.map(r => {
+    const w = !r.ok && byCheck.get(r.id);
+    if (!w) return r;
+    if (isWaiverActive(w, now)) return { ...r, waiver: w };
+    return { ...r, expiredWaiver: w, lines: r.lines.map(l => `${l} (waiver expired ${w.expires})`) };
+  });
+  const blocking = results.filter(r => !r.ok && !r.waiver && r.severity === 'block');
+  const warnings = results.filter(r => !r.ok && !r.waiver && r.severity === 'warn');
+  const waived = results.filter(r => r.waiver);
+  return { results, blocking, warnings, waived, passed: !blocking.length };
+}
+
+/* "Pre-order setting is empty. — waived by asha until 2026-01-31: reason" */
+function describeWaived(result) {
+  const w = result.waiver;
+  const until = w.expires ? ` until ${w.expires}` : '';
+  return `${result.lines.join(' ') || result.id} — waived by ${w.approvedBy || 'unknown'}${until}${w.reason ? `: ${w.reason}` : ''}`;
+}
+
+module.exports = { WAIVER_NAMESPACE, WAIVER_KEY, parseWaivers, mergeWaivers, isWaiverActive, applyWaivers, describeWaived };
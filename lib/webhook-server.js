@@ -0,0 +1,165 @@
+const http = require('http');
+const crypto = require('crypto');
+const { verifySlackSignature, parseInteraction } = require('./slack');
+
+/* =========================
+   Shopify webhook receiver (products/create, products/update, products/delete)
+   plus, when a Slack signing secret is given, Slack button clicks
+========================= */
+const PRODUCT_TOPICS = new Set(['products/create', 'products/update']);
+const DELETE_TOPIC = 'products/delete';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+function signShopifyPayload(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+}
+
+function verifyShopifyHmac(rawBody, hmacHeader, secret) {
+  if (!hmacHeader || !secret) return false;
+  const expected = Buffer.from(signShopifyPayload(rawBody, secret));
+  const given = Buffer.from(String(hmacHeader));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/* Remembers delivery ids for ttlMs so Shopify retries of the same delivery are dropped */
+function createDeliveryDeduper({ ttlMs = 24 * 60 * 60 * 1000, maxEntries = 10000 } = {}) {
+  const seen = new Map(); // id -> first seen (ms)
+  return {
+    isDuplicate(id, now = Date.now()) {
+      if (!id) return false;
+      for (const [k, t] of seen) {
+        if (now - t < ttlMs && seen.size <= maxEntries) break;
+        seen.delete(k);
+      }
+      if (seen.has(id)) return true;
+      seen.set(id, now);
+      return false;
+    },
+  };
+}
+
+function productGidFromPayload(payload) {
+  if (payload?.admin_graphql_api_id) return String(payload.admin_graphql_api_id);
+  return payload?.id != null ? `gid://shopify/Product/${payload.id}` : null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) { reject(new Error('Payload too large')); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/*
+  onProduct(productGid, topic) runs the pipeline for one product. Calls are
+  serialised, a product already waiting in the queue is not queued twice, and
+  deliveries for a product within cooldownMs of its last run are ignored so the
+  updates our own mutations trigger do not loop back into another run.
+  onProductDeleted(productGid), when given, runs on the same queue for
+  products/delete; without it that topic is ignored like any other.
+
+  slack = { signingSecret, onAction } enables POST /slack/interactions;
+  onAction(action) (see parseInteraction) runs on the same queue, but an
+  explicit click is never dropped by the cooldown.
+*/
+function createWebhookServer({ secret, onProduct, onProductDeleted = null, cooldownMs = 60000, dedupe = createDeliveryDeduper(), slack = null }) {
+  if (!secret) throw new Error('Webhook server requires a Shopify webhook secret');
+
+  const queued = new Set();
+  const lastRunAt = new Map(); // productGid -> ms
+  let chain = Promise.resolve();
+
+  function schedule(productGid, work) {
+    chain = chain.then(async () => {
+      try {
+        await work();
+      } catch (e) {
+        console.error(`Webhook processing failed for ${productGid}:`, e?.response?.data || e.message || e);
+      } finally {
+        lastRunAt.set(productGid, Date.now());
+      }
+    });
+  }
+
+  function enqueue(productGid, topic) {
+    if (queued.has(productGid)) return false;
+    const last = lastRunAt.get(productGid);
+    if (last && Date.now() - last < cooldownMs) return false;
+    queued.add(productGid);
+    schedule(productGid, () => {
+      queued.delete(productGid);
+      return onProduct(productGid, topic);
+    });
+    return true;
+  }
+
+  async function handleSlack(req, reply) {
+    let raw;
+    try { raw = await readBody(req); }
+    catch { return reply(413, 'payload too large'); }
+    const ok = verifySlackSignature(raw.toString('utf8'), req.headers['x-slack-request-timestamp'], req.headers['x-slack-signature'], slack.signingSecret);
+    if (!ok) return reply(401, 'invalid signature');
+
+    let actions;
+    try { actions = parseInteraction(raw.toString('utf8')); }
+    catch { return reply(400, 'invalid payload'); }
+    // Slack wants an answer within 3 s; the result goes back through response_url.
+    for (const action of actions) schedule(action.productId, () => slack.onAction(action));
+    reply(200, '');
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const reply = (status, text) => { res.writeHead(status, { 'Content-Type': 'text/plain' }); res.end(text); };
+    const route = req.url.split('?')[0];
+
+    if (req.method === 'GET' && req.url === '/healthz') return reply(200, 'ok');
+    if (slack && req.method === 'POST' && route === '/slack/interactions') return handleSlack(req, reply);
+    if (req.method !== 'POST' || route !== '/webhooks/shopify') return reply(404, 'not found');
+
+    let raw;
+    try { raw = await readBody(req); }
+    catch { return reply(413, 'payload too large'); }
+
+    if (!verifyShopifyHmac(raw, req.headers['x-shopify-hmac-sha256'], secret)) return reply(401, 'invalid signature');
+
+    const topic = String(req.headers['x-shopify-topic'] || '');
+    const deleted = topic === DELETE_TOPIC && onProductDeleted;
+    if (!PRODUCT_TOPICS.has(topic) && !deleted) return reply(200, 'ignored topic');
+
+    const deliveryId = req.headers['x-shopify-webhook-id'] || req.headers['x-shopify-event-id'];
+    if (dedupe.isDuplicate(deliveryId)) return reply(200, 'duplicate');
+
+    let payload;
+    try { payload = JSON.parse(raw.toString('utf8')); }
+    catch { return reply(400, 'invalid json'); }
+
+    const productGid = productGidFromPayload(payload);
+    if (!productGid) return reply(400, 'missing product id');
+
+    // Acknowledge first: Shopify expects a fast 200 and retries otherwise.
+    if (deleted) {
+      schedule(productGid, () => onProductDeleted(productGid));
+      return reply(200, 'queued');
+    }
+    const accepted = enqueue(productGid, topic);
+    reply(200, accepted ? 'queued' : 'skipped');
+  });
+
+  // Resolves once everything queued so far has been processed.
+  server.drain = () => chain;
+  return server;
+}
+
+module.exports = {
+  signShopifyPayload,
+  verifyShopifyHmac,
+  createDeliveryDeduper,
+  createWebhookServer,
+};
@@ -0,0 +1,67 @@
+/* =========================
+   Bounded worker pool
+
+   runPool(items, worker, { concurrency }) calls worker(item, { index, inOrder })
+   for every item of an iterable or async iterable, with at most `concurrency`
+   in flight. Items are pulled only when a worker is free, so a streamed bulk
+   export is never read further ahead than that.
+
+   inOrder(fn) runs fn once every earlier item has finished: put the side
+   effects that must keep input order (Slack posts, ledger lines) at the end of
+   the worker behind it, and the lookups before them still overlap.
+
+   The first error (from a worker or the iterable) stops new items from
+   starting; the pool rejects with it once the items in flight have settled.
+========================= */
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+async function runPool(items, worker, { concurrency = 1 } = {}) {
+  const iterator = items[Symbol.asyncIterator] ? items[Symbol.asyncIterator]() : items[Symbol.iterator]();
+  const done = new Map(); // index -> resolves when that item and every earlier one have finished
+  const finished = (i) => {
+    if (i < 0) return Promise.resolve();
+    if (!done.has(i)) done.set(i, deferred());
+    return done.get(i).promise;
+  };
+  const finish = (i) => {
+    finished(i);
+    finished(i - 1).then(() => {
+      done.get(i).resolve();
+      done.delete(i - 1);
+    });
+  };
+
+  let next = 0;
+  let failure = null;
+
+  async function loop() {
+    while (!failure) {
+      const index = next++; // claimed before awaiting so indexes follow iterator order
+      let step;
+      try { step = await iterator.next(); }
+      catch (err) { failure = failure || { err }; }
+      if (!step || step.done) { finish(index); return; }
+
+      const inOrder = async (fn) => {
+        await finished(index - 1);
+        return fn();
+      };
+      try {
+        await worker(step.value, { index, inOrder });
+      } catch (err) {
+        failure = failure || { err };
+      } finally {
+        finish(index);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, loop));
+  if (failure) throw failure.err;
+}
+
+module.exports = { runPool };
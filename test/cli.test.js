@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseArgs, UsageError } = require('../lib/cli');
+
+test('no command means a scan, and legacy flags keep working', () => {
+  assert.deepEqual(parseArgs([]), { command: 'scan', args: [], labels: [], stores: [], vendor: null, dryRun: null, bulk: false, resume: false });
+  assert.equal(parseArgs(['--serve']).command, 'serve');
+  assert.equal(parseArgs(['--resume']).resume, true);
+  assert.equal(parseArgs(['--bulk', '--live']).dryRun, false);
+});
+
+test('subcommands take their arguments and repeatable labels', () => {
+  const p = parseArgs(['process', '--label', 'Tax Updated', '--label', 'HSN Updated', '--vendor', 'Acme', '--dry-run']);
+  assert.equal(p.command, 'process');
+  assert.deepEqual(p.labels, ['Tax Updated', 'HSN Updated']);
+  assert.equal(p.vendor, 'Acme');
+  assert.equal(p.dryRun, true);
+  assert.deepEqual(parseArgs(['check', 'SKU-1']).args, ['SKU-1']);
+  assert.deepEqual(parseArgs(['restore-inventory', '42', '--live']).args, ['42']);
+  assert.deepEqual(parseArgs(['dead-letters', 'replay', '--all', '--store', 'TAC', '--live']), {
+    command: 'dead-letters', args: ['replay', '--all'], labels: [], stores: ['TAC'], vendor: null, dryRun: false, bulk: false, resume: false,
+  });
+  assert.deepEqual(parseArgs(['scan', '--store', 'TAC', '--store', 'B2B']).stores, ['TAC', 'B2B']);
+});
+
+test('bad invocations are usage errors', () => {
+  for (const argv of [
+    ['frobnicate'],
+    ['check'],
+    ['restore-inventory'],
+    ['process'],
+    ['scan', '--vendor'],
+    ['scan', '--colour', 'red'],
+    ['scan', '--dry-run', '--live'],
+    ['scan', '--resume', '--vendor', 'Acme'],
+  ]) {
+    assert.throws(() => parseArgs(argv), UsageError, argv.join(' '));
+  }
+});
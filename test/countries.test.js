@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { countryCodeFor } = require('../lib/countries');
+
+test('English country names map to ISO alpha-2 codes, ignoring case, accents and punctuation', () => {
+  const cases = {
+    'India': 'IN', ' india ': 'IN', 'Germany': 'DE', 'Türkiye': 'TR', 'Turkiye': 'TR', "Côte d'Ivoire": 'CI',
+    'Bosnia & Herzegovina': 'BA', 'Bosnia and Herzegovina': 'BA', 'Saint Lucia': 'LC', 'St. Lucia': 'LC', 'Myanmar': 'MM',
+  };
+  for (const [name, code] of Object.entries(cases)) assert.equal(countryCodeFor(name), code, name);
+});
+
+test('common aliases and bare codes are accepted', () => {
+  const cases = { 'USA': 'US', 'U.S.A.': 'US', 'UK': 'GB', 'England': 'GB', 'Turkey': 'TR', 'Burma': 'MM', 'Holland': 'NL', 'in': 'IN', 'CN': 'CN' };
+  for (const [name, code] of Object.entries(cases)) assert.equal(countryCodeFor(name), code, name);
+});
+
+test('unknown names, regions and withdrawn codes are not countries', () => {
+  for (const name of ['', null, 'Narnia', 'Made in India', 'EU', 'European Union', 'World', 'SU', 'ZZ']) assert.equal(countryCodeFor(name), null, String(name));
+});
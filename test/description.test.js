@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { analyseDescription, createDescriptionIndex, openDescriptionIndex } = require('../lib/description');
+
+test('findings for empty, short, placeholder and templated descriptions', () => {
+  assert.deepEqual(analyseDescription('<p> &nbsp; </p>'), [{ kind: 'empty' }]);
+  assert.deepEqual(analyseDescription('<p>A sturdy notebook with 200 ruled pages.</p>'), []);
+  assert.deepEqual(analyseDescription('<p>Notebook, TBD.</p>', { minWords: 3 }), [
+    { kind: 'min_words', wordCount: 2, minWords: 3 },
+    { kind: 'banned', phrases: ['tbd'] },
+  ]);
+  assert.deepEqual(analyseDescription('<p>Sized for %%size%% desks, TODO: finish this copy</p>'), [
+    { kind: 'template', markers: ['%%size%%', 'TODO'] },
+  ]);
+  assert.deepEqual(analyseDescription('<p>Great for a tbdx project, not to be decided lightly</p>', { bannedPhrases: ['lightly'] }), [
+    { kind: 'banned', phrases: ['to be decided', 'lightly'] },
+  ], 'phrases match whole words only');
+});
+
+test('the index finds identical and near-duplicate descriptions of other products', () => {
+  const long = (last) => `<p>${'one two three four five six seven eight nine ten eleven twelve thirteen fourteen fifteen sixteen seventeen eighteen nineteen twenty twentyone'} ${last}</p>`;
+  const index = createDescriptionIndex([
+    { id: 'A', title: 'Alpha', descriptionHtml: '<p>Short, shared text!</p>' },
+    { id: 'B', title: 'Beta', descriptionHtml: long('end') },
+    { id: 'C', title: 'Gamma', descriptionHtml: '' },
+  ]);
+  assert.equal(index.size, 2);
+  assert.deepEqual(index.matches({ id: 'X', descriptionHtml: 'short shared   TEXT' }), [{ id: 'A', title: 'Alpha', similarity: 1, exact: true }]);
+  assert.deepEqual(index.matches({ id: 'A', descriptionHtml: 'short shared text' }), [], 'a product never matches itself');
+  assert.deepEqual(index.matches({ id: 'X', descriptionHtml: 'short shared words' }), [], 'short texts are only compared exactly');
+
+  const [near] = index.matches({ id: 'X', descriptionHtml: long('finish') });
+  assert.equal(near.id, 'B');
+  assert.equal(near.exact, false);
+  assert.ok(near.similarity >= 0.9 && near.similarity < 1);
+  assert.deepEqual(index.matches({ id: 'X', descriptionHtml: long('finish') }, { threshold: 0.99 }), []);
+
+  index.remove('A');
+  assert.equal(index.size, 1);
+  assert.deepEqual(index.matches({ id: 'X', descriptionHtml: 'short shared text' }), [], 'a removed product no longer matches');
+});
+
+test('a saved description index is refreshed with products updated since; an old one is rebuilt', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'description-index-')), 'description-index.json');
+  let clock = Date.parse('2026-05-01T10:00:00Z');
+  const asked = [];
+  const fetchProducts = (since) => {
+    asked.push(since);
+    return since
+      ? [{ id: 'B', title: 'Beta', descriptionHtml: '<p>Late text</p>' }]
+      : [{ id: 'A', title: 'Alpha', descriptionHtml: '<p>Early, <b>saved</b> text</p>' }];
+  };
+  const open = () => openDescriptionIndex({ fetchProducts, file, maxAgeMs: 3600000, now: () => clock });
+
+  assert.equal((await open()).mode, 'built');
+  clock += 10 * 60000;
+  const refreshed = await open();
+  assert.equal(refreshed.mode, 'refreshed');
+  assert.deepEqual(refreshed.index.matches({ id: 'X', descriptionHtml: 'early saved text' }), [{ id: 'A', title: 'Alpha', similarity: 1, exact: true }]);
+  assert.equal(refreshed.index.matches({ id: 'X', descriptionHtml: 'late text' }).length, 1);
+  assert.equal(asked[1], '2026-05-01T09:55:00.000Z'); // last refresh minus the overlap
+
+  clock += 2 * 3600000;
+  const rebuilt = await open();
+  assert.equal(rebuilt.mode, 'built');
+  assert.deepEqual(rebuilt.index.matches({ id: 'X', descriptionHtml: 'late text' }), []);
+});
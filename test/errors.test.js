@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PipelineError, classifyError, errorMessage } = require('../lib/errors');
+const { ShopifyApiError } = require('../lib/shopify-client');
+
+test('errors are classified as shopify, webhook, slack or data', () => {
+  assert.equal(classifyError(new ShopifyApiError('productUpdate: locked', { kind: 'user_errors' })), 'shopify');
+  assert.equal(classifyError(new PipelineError('slack', 'Slack chat.postMessage failed: HTTP 500')), 'slack');
+  assert.equal(classifyError(new PipelineError('webhook', 'Make sku delivery failed: EACCES')), 'webhook');
+  assert.equal(classifyError(new TypeError("Cannot read properties of null (reading 'product')")), 'data');
+  assert.equal(classifyError({ category: 'weather' }), 'data');
+});
+
+test('messages prefer the HTTP response body and are kept to one short line', () => {
+  assert.equal(errorMessage({ message: 'Request failed', response: { data: { error: 'invalid_auth' } } }), '{"error":"invalid_auth"}');
+  const long = errorMessage(new Error('x'.repeat(400)));
+  assert.equal(long.length, 300);
+  assert.ok(long.endsWith('…'));
+});
@@ -0,0 +1,81 @@
+/*
+  Product fixtures for the mock Shopify server. `product()` returns a node that
+  passes every New Product Check; scenarios override only what they exercise.
+*/
+let seq = 0;
+
+function variant(sku, overrides = {}) {
+  seq++;
+  return {
+    id: `gid://shopify/ProductVariant/${seq}`,
+    title: overrides.title || sku,
+    sku,
+    price: '100.00',
+    selectedOptions: [{ name: 'Title', value: sku }],
+    inventoryItem: { id: `gid://shopify/InventoryItem/${seq}`, harmonizedSystemCode: '482010', countryCodeOfOrigin: 'IN' },
+    ...overrides,
+  };
+}
+
+function image(id, overrides = {}) {
+  return {
+    id: `gid://shopify/MediaImage/${id}`,
+    alt: `Product ${id}`,
+    mimeType: 'image/jpeg',
+    image: { width: 2048, height: 2048 },
+    originalSource: { fileSize: 512000 },
+    ...overrides,
+  };
+}
+
+function product(id, overrides = {}) {
+  const { variants, collections, labels, ...rest } = overrides;
+  return {
+    id: `gid://shopify/Product/${id}`,
+    handle: `product-${id}`,
+    title: `Product ${id}`,
+    status: 'DRAFT',
+    vendor: 'Acme',
+    descriptionHtml: `<p>Product ${id} is a sturdy notebook with 200 ruled pages.</p>`,
+    images: { edges: [{ node: { id: `gid://shopify/ProductImage/${id}` } }] },
+    media: [image(id)],
+    collections: { nodes: collections || [{ title: 'Shopify (India | Tax Rate 18%)', handle: 'india-tax-18' }] },
+    options: [{ name: 'Title', linkedMetafield: null }],
+    variants: { nodes: variants || [variant(`P${id}-0`)] },
+    metafieldChanges: labels === null ? null : { value: JSON.stringify(labels || ['New Product Checks']) },
+    metafieldTax: { value: '18%' },
+    metafieldPreOrder: { value: 'Disabled' },
+    metafieldOrigin: { value: 'India' },
+    metafieldMainItemConfirm: null,
+    ...rest,
+  };
+}
+
+/* An option linked to custom.variant_quantities; `links` maps each value to its variant_options handle */
+function linkedOption(name, links) {
+  return {
+    name,
+    linkedMetafield: { namespace: 'custom', key: 'variant_quantities' },
+    optionValues: Object.entries(links).map(([value, handle]) => ({
+      name: value,
+      linkedMetafieldValue: handle ? `gid://shopify/Metaobject/variant_options-${handle}` : null,
+    })),
+  };
+}
+
+function store(products, extra = {}) {
+  return {
+    products,
+    metaobjects: { variant_options: {} },
+    locations: ['gid://shopify/Location/1', 'gid://shopify/Location/2'],
+    publications: [{ id: 'gid://shopify/Publication/1', name: 'Online Store' }],
+    marketPublications: [
+      { id: 'gid://shopify/Publication/99', catalog: { __typename: 'MarketCatalog', title: 'India' } },
+    ],
+    media: {},
+    collections: ['0', '5', '12', '18'].map(rate => ({ title: `Shopify (India | Tax Rate ${rate}%)`, handle: `india-tax-${rate}` })),
+    ...extra,
+  };
+}
+
+module.exports = { product, variant, image, linkedOption, store };
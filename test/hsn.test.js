@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isHsnFormatValid, createHsnRateTable, hsnRatesFromMetaobjects, assessHsn } = require('../lib/hsn');
+const { resolveChecks } = require('../lib/checks');
+
+const STATIONERY = { '4820': 18, '482020': 0 };
+
+test('HSN codes are 4, 6 or 8 digits', () => {
+  for (const ok of ['4820', '482010', '48201090', ' 4820 ']) assert.equal(isHsnFormatValid(ok), true, ok);
+  for (const bad of ['482', '48201', '4820109', '482010900', '4820.10', 'abcd', '']) assert.equal(isHsnFormatValid(bad), false, bad);
+});
+
+test('the longest matching prefix sets the rate; without a table nothing is covered', () => {
+  const rates = createHsnRateTable({ ...STATIONERY, '3213': '18%' });
+  assert.equal(rates.rateFor('482020'), 0);
+  assert.equal(rates.rateFor('48201090'), 18);
+  assert.equal(rates.rateFor('321310'), 18);
+  assert.equal(rates.rateFor('7113'), null);
+  assert.equal(rates.rateFor('48201'), null);
+  assert.equal(rates.source, 'config');
+  assert.equal(createHsnRateTable().rateFor('482020'), null);
+  assert.throws(() => createHsnRateTable({ '48x0': 18 }), /Invalid hsnGstRates entry '48x0'/);
+  assert.throws(() => createHsnRateTable({ '4820': 'high' }), /Invalid hsnGstRates entry '4820'/);
+});
+
+test('metaobject entries need an HSN prefix and a numeric rate', () => {
+  const node = (fields) => ({ fields: Object.entries(fields).map(([key, value]) => ({ key, value })) });
+  assert.deepEqual(hsnRatesFromMetaobjects([
+    node({ hsn: '4820', gst_rate: '18%' }),
+    node({ hsn: ' 482020 ', gst_rate: '0' }),
+    node({ hsn: '48x0', gst_rate: '5' }),
+    node({ hsn: '9609', gst_rate: '' }),
+    node({ hsn: '9608' }),
+  ]), { '4820': 18, '482020': 0 });
+});
+
+test('assessHsn sorts a variant into missing, format, mismatch, unknown or ok', () => {
+  const rates = createHsnRateTable(STATIONERY);
+  assert.deepEqual(assessHsn('', '18', rates), { status: 'missing', hsnRate: null });
+  assert.deepEqual(assessHsn('48201', '18', rates), { status: 'format', hsnRate: null });
+  assert.deepEqual(assessHsn('482020', '18', rates), { status: 'mismatch', hsnRate: 0 });
+  assert.deepEqual(assessHsn('482010', '18.0', rates), { status: 'ok', hsnRate: 18 });
+  assert.deepEqual(assessHsn('7113', '3', rates), { status: 'unknown', hsnRate: null });
+});
+
+test('the hsn-gst-rate check is off until the config enables it', () => {
+  const ids = (overrides) => resolveChecks(overrides).map(c => c.id);
+  assert.equal(ids({}).includes('hsn-gst-rate'), false);
+  assert.equal(ids({ 'hsn-gst-rate': { enabled: true } }).includes('hsn-gst-rate'), true);
+});
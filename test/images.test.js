@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveImageRules, imageProblems, variantsMissingImage, describeImage } = require('../lib/images');
+const { resolveChecks } = require('../lib/checks');
+
+const img = (overrides = {}) => ({
+  id: 'gid://shopify/MediaImage/1',
+  mimeType: 'image/jpeg',
+  image: { width: 2000, height: 2000 },
+  originalSource: { fileSize: 1024 * 1024 },
+  ...overrides,
+});
+
+const STRICT = {
+  minWidth: 800,
+  minHeight: 800,
+  aspectRatios: ['1:1'],
+  formats: ['jpeg', 'png', 'webp'],
+  maxFileSizeMb: 20,
+  visualOptions: ['Colour'],
+};
+
+test('by default only the image count is checked', () => {
+  const rules = resolveImageRules();
+  assert.equal(rules.minCount, 1);
+  assert.deepEqual(imageProblems(img({ mimeType: 'image/gif', image: { width: 300, height: 200 }, originalSource: { fileSize: 50 * 1024 * 1024 } }), rules), []);
+  assert.deepEqual(variantsMissingImage({ options: [{ name: 'Colour' }] }, [{ id: 'v1', image: null }, { id: 'v2', image: null }], rules).variants, []);
+});
+
+test('images are judged on resolution, aspect ratio, format and file size once rules are set', () => {
+  const rules = resolveImageRules(STRICT);
+  assert.deepEqual(imageProblems(img(), rules), []);
+  assert.deepEqual(imageProblems(img({ image: { width: 700, height: 2000 } }), rules), ['below 800x800', 'aspect ratio not 1:1']);
+  assert.deepEqual(imageProblems(img({ image: { width: 2000, height: 1980 } }), rules), [], 'within the aspect tolerance');
+  assert.deepEqual(imageProblems(img({ mimeType: 'image/gif', originalSource: { fileSize: 21 * 1024 * 1024 } }), rules), ['format gif not allowed', 'over 20 MB']);
+  assert.deepEqual(imageProblems({ id: 'x', image: null }, rules), [], 'unknown values are not judged');
+});
+
+test('config rules replace the defaults they name', () => {
+  const rules = resolveImageRules({ minWidth: 1200, minHeight: 800, aspectRatios: ['1:1', '4:5'] });
+  assert.deepEqual(rules.formats, []);
+  assert.deepEqual(imageProblems(img({ image: { width: 1200, height: 1500 } }), rules), []);
+  assert.deepEqual(imageProblems(img({ image: { width: 1000, height: 1000 } }), rules), ['below 1200x800']);
+  assert.throws(() => imageProblems(img(), resolveImageRules({ aspectRatios: ['square'] })), /Invalid image aspect ratio 'square'/);
+  assert.throws(() => resolveChecks({ images: { aspectRatios: ['4x5'] } }), /Invalid image aspect ratio '4x5'/, 'rejected at startup, not per product');
+});
+
+test('the store profile rules win over the config entry', async () => {
+  const [images] = resolveChecks({ images: { minWidth: 2500 } }).filter(c => c.id === 'images');
+  const ctx = (imageRules) => ({ product: { options: [] }, variants: [], media: [img()], api: { imageRules: () => imageRules }, options: images.options });
+  assert.equal((await images.evaluate(ctx({}))).ok, false, 'config minWidth 2500');
+  assert.equal((await images.evaluate(ctx({ minWidth: 1000 }))).ok, true);
+});
+
+test('variants need images only when an option is visual', () => {
+  const rules = resolveImageRules(STRICT);
+  const variants = [{ id: 'v1', image: { id: 'i1' } }, { id: 'v2', image: null }];
+  assert.deepEqual(variantsMissingImage({ options: [{ name: 'Size' }] }, variants, rules), { option: null, variants: [] });
+  assert.deepEqual(variantsMissingImage({ options: [{ name: 'Size' }, { name: 'colour' }] }, variants, rules), { option: 'colour', variants: [variants[1]] });
+});
+
+test('describeImage formats the table columns', () => {
+  assert.deepEqual(describeImage(img()), { size: '2000x2000', format: 'jpeg', fileSize: '1.0 MB' });
+  assert.deepEqual(describeImage({ id: 'x' }), { size: '', format: '', fileSize: '' });
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DEFAULT_INVENTORY_POLICY, resolveInventoryPolicy, zeroingSkipReason, selectLocations, createInventorySnapshots } = require('../lib/inventory-zeroing');
+
+test('the default policy zeroes every product at every location', () => {
+  const policy = resolveInventoryPolicy(undefined);
+  assert.deepEqual(policy, DEFAULT_INVENTORY_POLICY);
+  assert.equal(zeroingSkipReason(policy, { vendor: 'Acme', preOrderSetting: 'Enabled', passedBefore: true }), null);
+  assert.throws(() => resolveInventoryPolicy({ locations: 'some' }), /Invalid inventoryZeroing\.locations/);
+  assert.throws(() => resolveInventoryPolicy({ skipVendors: 'Acme' }), /Invalid inventoryZeroing\.skipVendors/);
+});
+
+test('products can be exempted by earlier pass, vendor or pre-order setting', () => {
+  const policy = resolveInventoryPolicy({ skipPassedBefore: true, skipVendors: ['Acme '], skipPreOrder: true });
+  assert.equal(zeroingSkipReason(policy, { vendor: 'Other', preOrderSetting: 'Disabled' }), null);
+  assert.equal(zeroingSkipReason(policy, { vendor: 'Other', passedBefore: true }), 'product passed the checks before');
+  assert.equal(zeroingSkipReason(policy, { vendor: 'acme' }), "vendor 'acme' is excluded");
+  assert.equal(zeroingSkipReason(policy, { vendor: 'Other', preOrderSetting: 'Enabled' }), "pre-order product ('Enabled')");
+  assert.equal(zeroingSkipReason(resolveInventoryPolicy({ enabled: false }), {}), 'inventory zeroing is disabled');
+});
+
+test('locations are picked by id, numeric id or name', () => {
+  const locations = [
+    { id: 'gid://shopify/Location/1', name: 'Warehouse' },
+    { id: 'gid://shopify/Location/2', name: 'Shop' },
+    { id: 'gid://shopify/Location/3', name: 'Returns' },
+  ];
+  assert.equal(selectLocations(resolveInventoryPolicy(), locations).length, 3);
+  const picked = selectLocations(resolveInventoryPolicy({ locations: ['warehouse', '3', 'gid://shopify/Location/9'] }), locations);
+  assert.deepEqual(picked.map(l => l.id), ['gid://shopify/Location/1', 'gid://shopify/Location/3']);
+});
+
+test('restore takes the last non-zero level per item and location since the previous restore', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-snapshots-')), 'snapshots.jsonl');
+  const snapshots = createInventorySnapshots(file);
+  const level = (inventoryItemId, locationId, quantity) => ({ inventoryItemId, locationId, quantity });
+  assert.equal(snapshots.restorable('P1'), null);
+  snapshots.record({ runId: 'r0', productId: 'P1', quantities: [level('I1', 'L1', 9)] });
+  snapshots.markRestored({ productId: 'P1' });
+  assert.equal(snapshots.restorable('P1'), null, 'a restore consumes the snapshots before it');
+
+  snapshots.record({ runId: 'r1', productId: 'P1', quantities: [level('I1', 'L1', 5), level('I1', 'L2', null)] });
+  snapshots.record({ productId: 'P2', quantities: [level('I9', 'L1', 1)] });
+  snapshots.record({ runId: 'r2', productId: 'P1', quantities: [level('I1', 'L1', 0), level('I2', 'L1', 4)] });
+  fs.appendFileSync(file, '{"torn');
+  const restorable = createInventorySnapshots(file).restorable('P1');
+  assert.equal(restorable.snapshots, 2);
+  assert.deepEqual(restorable.quantities, [level('I1', 'L1', 5), level('I2', 'L1', 4)]);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLedger } = require('../lib/ledger');
+
+const tempLedger = () => createLedger(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-')), 'ledger.jsonl'));
+
+test('only live runs count as passes', () => {
+  const ledger = tempLedger();
+  const live = ledger.startRun({ mode: 'live' });
+  ledger.recordProduct(live, 'P1', 'passed');
+  ledger.recordProduct(live, 'P2', 'failed');
+  const dry = ledger.startRun({ mode: 'dry-run' });
+  ledger.recordProduct(dry, 'P3', 'passed');
+  const hooks = ledger.startRun({ mode: 'live:webhooks' });
+  ledger.recordProduct(hooks, 'P4', 'passed');
+  assert.deepEqual([...ledger.passedProductIds()], ['P1', 'P4']);
+});
+
+test('resume picks up the last unfinished live scan, never a dry run or webhook session', () => {
+  const ledger = tempLedger();
+  const live = ledger.startRun({ mode: 'live' });
+  ledger.recordPage(live, { after: null, endCursor: 'c1', hasNextPage: true });
+  ledger.recordProduct(live, 'P9', 'passed');
+  const dry = ledger.startRun({ mode: 'dry-run:bulk' });
+  ledger.recordPage(dry, { after: null, endCursor: 'c7', hasNextPage: true });
+  ledger.startRun({ mode: 'live:webhooks' });
+
+  const point = ledger.findResumePoint();
+  assert.equal(point.runId, live);
+  assert.equal(point.after, 'c1');
+  assert.deepEqual([...point.doneProductIds], ['P9']);
+
+  ledger.finishRun(live, { status: 'completed' });
+  assert.equal(ledger.findResumePoint(), null);
+});
@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMakeQueue } = require('../lib/make-queue');
+
+function setup(responses, opts = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'make-queue-'));
+  const sent = [];
+  const delays = [];
+  const make = (overrides = {}) => createMakeQueue({
+    pendingFile: path.join(dir, 'queue.json'),
+    deadLetterFile: path.join(dir, 'dead.jsonl'),
+    send: async (job) => { sent.push(job.id); return responses.shift() || { ok: true, status: 200 }; },
+    maxAttempts: 3,
+    baseDelayMs: 100,
+    sleep: async (ms) => { delays.push(ms); },
+    ...opts,
+    ...overrides,
+  });
+  return { dir, sent, delays, make };
+}
+
+test('retries 5xx and timeouts with exponential backoff until delivered', async () => {
+  const { sent, delays, make } = setup([{ ok: false, status: 502 }, { ok: false, status: null, error: 'ECONNABORTED' }]);
+  const queue = make();
+
+  const r = await queue.deliver({ kind: 'product', payload: { a: 1 } });
+
+  assert.deepEqual(r, { ok: true, status: 200, attempts: 3 });
+  assert.equal(sent.length, 3);
+  assert.deepEqual(delays, [100, 200]);
+  assert.equal(queue.pendingCount(), 0);
+  assert.deepEqual(queue.listDeadLetters(), []);
+});
+
+test('dead-letters after the attempt cap, and 4xx without retrying', async () => {
+  const { sent, make } = setup([
+    { ok: false, status: 500 }, { ok: false, status: 500 }, { ok: false, status: 500 },
+    { ok: false, status: 410 },
+  ]);
+  const queue = make();
+
+  const exhausted = await queue.deliver({ kind: 'sku', payload: {}, productId: 'p1' });
+  const gone = await queue.deliver({ kind: 'product', payload: {}, productId: 'p2' });
+
+  assert.equal(exhausted.deadLettered, true);
+  assert.equal(gone.attempts, 1);
+  assert.equal(sent.length, 4);
+  const dead = queue.listDeadLetters();
+  assert.deepEqual(dead.map(j => j.productId), ['p1', 'p2']);
+  assert.match(dead[0].reason, /gave up after 3 attempt\(s\) \(last HTTP 500\)/);
+  assert.equal(dead[1].reason, 'HTTP 410');
+});
+
+test('jobs survive a restart and are drained by the next process', async () => {
+  const { make } = setup([]);
+  const crashed = make({ send: () => new Promise(() => {}) }); // never answers, like a process killed mid-call
+  crashed.deliver({ kind: 'product', payload: { title_modified: true }, label: 'Title Updated', group: 'p|Title Updated' });
+
+  const next = make();
+  assert.equal(next.pendingCount(), 1);
+  const delivered = [];
+  const r = await next.drainPending(async (job) => { delivered.push(job.label); });
+
+  assert.deepEqual(r, { total: 1, delivered: 1 });
+  assert.deepEqual(delivered, ['Title Updated']);
+  assert.equal(next.pendingCount(), 0);
+});
+
+test('replay re-sends selected dead letters and keeps failures for later', async () => {
+  const { make } = setup([{ ok: false, status: 400 }, { ok: false, status: 400 }, { ok: true, status: 200 }, { ok: false, status: 400 }]);
+  const queue = make();
+  await queue.deliver({ kind: 'product', payload: {}, group: 'g' });
+  await queue.deliver({ kind: 'product', payload: {}, group: 'g' });
+  const [first, second] = queue.listDeadLetters();
+
+  assert.equal(queue.hasOutstanding('g', first.id), true);
+  const results = await queue.replayDeadLetters([first.id]);
+  assert.deepEqual(results.map(r => r.ok), [true]);
+  assert.deepEqual(queue.listDeadLetters().map(j => j.id), [second.id]);
+  assert.equal(queue.hasOutstanding('g', second.id), false);
+
+  const again = await queue.replayDeadLetters(null);
+  assert.deepEqual(again.map(r => r.ok), [false]);
+  assert.deepEqual(queue.listDeadLetters().map(j => j.id), [second.id]);
+});
+
+test('a new batch for the same key replaces the pending and dead-lettered jobs of older batches', async () => {
+  const { make } = setup([{ ok: false, status: 400 }, { ok: true, status: 200 }, { ok: false, status: 400 }]);
+  const queue = make();
+  await queue.deliver({ kind: 'unit-price', payload: {}, key: 'p1|NPC', group: 'p1|NPC|run1' });
+  const other = await queue.deliver({ kind: 'product', payload: {}, key: 'p2|NPC', group: 'p2|NPC|run1' });
+  assert.equal(other.ok, true);
+  const [old] = queue.listDeadLetters();
+
+  const r = await queue.deliver({ kind: 'unit-price', payload: {}, key: 'p1|NPC', group: 'p1|NPC|run2' });
+  assert.deepEqual(r.superseded, [old.id]);
+  const sibling = await queue.deliver({ kind: 'sku', payload: {}, key: 'p1|NPC', group: 'p1|NPC|run2' });
+  assert.equal(sibling.superseded, undefined, 'jobs of the same batch never replace each other');
+  assert.deepEqual(queue.listDeadLetters().map(j => j.group), ['p1|NPC|run2']);
+  assert.equal(queue.hasOutstanding('p1|NPC|run1'), false);
+});
+
+test('a job superseded while in flight is not dead-lettered', async () => {
+  let fail;
+  const { make } = setup([]);
+  const queue = make({ send: (job) => (job.group === 'old' ? new Promise((r) => { fail = () => r({ ok: false, status: 400 }); }) : Promise.resolve({ ok: true, status: 200 })) });
+  const inFlight = queue.deliver({ kind: 'sku', payload: {}, key: 'k', group: 'old' });
+  await queue.deliver({ kind: 'sku', payload: {}, key: 'k', group: 'new' });
+  fail();
+  await inFlight;
+  assert.deepEqual(queue.listDeadLetters(), []);
+  assert.equal(queue.pendingCount(), 0);
+});
+
+test('a retrying job stops once a newer batch has replaced it', async () => {
+  const { sent, make } = setup([{ ok: false, status: 500 }]);
+  let queue;
+  const sleep = async () => { await queue.deliver({ kind: 'sku', payload: {}, key: 'k', group: 'new' }); };
+  queue = make({ sleep });
+  const r = await queue.deliver({ kind: 'sku', payload: {}, key: 'k', group: 'old' });
+  assert.equal(r.dropped, true);
+  assert.equal(sent.length, 2, 'the old job was sent once, then only the new one');
+  assert.deepEqual(queue.listDeadLetters(), []);
+});
@@ -0,0 +1,1081 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMockShopify } = require('./support/mock-shopify');
+const { createStubReceivers } = require('./support/stub-receivers');
+const { runCli, startServe } = require('./support/run-cli');
+const { signSlackRequest } = require('../lib/slack');
+const { signShopifyPayload } = require('../lib/webhook-server');
+const { product, variant, image, linkedOption, store } = require('./fixtures/products');
+
+const MUTATIONS = ['UpdateProductStatus', 'SetMetafields', 'UpdateInventoryItem', 'SetOnHand', 'PublishToChannel', 'ProductUpdateMedia', 'CollectionAddProducts', 'CollectionRemoveProducts'];
+
+let shopify, stubs;
+
+async function start(fixture) {
+  shopify = await createMockShopify(fixture).listen();
+  return shopify;
+}
+
+beforeEach(async () => {
+  stubs = await createStubReceivers().listen();
+});
+
+afterEach(async () => {
+  await stubs.close();
+  if (shopify) await shopify.close();
+  shopify = null;
+});
+
+test('main item: sends main-item-only SKU payload, activates and clears the label', async () => {
+  const stocked = { id: 'gid://shopify/InventoryItem/MAIN-0', harmonizedSystemCode: '482010', countryCodeOfOrigin: 'IN' };
+  await start(store([product(10, { variants: [variant('MAIN-0', { inventoryItem: stocked })] })], {
+    inventoryLevels: { [stocked.id]: { 'gid://shopify/Location/1': 4 } },
+  }));
+
+  const { code, stdout, stderr } = await runCli({ shopify, stubs });
+  assert.equal(code, 0, stderr);
+
+  const [sku] = stubs.makeCallsTo('sku');
+  assert.equal(stubs.makeCallsTo('sku').length, 1);
+  assert.equal(sku.body.main_item_only, true);
+  assert.equal(sku.body.main_item_sku, 'MAIN-0');
+  assert.equal(sku.body.tax_percentage, '18');
+  assert.equal(sku.body.tax_id, '514287000000074413');
+  assert.equal(sku.body.hsn_value, '482010');
+
+  const p = shopify.product('gid://shopify/Product/10');
+  assert.equal(p.status, 'ACTIVE');
+  assert.equal(p.metafieldChanges.value, '[]');
+  assert.equal(p.metafieldMainItemConfirm.value, 'true');
+  assert.equal(shopify.callsTo('SetOnHand').length, 1);
+
+  assert.equal(stubs.slackMessages.length, 1);
+  assert.equal(stubs.slackMessages[0].channel, 'C_SUCCESS');
+  assert.match(stubs.slackMessages[0].text, /set to ACTIVE after all checks passed/);
+  assert.match(stdout, /passed=1; failed=0/);
+});
+
+test('composite: sends unit price + SKU group payloads pointing at the main product', async () => {
+  const sizeOption = linkedOption('Size', { '500 ml': 'half-litre', '1 l': 'litre' });
+  const sized = (sku, size) => variant(sku, { title: size, selectedOptions: [{ name: 'Size', value: size }] });
+  await start(store([
+    product(20, { options: [sizeOption], variants: [sized('COMP-1', '500 ml'), sized('COMP-2', '1 l')] }),
+    product(21, { labels: null, status: 'ACTIVE', variants: [variant('COMP-0')] }),
+  ], {
+    metaobjects: {
+      variant_options: {
+        'half-litre': { base_unit: 'ml', reference_unit: '100 ml', numeric_value: '500' },
+        'litre': { base_unit: 'l', reference_unit: '1 l', numeric_value: '1' },
+        '500-ml': { base_unit: 'g', reference_unit: '100 g', numeric_value: '1' }, // the handle the value would suggest; not linked
+      },
+    },
+  }));
+
+  const { code, stderr } = await runCli({ shopify, stubs });
+  assert.equal(code, 0, stderr);
+
+  const [unitPrice] = stubs.makeCallsTo('unit-price');
+  assert.equal(unitPrice.headers.productid, 'gid://shopify/Product/20');
+
+  const skuCalls = stubs.makeCallsTo('sku');
+  assert.equal(skuCalls.length, 1);
+  const payload = skuCalls[0].body;
+  assert.equal(payload.main_item_only, false);
+  assert.equal(payload.main_item_sku, 'COMP-0');
+  assert.equal(payload.main_item_id, 'gid://shopify/Product/21');
+  assert.deepEqual(payload.skus, ['COMP-1', 'COMP-2']);
+  assert.deepEqual(payload.items.map(i => i.is_main_item), [false, false]);
+  assert.equal(payload.items[0].variant_numeric_quantity, '500');
+  assert.equal(payload.items[1].variant_base_unit, 'l');
+
+  const p = shopify.product('gid://shopify/Product/20');
+  assert.equal(p.status, 'ACTIVE');
+  assert.equal(p.metafieldChanges.value, '[]');
+  assert.equal(stubs.slackMessages[0].channel, 'C_SUCCESS');
+  assert.match(stubs.slackMessages[0].text, /Data sent for Zoho item confirmation/);
+});
+
+test('variant quantities: unparseable values, missing metaobjects and mismatched numbers each get a line', async () => {
+  const sizeOption = linkedOption('Size', { 'Pack of 3 x 500 ml': 'tri-pack', 'Large': 'large', '750 ml': null, '1 l': 'one-litre', '2 m': 'two-metres' });
+  const sized = (sku, size) => variant(sku, { title: size, selectedOptions: [{ name: 'Size', value: size }] });
+  await start(store([
+    product(22, { options: [sizeOption], variants: [sized('QTY-0', 'Pack of 3 x 500 ml'), sized('QTY-1', 'Large'), sized('QTY-2', '750 ml'), sized('QTY-3', '1 l'), sized('QTY-4', '2 m')] }),
+  ], {
+    metaobjects: {
+      variant_options: {
+        'tri-pack': { base_unit: 'l', reference_unit: '1 l', numeric_value: '1.5' },
+        'one-litre': { base_unit: 'g', reference_unit: '100 g', numeric_value: '1000' },
+        'two-metres': { base_unit: 'cm', reference_unit: '1 m', numeric_value: '200' },
+      },
+    },
+  }));
+
+  const { code, stderr } = await runCli({ shopify, stubs });
+  assert.equal(code, 0, stderr);
+
+  const [msg] = stubs.slackMessages;
+  assert.match(msg.text, /1\. Size value\(s\) not understood as a quantity: 'Large'\.\n2\. Size value\(s\) not linked to a variant_options metaobject: '750 ml'\.\n3\. variant_options 'one-litre' does not match '1 l': base_unit 'g', expected a volume unit\./);
+  assert.match(msg.text, /Size: Large +QTY-1/);
+  assert.doesNotMatch(msg.text, /Size: Pack of 3 x 500 ml/);
+  assert.doesNotMatch(msg.text, /Size: 2 m/, 'length units are understood');
+  assert.equal(shopify.product('gid://shopify/Product/22').status, 'DRAFT');
+});
+
+test('fail path: reports every failed check, drafts the product and sends nothing to Make', async () => {
+  await start(store([product(30, {
+    status: 'ACTIVE',
+    descriptionHtml: '<p>tbd</p>',
+    metafieldPreOrder: null,
+    variants: [variant('FAIL-0'), variant('FAIL-1', { inventoryItem: { id: 'gid://shopify/InventoryItem/x', harmonizedSystemCode: null } })],
+  })]));
+
+  const { code, stderr } = await runCli({ shopify, stubs });
+  assert.equal(code, 0, stderr);
+
+  assert.equal(stubs.makeCalls.length, 0);
+  const p = shopify.product('gid://shopify/Product/30');
+  assert.equal(p.status, 'DRAFT');
+  assert.deepEqual(JSON.parse(p.metafieldChanges.value), ['New Product Checks']);
+
+  const [msg] = stubs.slackMessages;
+  assert.equal(msg.channel, 'C_FAILURES');
+  assert.match(msg.text, /failed checks:\n1\. Pre-order setting is empty\.\n2\. Product description is too short: 1 word\(s\), at least 5 required\.\n3\. Product description contains placeholder text: 'tbd'\.\n4\. HS code missing on 1 variant\(s\)\./);
+  assert.match(msg.text, /FAIL-1 .*\* Fill in \*/);
+  assert.match(msg.text, /Product set to DRAFT due to failed checks/);
+});
+
+test('HSN codes must be 4/6/8 digits and should attract the product\'s tax rate in the store\'s HSN table', async () => {
+  const hsn = (sku, code) => variant(sku, { inventoryItem: { id: `gid://shopify/InventoryItem/${sku}`, harmonizedSystemCode: code, countryCodeOfOrigin: 'IN' } });
+  await start(store([
+    product(31, { variants: [hsn('HSN-0', '48201'), hsn('HSN-1', '482020'), hsn('HSN-2', '482010')] }),
+    product(39, { variants: [hsn('HSNW-0', '482020')] }),
+  ]));
+  shopify.store.metaobjects.hsn_gst_rate = { a: { hsn: '4820', gst_rate: '18' }, b: { hsn: '482020', gst_rate: '0%' } };
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'product-checks-'));
+  fs.writeFileSync(path.join(cwd, 'product-checks.config.json'), JSON.stringify({ checks: { 'hsn-gst-rate': { enabled: true } } }));
+
+  const { code, stderr } = await runCli({ shopify, stubs, cwd, env: { HSN_RATE_METAOBJECT: 'hsn_gst_rate' } });
+  assert.equal(code, 0, stderr);
+
+  const [msg, warned] = stubs.slackMessages;
+  assert.match(msg.text, /1\. HS code is not a 4, 6 or 8 digit HSN on 1 variant\(s\): '48201'\.\n\nWarnings -\n- Indian tax rate 18% disagrees with the GST rate of HSN 482020 \(0%\) \(HSN rates: metaobject:hsn_gst_rate\)\./);
+  assert.match(msg.text, /HSN GST/);
+  assert.match(msg.text, /HSN-0 .*\* 48201 \* .*\* Bad format \*/);
+  assert.match(msg.text, /HSN-1 .*\* 482020 \* .*\* 0% \(MF 18%\) \*/);
+  assert.doesNotMatch(msg.text, /HSN-2 /);
+  assert.equal(shopify.product('gid://shopify/Product/31').status, 'DRAFT');
+  assert.equal(warned.channel, 'C_SUCCESS', 'a rate mismatch alone only warns');
+  assert.match(warned.text, /Warnings -\n- Indian tax rate 18% disagrees with the GST rate of HSN 482020 \(0%\)/);
+  assert.equal(shopify.product('gid://shopify/Product/39').status, 'ACTIVE');
+});
+
+test('description analyser: word count, placeholders, template markers and duplicates each get a line', async () => {
+  const blurb = 'Crafted from premium acid free paper this journal lies flat when open and takes ink watercolour and graphite without bleeding making it ideal for sketching journaling and planning';
+  await start(store([
+    product(32, { descriptionHtml: '<p>Soft [Insert colour] cover, {{ size }} pages. Lorem ipsum dolor sit amet.</p>' }),
+    product(33, { descriptionHtml: `<p>${blurb} every day.</p>` }),
+    product(34, { labels: null, descriptionHtml: `<p>${blurb} every week.</p>` }),
+    product(35, { descriptionHtml: '<p>Product 36 is a sturdy notebook with 200 ruled pages.</p>' }),
+    product(36, { labels: null }),
+  ]));
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'product-checks-'));
+  fs.writeFileSync(path.join(cwd, 'product-checks.config.json'), JSON.stringify({
+    checks: { description: { minWords: 12, bannedPhrases: ['dolor sit'] } },
+  }));
+
+  const { code, stderr } = await runCli({ shopify, stubs, cwd });
+  assert.equal(code, 0, stderr);
+
+  const [templated, near, exact] = stubs.slackMessages;
+  assert.match(templated.text, /1\. Product description is too short: 11 word\(s\), at least 12 required\.\n2\. Product description contains placeholder text: 'lorem ipsum', 'dolor sit'\.\n3\. Product description has unfilled template markers: '\{\{ size \}\}', '\[Insert colour\]'\./);
+  assert.equal(near.channel, 'C_SUCCESS', 'duplicates only warn unless a store opts into blocking');
+  assert.match(near.text, /Warnings -\n- Product description is a near duplicate of "Product 34" \(9\d% similar\)\./);
+  assert.match(exact.text, /Warnings -\n- Product description is identical to "Product 36"\./);
+  assert.equal(shopify.callsTo('ProductDescriptions').length, 1);
+
+  // The next scan reads the saved index and only fetches products updated since
+  Object.assign(shopify.product('gid://shopify/Product/34'), { descriptionHtml: '<p>A different story.</p>', updatedAt: new Date().toISOString() });
+  shopify.product('gid://shopify/Product/33').metafieldChanges = { value: JSON.stringify(['New Product Checks']) };
+  stubs.slackMessages.length = 0;
+  const again = await runCli({ shopify, stubs, cwd });
+  assert.equal(again.code, 0, again.stderr);
+  assert.match(shopify.callsTo('ProductDescriptions').at(-1).variables.query, /^updated_at:>'\d{4}-/);
+  assert.doesNotMatch(stubs.slackMessages[0].text, /near duplicate/);
+});
+
+async function waitFor(condition, timeoutMs = 10000) {
+  const until = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > until) throw new Error('timed out waiting for the condition');
+    await new Promise((r) => setTimeout(r, 20));
+  }
+}
+
+function postProductWebhook(serveUrl, topic, id, deliveryId) {
+  const body = JSON.stringify({ id, admin_graphql_api_id: `gid://shopify/Product/${id}` });
+  return fetch(`${serveUrl}/webhooks/shopify`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Hmac-Sha256': signShopifyPayload(body, 'shpss'),
+      'X-Shopify-Topic': topic,
+      'X-Shopify-Webhook-Id': deliveryId,
+    },
+    body,
+  });
+}
+
+test('serve: product webhooks keep the storewide description index current between rebuilds', async () => {
+  const text = '<p>A sturdy notebook with two hundred ruled pages and a lay flat binding.</p>';
+  await start(store([
+    product(150, { descriptionHtml: text }),
+    product(151, { labels: null, descriptionHtml: text }),
+    product(152, { descriptionHtml: '<p>A pocket sized planner with monthly and weekly spreads.</p>' }),
+  ]));
+  const server = await startServe({ shopify, stubs, env: { SHOPIFY_WEBHOOK_SECRET: 'shpss' } });
+  try {
+    await postProductWebhook(server.url, 'products/update', 150, 'w1');
+    await waitFor(() => stubs.slackMessages.length === 1);
+
+    // 151 is deleted and 152 rewritten in the admin; only the webhooks say so
+    shopify.store.products = shopify.store.products.filter(p => p.id !== 'gid://shopify/Product/151');
+    shopify.product('gid://shopify/Product/152').descriptionHtml = text;
+    await postProductWebhook(server.url, 'products/delete', 151, 'w2');
+    await postProductWebhook(server.url, 'products/update', 152, 'w3');
+    await waitFor(() => stubs.slackMessages.length === 2);
+  } finally {
+    const { stderr } = await server.stop();
+    assert.doesNotMatch(stderr, /failed/i);
+  }
+
+  const [first, second] = stubs.slackMessages;
+  assert.match(first.text, /Product description is identical to "Product 151"\./);
+  assert.match(second.text, /Product description is identical to "Product 150"\./);
+  assert.doesNotMatch(second.text, /Product 151/);
+  assert.equal(shopify.callsTo('ProductDescriptions').length, 1, 'the index is built once and then patched');
+});
+
+test('image rules: each failing image gets a row in the image table; visual options need variant images', async () => {
+  const colour = (sku, value, withImage) => variant(sku, { selectedOptions: [{ name: 'Colour', value }], image: withImage ? { id: `gid://shopify/ProductImage/${sku}` } : null });
+  await start(store([product(38, {
+    options: [{ name: 'Colour', linkedMetafield: null }],
+    variants: [colour('COL-0', 'Red', true), colour('COL-1', 'Blue', false)],
+    media: [
+      image(38),
+      image(381, { mimeType: 'image/png', image: { width: 640, height: 480 } }),
+      image(382, { mimeType: 'image/gif', originalSource: { fileSize: 30 * 1024 * 1024 } }),
+    ],
+  })]));
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'product-checks-'));
+  fs.writeFileSync(path.join(cwd, 'product-checks.config.json'), JSON.stringify({
+    checks: { images: { minWidth: 800, minHeight: 800, aspectRatios: ['1:1'], formats: ['jpeg', 'png', 'webp'], maxFileSizeMb: 20, visualOptions: ['Colour'] } },
+  }));
+
+  const { code, stderr } = await runCli({ shopify, stubs, cwd });
+  assert.equal(code, 0, stderr);
+
+  const [msg] = stubs.slackMessages;
+  assert.match(msg.text, /1\. 2 image\(s\) do not meet the image rules \(see image table\)\.\n2\. Variant image missing on 1 variant\(s\); 'Colour' changes how the product looks\./);
+  assert.match(msg.text, /#   Image +Size +Format +File Size +Problems/);
+  assert.match(msg.text, /^2   381 +640x480 +png +0\.5 MB +below 800x800; aspect ratio not 1:1$/m);
+  assert.match(msg.text, /^3   382 +2048x2048 +gif +30\.0 MB +format gif not allowed; over 20 MB *$/m);
+  assert.doesNotMatch(msg.text, /^1   38 /m);
+  assert.match(msg.text, /Colour: Blue +COL-1/);
+  assert.doesNotMatch(msg.text, /Colour: Red/);
+  assert.equal(shopify.callsTo('ProductMedia').length, 1, 'alt text and the image rules share one media fetch');
+});
+
+test('image rules from the store profile also fill the Problems column', async () => {
+  await start(store([product(39)]));
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'product-checks-'));
+  fs.writeFileSync(path.join(cwd, 'product-checks.config.json'), JSON.stringify({
+    stores: {
+      TAC: {
+        domain: 'tac.myshopify.com',
+        graphqlUrl: shopify.url,
+        slack: { channel: 'C_FAILURES' },
+        make: { product: `${stubs.url}/make/product`, unitPrice: `${stubs.url}/make/unit-price`, sku: `${stubs.url}/make/sku` },
+        zohoTaxIds: { '18': 'tax-18' },
+        imageRules: { minWidth: 4000 },
+      },
+    },
+  }));
+
+  const { code, stderr } = await runCli({ shopify, stubs, cwd, env: { SHOPIFY_ADMIN_ACCESS_TOKEN_TAC: 'shpat_tac' } });
+  assert.equal(code, 0, stderr);
+  assert.match(stubs.slackMessages[0].text, /^1   39 +2048x2048 +jpeg +0\.5 MB +below 4000x0 *$/m);
+});
+
+test('copy guard: blocks the product, drafts it and skips all checks and webhooks', async () => {
+  await start(store([product(40, { title: 'Notebook Copy', status: 'ACTIVE' })]));
+
+  const { code, stderr } = await runCli({ shopify, stubs });
+  assert.equal(code, 0, stderr);
+
+  assert.equal(shopify.product('gid://shopify/Product/40').status, 'DRAFT');
+  assert.equal(stubs.makeCalls.length, 0);
+  assert.equal(shopify.callsTo('SetOnHand').length, 0);
+  assert.equal(stubs.slackMessages[0].channel, 'C_FAILURES');
+  assert.match(stubs.slackMessages[0].text, /Blocked: product name contains "copy"/);
+});
+
+test('title linter: configured words, length and vendor rules; warnings do not block', async () => {
+  const size = (sku, value) => variant(sku, { selectedOptions: [{ name: 'Size', value }] });
+  await start(store([
+    product(41, { title: 'Notebook Copy' }),
+    product(42, { title: 'Acme Sample Pens' }),
+    product(43, { title: ' Acme Ink  Bottle 50 ml', options: [{ name: 'Size', linkedMetafield: null }], variants: [size('INK-0', '50 ml'), size('INK-1', '100 ml')] }),
+  ]));
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'product-checks-'));
+  fs.writeFileSync(path.join(cwd, 'product-checks.config.json'), JSON.stringify({
+    checks: {
+      'title-forbidden-words': { words: ['sample'] },
+      'title-length': { max: 20, severity: 'block' },
+      'title-vendor': { position: 'prefix' },
+    },
+  }));
+
+  const { code, stderr } = await runCli({ shopify, stubs, cwd });
+  assert.equal(code, 0, stderr);
+
+  const [copy, sample, ink] = stubs.slackMessages;
+  assert.equal(copy.channel, 'C_SUCCESS', '"copy" is no longer forbidden once the list is configured');
+  assert.match(copy.text, /Warnings -\n- Title must start with the vendor "Acme"\./);
+  assert.match(sample.text, /failed checks:\n1\. Blocked: product name contains "sample"\.\n\(Checks aborted/);
+  assert.deepEqual(stubs.makeCalls.map(c => c.body.main_item_sku), ['P41-0'], 'only the passing product reaches Make');
+  assert.match(ink.text, /failed checks:\n1\. Title is 22 characters long; at most 20 allowed\./);
+  assert.match(ink.text, /Warnings -\n- Title has leading or trailing spaces and double spaces\.\n- Title mentions 'ml' although the Size option\(s\) already carry units\./);
+  assert.equal(shopify.product('gid://shopify/Product/43').status, 'DRAFT');
+});
+
+test('throttled responses are retried and every page of the scan is processed', async () => {
+  await start({ ...store([product(50), product(51)]), pageSize: 1 });
+  shopify.throttleNext = 1;
+
+  const { code, stdout, stderr } = await runCli({ shopify, stubs, env: { SKU_INDEX: 'false' } }); // first request is the page
+  assert.equal(code, 0, stderr);
+
+  const pages = shopify.callsTo('ProductsPage');
+  assert.deepEqual(pages.map(c => c.variables.after), [null, null, '1']);
+  assert.match(stdout, /scanned=2; with_product_changes=2; passed=2; failed=0/);
+  assert.match(stdout, /Shopify API usage: calls=\d+; .*throttled=1; retries=1;/);
+  assert.match(stdout, /^  ProductsPage: calls=3; actual_cost=30; max_requested=10; throttled=1; retries=1;/m);
+});
+
+test('a scan without labelled products never exports the SKU index', async () => {
+  await start(store([product(154, { labels: null, status: 'ACTIVE' })]));
+
+  const { code, stdout, stderr } = await runCli({ shopify, stubs });
+  assert.equal(code, 0, stderr);
+  assert.equal(shopify.callsTo('SkuIndexPage').length, 0);
+  assert.doesNotMatch(stdout, /SKU index/);
+});
+
+test('products run in parallel, yet Slack posts, ledger lines and counts follow scan order', async () => {
+  await start({
+    ...store([60, 61, 62, 63, 64].map(id => product(id, id % 2 ? { metafieldPreOrder: null } : {}))),
+    pageSize: 3,
+  });
+  shopify.delay = (op, vars) => (JSON.stringify(vars).includes('Product/60"') ? 150 : 0); // first product is the slowest
+
+  const { code, cwd, stdout, stderr } = await runCli({ shopify, stubs, env: { PRODUCT_CONCURRENCY: '3' } });
+  assert.equal(code, 0, stderr);
+
+  assert.deepEqual(stubs.slackMessages.map(m => m.text.match(/Product (\d+)/)[1]), ['60', '61', '62', '63', '64']);
+  assert.deepEqual(stubs.slackMessages.map(m => m.channel), ['C_SUCCESS', 'C_FAILURES', 'C_SUCCESS', 'C_FAILURES', 'C_SUCCESS']);
+  assert.match(stdout, /scanned=5; with_product_changes=5; passed=3; failed=2/);
+  const entries = fs.readFileSync(path.join(cwd, '.data/ledger.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(entries.filter(e => e.type === 'product').map(e => e.productId.split('/').pop()), ['60', '61', '62', '63', '64']);
+});
+
+test('SKU index answers lookups locally; a cached index only fetches variants updated since', async () => {
+  await start(store([
+    product(150, { variants: [variant('IDX-1')] }),
+    product(152, { variants: [variant('SHARED-0')] }),
+    product(153, { labels: null, status: 'ACTIVE', variants: [variant('shared-0')] }),
+  ]));
+  const env = { SKU_INDEX_CACHE: 'true' };
+
+  const first = await runCli({ shopify, stubs, env });
+  assert.equal(first.code, 0, first.stderr);
+  assert.match(first.stdout, /SKU index built: 2 SKU\(s\) across 3 variant\(s\)/);
+  assert.equal(shopify.callsTo('ProductVariantsBySku').length, 0);
+  assert.match(stubs.slackMessages[0].text, /Main item missing for pattern 'idx': expected 'IDX-0'/);
+  assert.match(stubs.slackMessages[1].text, /Duplicate SKUs found: SHARED-0/);
+  assert.ok(fs.existsSync(path.join(first.cwd, '.data/sku-index.json')));
+
+  // The clashing SKU is renamed after the index was saved
+  Object.assign(shopify.product('gid://shopify/Product/153').variants.nodes[0], { sku: 'OTHER-0', updatedAt: new Date().toISOString() });
+  const second = await runCli({ shopify, stubs, env, cwd: first.cwd });
+  assert.equal(second.code, 0, second.stderr);
+  assert.match(second.stdout, /SKU index refreshed: 3 SKU\(s\) across 3 variant\(s\); fetched 1 /);
+  assert.match(shopify.callsTo('SkuIndexPage').at(-1).variables.query, /^updated_at:>'\d{4}-/);
+  assert.equal(shopify.product('gid://shopify/Product/152').status, 'ACTIVE');
+  assert.equal(shopify.product('gid://shopify/Product/150').status, 'DRAFT');
+});
+
+test('tax rates outside the catalogue fail the check and hold tax updates; a metaobject catalogue extends them', async () => {
+  await start(store([
+    product(155, { metafieldTax: { value: '15%' } }),
+    product(156, { labels: ['Tax Updated'], metafieldTax: { value: '15%' } }),
+  ]));
+
+  const first = await runCli({ shopify, stubs });
+  assert.equal(first.code, 0, first.stderr);
+  assert.equal(shopify.product('gid://shopify/Product/155').status, 'DRAFT');
+  assert.match(stubs.slackMessages[0].text, /Indian tax rate '15%' is not an allowed rate \(allowed: 0%, 0\.25%, 5%, 12%, 18%\)\./);
+  assert.equal(stubs.makeCallsTo('product').length, 0);
+  assert.match(stubs.slackMessages[1].text, /Tax update not sent: tax rate '15%' has no Zoho tax id in the catalogue\./);
+  assert.equal(shopify.product('gid://shopify/Product/156').metafieldChanges.value, '["Tax Updated"]');
+
+  shopify.product('gid://shopify/Product/155').metafieldChanges = null;
+  shopify.store.metaobjects.zoho_tax_rate = { '15': { rate: '15%', zoho_tax_id: 'Z15' }, '18': { rate: '18', zoho_tax_id: 'Z18' } };
+  const second = await runCli({ shopify, stubs, env: { TAX_CATALOG_METAOBJECT: 'zoho_tax_rate' } });
+  assert.equal(second.code, 0, second.stderr);
+  const [tax] = stubs.makeCallsTo('product');
+  assert.deepEqual(tax.body, { store: 'TAC', tax_modified: true, tax_percentage: '15', tax_id: 'Z15', product_id: 'gid://shopify/Product/156' });
+  assert.equal(shopify.product('gid://shopify/Product/156').metafieldChanges.value, '[]');
+});
+
+test('with tax-rate-allowed off, a rate outside the catalogue leaves tax_id out of the SKU payload', async () => {
+  await start(store([product(157, {
+    metafieldTax: { value: '15%' },
+    collections: [{ title: 'Shopify (India | Tax Rate 15%)', handle: 'india-tax-15' }],
+    variants: [variant('NOTAX-0')],
+  })]));
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'product-checks-'));
+  fs.writeFileSync(path.join(cwd, 'product-checks.config.json'), JSON.stringify({ checks: { 'tax-rate-allowed': { enabled: false } } }));
+
+  const { code, stderr } = await runCli({ shopify, stubs, cwd });
+  assert.equal(code, 0, stderr);
+  const [sku] = stubs.makeCallsTo('sku');
+  assert.equal(sku.body.tax_percentage, '15');
+  assert.equal('tax_id' in sku.body, false);
+});
+
+test('userErrors from a DRAFT update are logged and the run carries on', async () => {
+  await start(store([product(60, { status: 'ACTIVE', metafieldOrigin: null })]));
+  shopify.userErrors.UpdateProductStatus = [{ field: ['status'], message: 'Product is locked' }];
+
+  const { code, stderr } = await runCli({ shopify, stubs });
+  assert.equal(code, 0, stderr);
+  assert.match(stderr, /Failed to set DRAFT on failed product/);
+  assert.match(stubs.slackMessages[0].text, /Country of origin metafield is empty/);
+});
+
+test('a product that throws is reported and counted while the rest of the scan carries on', async () => {
+  await start(store([product(65), product(66), product(67)]));
+  shopify.userErrors.UpdateProductStatus = ({ id, status }) =>
+    (id.endsWith('/65') && status === 'ACTIVE' ? [{ field: ['status'], message: 'Product is locked' }] : []);
+  stubs.slackStatus = [200, 200, 500]; // product 67's own message fails
+
+  const { code, cwd, stdout, stderr } = await runCli({ shopify, stubs });
+  assert.equal(code, 1, 'errored products make the run exit non-zero');
+
+  assert.equal(shopify.product('gid://shopify/Product/66').status, 'ACTIVE');
+  const [first, second, third] = stubs.slackMessages;
+  assert.equal(first.channel, 'C_FAILURES');
+  assert.match(first.text, /Product "Product 65" errored \(shopify error\): productUpdate: .*Product is locked/);
+  assert.match(second.text, /Product "Product 66" [^]*set to ACTIVE after all checks passed/);
+  assert.equal(third.channel, 'C_FAILURES');
+  assert.match(third.text, /Product "Product 67" errored \(slack error\): Slack chat.postMessage failed: HTTP 500/);
+
+  assert.match(stdout, /passed=2; failed=0; errored=2;/);
+  assert.match(stdout, /Errored products \(2\):\n  - \[shopify\] "Product 65" gid:\/\/shopify\/Product\/65: productUpdate/);
+  assert.match(stderr, /Product gid:\/\/shopify\/Product\/67 errored \(slack\)/);
+  const entries = fs.readFileSync(path.join(cwd, '.data/ledger.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(entries.filter(e => e.type === 'product').map(e => [e.outcome, e.error?.category ?? null]),
+    [['errored', 'shopify'], ['passed', null], ['errored', 'slack']]);
+  assert.equal(entries.at(-1).status, 'completed');
+});
+
+test('dry run performs no mutations and no Make calls', async () => {
+  await start(store([product(70), product(71, { metafieldTax: null })]));
+
+  const { code, stderr } = await runCli({ shopify, stubs, env: { DRY_RUN: 'true' } });
+  assert.equal(code, 0, stderr);
+
+  assert.deepEqual(shopify.calls.filter(c => MUTATIONS.includes(c.op)), []);
+  assert.equal(stubs.makeCalls.length, 0);
+  assert.equal(stubs.slackMessages.length, 2);
+  for (const m of stubs.slackMessages) assert.match(m.text, /^\[DRY RUN\] /);
+});
+
+test('dry run writes a JSON + Markdown plan of every change LIVE would make', async () => {
+  await start(store([
+    product(72, { labels: ['Title Updated', 'New Product Checks'], variants: [variant('PLAN-0')] }),
+    product(73, { status: 'ACTIVE', metafieldTax: null }),
+  ], { media: { 'gid://shopify/Product/72': [{ id: 'gid://shopify/MediaImage/1', alt: 'old' }] } }));
+
+  const { code, cwd, stdout, stderr } = await runCli({ shopify, stubs, env: { DRY_RUN: 'true' } });
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(shopify.calls.filter(c => MUTATIONS.includes(c.op)), []);
+  assert.equal(stubs.makeCalls.length, 0);
+
+  const [jsonFile] = stdout.match(/\S+\.json(?= and )/);
+  const plan = JSON.parse(fs.readFileSync(path.join(cwd, jsonFile), 'utf8'));
+  const [main, failed] = plan.products;
+  assert.equal(main.outcome, 'passed');
+  assert.deepEqual(main.actions.map(a => a.type), [
+    'publish', 'make_webhook', 'product_changes', 'alt_text', 'inventory_zero',
+    'make_webhook', 'main_item_confirmation', 'status', 'publish', 'publish', 'product_changes',
+  ]);
+  assert.deepEqual(main.actions[1].payload, { store: 'TAC', title_modified: true, product_id: 'gid://shopify/Product/72' });
+  assert.deepEqual(main.actions[3].media, [{ id: 'gid://shopify/MediaImage/1', alt: 'Product 72' }]);
+  assert.equal(main.actions[5].name, 'sku_main_item_only');
+  assert.equal(main.actions[5].payload.main_item_sku, 'PLAN-0');
+  assert.deepEqual(main.actions.at(-1), { type: 'product_changes', from: ['New Product Checks'], to: [] });
+
+  assert.equal(failed.outcome, 'failed');
+  assert.deepEqual(failed.actions.at(-1), { type: 'status', from: 'ACTIVE', to: 'DRAFT' });
+
+  const md = fs.readFileSync(path.join(cwd, jsonFile.replace(/\.json$/, '.md')), 'utf8');
+  assert.match(md, /## Product 72/);
+  assert.match(md, /Make webhook `sku_main_item_only` \(sku\)/);
+  assert.match(md, /Set status DRAFT → ACTIVE/);
+});
+
+test('tax collection auto-fix: adds the matching collection, drops conflicting ones, and is planned in a dry run', async () => {
+  const in12 = [{ title: 'Shopify (India | Tax Rate 12%)', handle: 'india-tax-12' }];
+  const fixture = store([
+    product(74, { collections: in12 }),
+    product(75, { collections: in12, metafieldTax: { value: '28%' } }),
+  ]);
+  const env = { AUTO_ASSIGN_TAX_COLLECTION: 'true', TAX_CATALOG_METAOBJECT: 'zoho_tax_rate' };
+  fixture.metaobjects.zoho_tax_rate = { '18': { rate: '18', zoho_tax_id: 'Z18' }, '28': { rate: '28', zoho_tax_id: 'Z28' } };
+  await start(fixture);
+
+  const dry = await runCli({ shopify, stubs, env: { ...env, DRY_RUN: 'true' } });
+  assert.equal(dry.code, 0, dry.stderr);
+  assert.deepEqual(shopify.calls.filter(c => MUTATIONS.includes(c.op)), []);
+  const [jsonFile] = dry.stdout.match(/\S+\.json(?= and )/);
+  const plan = JSON.parse(fs.readFileSync(path.join(dry.cwd, jsonFile), 'utf8'));
+  assert.deepEqual(plan.products[0].actions.find(a => a.type === 'tax_collection'), {
+    type: 'tax_collection',
+    add: [{ id: 'gid://shopify/Collection/india-tax-18', title: 'Shopify (India | Tax Rate 18%)' }],
+    remove: [{ id: 'gid://shopify/Collection/india-tax-12', title: 'Shopify (India | Tax Rate 12%)' }],
+  });
+  assert.equal(plan.products[0].outcome, 'passed', 'the dry run judges the product as LIVE would leave it');
+
+  stubs.slackMessages.length = 0;
+  const live = await runCli({ shopify, stubs, env });
+  assert.equal(live.code, 0, live.stderr);
+  assert.deepEqual(shopify.product('gid://shopify/Product/74').collections.nodes.map(c => c.handle), ['india-tax-18']);
+  const [fixed, missing] = stubs.slackMessages;
+  assert.equal(fixed.channel, 'C_SUCCESS');
+  assert.match(fixed.text, /Tax collection auto-fix -\n- Added to "Shopify \(India \| Tax Rate 18%\)"\.\n- Removed from "Shopify \(India \| Tax Rate 12%\)"\./);
+  assert.equal(missing.channel, 'C_FAILURES');
+  assert.match(missing.text, /Assign product to collection: Shopify \(India \| Tax Rate 28%\)\./);
+  assert.match(missing.text, /- No manual collection "Shopify \(India \| Tax Rate 28%\)" to add the product to\./);
+  assert.deepEqual(shopify.product('gid://shopify/Product/75').collections.nodes.map(c => c.handle), ['india-tax-12'], 'nothing moves without a target');
+});
+
+test('country of origin: the metafield\'s ISO code is set on inventory items, planned in a dry run; unknown names fail', async () => {
+  const item = (sku, country) => variant(sku, { inventoryItem: { id: `gid://shopify/InventoryItem/${sku}`, harmonizedSystemCode: '482010', countryCodeOfOrigin: country } });
+  await start(store([
+    product(76, { metafieldOrigin: { value: 'Germany' }, variants: [item('COO-0', 'IN'), item('COO-1', 'DE')] }),
+    product(77, { metafieldOrigin: { value: 'Narnia' } }),
+    product(78, { metafieldOrigin: { value: 'USA' }, variants: [item('LOCK-0', 'CN')] }),
+  ]));
+  shopify.userErrors.UpdateInventoryItem = ({ id }) => (id.endsWith('LOCK-0') ? [{ field: ['id'], message: 'Inventory item is locked' }] : []);
+  const sync = { SYNC_COUNTRY_OF_ORIGIN: 'true' };
+
+  const off = await runCli({ shopify, stubs });
+  assert.equal(off.code, 0, off.stderr);
+  assert.equal(shopify.callsTo('UpdateInventoryItem').length, 0, 'syncing is opt-in');
+  assert.equal(stubs.slackMessages[0].channel, 'C_SUCCESS', 'without the sync a mismatch only warns');
+  assert.match(stubs.slackMessages[0].text, /Warnings -\n- Inventory item country of origin is not DE \('Germany'\) on 1 variant\(s\) \(SYNC_COUNTRY_OF_ORIGIN=true sets it\)\./);
+  for (const id of [76, 78]) shopify.product(`gid://shopify/Product/${id}`).metafieldChanges = { value: JSON.stringify(['New Product Checks']) };
+  shopify.calls.length = 0;
+  stubs.slackMessages.length = 0;
+
+  const dry = await runCli({ shopify, stubs, env: { DRY_RUN: 'true', ...sync } });
+  assert.equal(dry.code, 0, dry.stderr);
+  assert.deepEqual(shopify.calls.filter(c => MUTATIONS.includes(c.op)), []);
+  const [jsonFile] = dry.stdout.match(/\S+\.json(?= and )/);
+  const plan = JSON.parse(fs.readFileSync(path.join(dry.cwd, jsonFile), 'utf8'));
+  assert.deepEqual(plan.products[0].actions.find(a => a.type === 'country_of_origin'), {
+    type: 'country_of_origin', countryCode: 'DE', inventoryItemIds: ['gid://shopify/InventoryItem/COO-0'],
+  });
+  assert.equal(plan.products[0].outcome, 'passed', 'the dry run judges the product as LIVE would leave it');
+
+  stubs.slackMessages.length = 0;
+  const live = await runCli({ shopify, stubs, env: sync });
+  assert.equal(live.code, 0, live.stderr);
+  assert.deepEqual(shopify.product('gid://shopify/Product/76').variants.nodes.map(v => v.inventoryItem.countryCodeOfOrigin), ['DE', 'DE']);
+  const [fixed, unknown, locked] = stubs.slackMessages;
+  assert.equal(fixed.channel, 'C_SUCCESS');
+  assert.match(fixed.text, /Country of origin auto-fix -\n- Set DE on .+ \(was IN\)\./);
+  assert.equal(unknown.channel, 'C_FAILURES');
+  assert.match(unknown.text, /Country of origin 'Narnia' is not a recognised country\./);
+  assert.equal(locked.channel, 'C_FAILURES');
+  assert.match(locked.text, /Inventory item country of origin is not US \('USA'\) on 1 variant\(s\)\./);
+  assert.match(locked.text, /- Could not set US on .+: Inventory item is locked/);
+  assert.match(locked.text, /Country \(Item\)[\s\S]*\* CN \*/);
+});
+
+test('HSN fill: the unique product HSN is copied onto variants without one, and the HSN webhook waits for consistent data', async () => {
+  const hs = (sku, code) => variant(sku, { inventoryItem: { id: `gid://shopify/InventoryItem/${sku}`, harmonizedSystemCode: code, countryCodeOfOrigin: 'IN' } });
+  await start(store([
+    product(82, { labels: ['HSN Updated'], variants: [hs('FILL-0', '482010'), hs('FILL-1', null)] }),
+    product(83, { labels: ['HSN Updated'], variants: [hs('MIX-0', '482010'), hs('MIX-1', '482020'), hs('MIX-2', null)] }),
+    product(84, { variants: [hs('NPC-0', null), hs('NPC-1', '482010')] }),
+  ]));
+
+  const off = await runCli({ shopify, stubs });
+  assert.equal(off.code, 0, off.stderr);
+  assert.equal(stubs.makeCallsTo('product').length, 0);
+  assert.match(stubs.slackMessages[0].text, /HSN update not sent: HS code missing on 1 of 2 variant\(s\)\./);
+  assert.match(stubs.slackMessages[1].text, /HSN update not sent: variants have inconsistent HS codes: 482010 \(Title: MIX-0\); 482020 \(Title: MIX-1\)\./);
+  assert.match(stubs.slackMessages[2].text, /HS code missing on 1 variant\(s\)/);
+
+  shopify.calls.length = 0;
+  const dry = await runCli({ shopify, stubs, env: { AUTO_FILL_HSN: 'true', DRY_RUN: 'true' } });
+  assert.equal(dry.code, 0, dry.stderr);
+  assert.deepEqual(shopify.calls.filter(c => MUTATIONS.includes(c.op)), []);
+  const [jsonFile] = dry.stdout.match(/\S+\.json(?= and )/);
+  const plan = JSON.parse(fs.readFileSync(path.join(dry.cwd, jsonFile), 'utf8'));
+  assert.deepEqual(plan.products[0].actions.find(a => a.type === 'hsn_fill'), { type: 'hsn_fill', hsn: '482010', inventoryItemIds: ['gid://shopify/InventoryItem/FILL-1'] });
+  assert.equal(plan.products[2].outcome, 'passed', 'the dry run judges the product as LIVE would leave it');
+
+  stubs.slackMessages.length = 0;
+  stubs.makeCalls.length = 0;
+  const live = await runCli({ shopify, stubs, env: { AUTO_FILL_HSN: 'true' } });
+  assert.equal(live.code, 0, live.stderr);
+  assert.deepEqual(shopify.product('gid://shopify/Product/82').variants.nodes.map(v => v.inventoryItem.harmonizedSystemCode), ['482010', '482010']);
+  assert.deepEqual(shopify.product('gid://shopify/Product/83').variants.nodes.map(v => v.inventoryItem.harmonizedSystemCode), ['482010', '482020', null]);
+  const [hsnCall] = stubs.makeCallsTo('product');
+  assert.equal(hsnCall.body.hsn_value, '482010');
+  assert.equal(hsnCall.body.product_id, 'gid://shopify/Product/82');
+  const [filled, mixed, npc] = stubs.slackMessages;
+  assert.match(filled.text, /HSN auto-fix -\n- Set HS code 482010 on 1 variant\(s\): Title: FILL-1\./);
+  assert.match(filled.text, /HSN update information sent\./);
+  assert.match(mixed.text, /- Not filled: variants carry different HS codes \(482010 \(Title: MIX-0\); 482020 \(Title: MIX-1\)\)\./);
+  assert.equal(npc.channel, 'C_SUCCESS');
+  assert.match(npc.text, /checks passed[\s\S]*HSN auto-fix -/);
+});
+
+test('inventory zeroing follows the configured policy, snapshots what it replaces, and restore-inventory puts it back', async () => {
+  const item = (sku) => variant(sku, { inventoryItem: { id: `gid://shopify/InventoryItem/${sku}`, harmonizedSystemCode: '482010', countryCodeOfOrigin: 'IN' } });
+  await start(store([
+    product(85, { variants: [item('STOCK-0')] }),
+    product(86, { vendor: 'Consignment Co', variants: [item('CONS-0')] }),
+    product(87, { metafieldPreOrder: { value: 'Enabled' }, variants: [item('PRE-0')] }),
+  ], {
+    locations: [{ id: 'gid://shopify/Location/1', name: 'Warehouse' }, { id: 'gid://shopify/Location/2', name: 'Shop' }],
+    inventoryLevels: { 'gid://shopify/InventoryItem/STOCK-0': { 'gid://shopify/Location/1': 7, 'gid://shopify/Location/2': 3 } },
+  }));
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'product-checks-'));
+  fs.writeFileSync(path.join(cwd, 'product-checks.config.json'), JSON.stringify({
+    inventoryZeroing: { locations: ['Warehouse'], skipPassedBefore: true, skipVendors: ['consignment co'], skipPreOrder: true },
+  }));
+
+  const dry = await runCli({ shopify, stubs, cwd, env: { DRY_RUN: 'true' } });
+  assert.equal(dry.code, 0, dry.stderr);
+  assert.match(dry.stdout, /passed=3/);
+
+  const first = await runCli({ shopify, stubs, cwd });
+  assert.equal(first.code, 0, first.stderr);
+  assert.deepEqual(shopify.callsTo('SetOnHand').flatMap(c => c.variables.input.setQuantities), [
+    { inventoryItemId: 'gid://shopify/InventoryItem/STOCK-0', locationId: 'gid://shopify/Location/1', quantity: 0 },
+  ]);
+  assert.match(first.stdout, /Inventory not zeroed for gid:\/\/shopify\/Product\/86: vendor 'Consignment Co' is excluded/);
+  assert.match(first.stdout, /Inventory not zeroed for gid:\/\/shopify\/Product\/87: pre-order product \('Enabled'\)/);
+  const [snapshot] = fs.readFileSync(path.join(cwd, '.data/inventory-snapshots.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.equal(snapshot.productId, 'gid://shopify/Product/85');
+  assert.deepEqual(snapshot.quantities, [{ inventoryItemId: 'gid://shopify/InventoryItem/STOCK-0', locationId: 'gid://shopify/Location/1', quantity: 7 }]);
+
+  const restored = await runCli({ shopify, stubs, cwd, args: ['restore-inventory', 'gid://shopify/Product/85'] });
+  assert.equal(restored.code, 0, restored.stderr);
+  assert.match(restored.stdout, /Restored 1 on-hand level\(s\) for "Product 85" from 1 snapshot\(s\)/);
+  assert.deepEqual(shopify.callsTo('SetOnHand').at(-1).variables.input.setQuantities, [
+    { inventoryItemId: 'gid://shopify/InventoryItem/STOCK-0', locationId: 'gid://shopify/Location/1', quantity: 7 },
+  ]);
+
+  // Re-checking a product that already passed leaves its stock alone
+  shopify.product('gid://shopify/Product/85').metafieldChanges = { value: JSON.stringify(['New Product Checks']) };
+  shopify.calls.length = 0;
+  const again = await runCli({ shopify, stubs, cwd });
+  assert.equal(again.code, 0, again.stderr);
+  assert.equal(shopify.callsTo('SetOnHand').length, 0);
+  assert.match(again.stdout, /Inventory not zeroed for gid:\/\/shopify\/Product\/85: product passed the checks before/);
+});
+
+test('zeroing a product twice still restores the stock it had, and a rejected restore fails the command', async () => {
+  const item = (sku) => variant(sku, { inventoryItem: { id: `gid://shopify/InventoryItem/${sku}`, harmonizedSystemCode: '482010', countryCodeOfOrigin: 'IN' } });
+  await start(store([product(88, { variants: [item('TWICE-0')] })], {
+    locations: [{ id: 'gid://shopify/Location/1', name: 'Warehouse' }],
+    inventoryLevels: { 'gid://shopify/InventoryItem/TWICE-0': { 'gid://shopify/Location/1': 12 } },
+  }));
+  const relabel = () => { shopify.product('gid://shopify/Product/88').metafieldChanges = { value: JSON.stringify(['New Product Checks']) }; };
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'product-checks-'));
+
+  assert.equal((await runCli({ shopify, stubs, cwd })).code, 0);
+  relabel();
+  assert.equal((await runCli({ shopify, stubs, cwd })).code, 0);
+  assert.equal(shopify.callsTo('SetOnHand').length, 1, 'stock already at 0 is not written or snapshotted again');
+  assert.equal(shopify.store.inventoryLevels['gid://shopify/InventoryItem/TWICE-0']['gid://shopify/Location/1'], 0);
+
+  shopify.userErrors.SetOnHand = [{ field: ['input'], message: 'Location is inactive' }];
+  const rejected = await runCli({ shopify, stubs, cwd, args: ['restore-inventory', 'gid://shopify/Product/88'] });
+  assert.equal(rejected.code, 1);
+  assert.match(rejected.stderr, /Restored 0 of 1 on-hand level\(s\) for "Product 88"; Shopify rejected the rest: Location is inactive/);
+
+  shopify.userErrors.SetOnHand = [];
+  const restored = await runCli({ shopify, stubs, cwd, args: ['restore-inventory', 'gid://shopify/Product/88'] });
+  assert.equal(restored.code, 0, restored.stderr);
+  assert.equal(shopify.store.inventoryLevels['gid://shopify/InventoryItem/TWICE-0']['gid://shopify/Location/1'], 12);
+
+  const nothing = await runCli({ shopify, stubs, cwd, args: ['restore-inventory', 'gid://shopify/Product/88'] });
+  assert.match(nothing.stdout, /No inventory snapshot for "Product 88" .+ since its last restore\./);
+});
+
+test('zeroing skips items not stocked at a location and reports levels Shopify rejects in Slack', async () => {
+  const item = (sku) => variant(sku, { inventoryItem: { id: `gid://shopify/InventoryItem/${sku}`, harmonizedSystemCode: '482010', countryCodeOfOrigin: 'IN' } });
+  await start(store([product(89, { variants: [item('HELD-0'), item('UNSTOCKED-0')] })], {
+    locations: [{ id: 'gid://shopify/Location/1', name: 'Warehouse' }],
+    inventoryLevels: { 'gid://shopify/InventoryItem/HELD-0': { 'gid://shopify/Location/1': 5 } },
+  }));
+  shopify.userErrors.SetOnHand = [{ field: ['input'], message: 'Location is inactive' }];
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'product-checks-'));
+
+  const { code, stderr } = await runCli({ shopify, stubs, cwd });
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(shopify.callsTo('SetOnHand').flatMap(c => c.variables.input.setQuantities), [
+    { inventoryItemId: 'gid://shopify/InventoryItem/HELD-0', locationId: 'gid://shopify/Location/1', quantity: 0 },
+  ]);
+  const [snapshot] = fs.readFileSync(path.join(cwd, '.data/inventory-snapshots.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(snapshot.quantities, [{ inventoryItemId: 'gid://shopify/InventoryItem/HELD-0', locationId: 'gid://shopify/Location/1', quantity: 5 }]);
+  assert.match(stubs.slackMessages[0].text, /Inventory zeroing auto-fix -\n- Zeroed 0 of 1 on-hand level\(s\); Shopify rejected the rest: Location is inactive/);
+});
+
+test('ledger records the run, each product outcome and webhook statuses', async () => {
+  await start(store([product(80, { variants: [variant('LEDGER-0')] }), product(81, { metafieldTax: null })]));
+  stubs.makeStatus.sku = 500;
+
+  const { code, cwd, stderr } = await runCli({ shopify, stubs });
+  assert.equal(code, 0, stderr);
+
+  const entries = fs.readFileSync(path.join(cwd, '.data/ledger.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(entries.map(e => e.type), ['run_start', 'webhook', 'product', 'product', 'page', 'run_end']);
+  assert.deepEqual(entries.filter(e => e.type === 'product').map(e => e.outcome), ['passed', 'failed']);
+  const webhook = entries.find(e => e.type === 'webhook');
+  assert.equal(webhook.name, 'sku_main_item_only');
+  assert.equal(webhook.status, 500);
+  assert.equal(entries.at(-1).status, 'completed');
+});
+
+test('Make 5xx is retried and the label is cleared once delivery is confirmed', async () => {
+  await start(store([product(90, { labels: ['Title Updated'] })]));
+  stubs.makeStatus.product = [503, 200];
+
+  const { code, stderr } = await runCli({ shopify, stubs });
+  assert.equal(code, 0, stderr);
+
+  assert.equal(stubs.makeCallsTo('product').length, 2);
+  assert.equal(shopify.product('gid://shopify/Product/90').metafieldChanges.value, '[]');
+  assert.match(stubs.slackMessages[0].text, /Title update information sent/);
+});
+
+test('undeliverable calls are dead-lettered, keep the label, and replay clears it', async () => {
+  await start(store([product(91, { labels: ['Price Updated'] })]));
+  stubs.makeStatus.product = 500;
+
+  const first = await runCli({ shopify, stubs, env: { MAKE_MAX_ATTEMPTS: '2' } });
+  assert.equal(first.code, 0, first.stderr);
+  assert.equal(stubs.makeCallsTo('product').length, 2);
+  assert.deepEqual(JSON.parse(shopify.product('gid://shopify/Product/91').metafieldChanges.value), ['Price Updated']);
+
+  const list = await runCli({ shopify, stubs, cwd: first.cwd, args: ['dead-letters', 'list'] });
+  assert.match(list.stdout, /product {2}gid:\/\/shopify\/Product\/91 {2}label=Price Updated {2}attempts=2/);
+
+  stubs.makeStatus.product = 200;
+  const replay = await runCli({ shopify, stubs, cwd: first.cwd, args: ['dead-letters', 'replay', '--all'] });
+  assert.equal(replay.code, 0, replay.stderr);
+  assert.match(replay.stdout, /delivered/);
+  assert.equal(shopify.product('gid://shopify/Product/91').metafieldChanges.value, '[]');
+  assert.equal(stubs.makeCallsTo('product').at(-1).body.price_modified, true);
+});
+
+test('a re-run composite batch replaces the dead letters of the earlier batch, so replay sends it once', async () => {
+  const sizeOption = linkedOption('Size', { '500 ml': 'half-litre' });
+  await start(store([
+    product(93, { options: [sizeOption], variants: [variant('BATCH-1', { title: '500 ml', selectedOptions: [{ name: 'Size', value: '500 ml' }] })] }),
+    product(94, { labels: null, status: 'ACTIVE', variants: [variant('BATCH-0')] }),
+  ], {
+    metaobjects: { variant_options: { 'half-litre': { base_unit: 'ml', reference_unit: '100 ml', numeric_value: '500' } } },
+  }));
+  stubs.makeStatus.sku = 422;
+
+  const first = await runCli({ shopify, stubs });
+  assert.equal(first.code, 0, first.stderr);
+  const second = await runCli({ shopify, stubs, cwd: first.cwd });
+  assert.equal(second.code, 0, second.stderr);
+  assert.match(second.stdout, /Dropped 1 older Make job\(s\) for gid:\/\/shopify\/Product\/93 replaced by this batch/);
+
+  const list = await runCli({ shopify, stubs, cwd: first.cwd, args: ['dead-letters', 'list'] });
+  assert.equal(list.stdout.match(/sku {2}gid:\/\/shopify\/Product\/93/g).length, 1);
+
+  stubs.makeStatus.sku = 200;
+  const before = stubs.makeCallsTo('sku').length;
+  const replay = await runCli({ shopify, stubs, cwd: first.cwd, args: ['dead-letters', 'replay', '--all'] });
+  assert.equal(replay.code, 0, replay.stderr);
+  assert.equal(stubs.makeCallsTo('sku').length, before + 1);
+  assert.equal(shopify.product('gid://shopify/Product/93').metafieldChanges.value, '[]');
+});
+
+test('serve: each re-check of a composite product is its own batch and replaces the last one', async () => {
+  const sizeOption = linkedOption('Size', { '500 ml': 'half-litre' });
+  await start(store([
+    product(95, { options: [sizeOption], variants: [variant('SERVE-1', { title: '500 ml', selectedOptions: [{ name: 'Size', value: '500 ml' }] })] }),
+    product(96, { labels: null, status: 'ACTIVE', variants: [variant('SERVE-0')] }),
+  ], {
+    metaobjects: { variant_options: { 'half-litre': { base_unit: 'ml', reference_unit: '100 ml', numeric_value: '500' } } },
+  }));
+  stubs.makeStatus.sku = 422;
+
+  const server = await startServe({ shopify, stubs, env: { SHOPIFY_WEBHOOK_SECRET: 'shpss', SLACK_SIGNING_SECRET: 'slack-signing-secret' } });
+  let cwd;
+  try {
+    await postProductWebhook(server.url, 'products/update', 95, 's1');
+    await waitFor(() => stubs.slackMessages.length === 1);
+    const rerun = { action_id: 'rerun_checks', value: JSON.stringify({ store: 'TAC', productId: 'gid://shopify/Product/95' }) };
+    assert.equal((await clickSlackButton(server.url, rerun, { id: 'U1' })).status, 200);
+    await waitFor(() => stubs.slackMessages.length === 2);
+  } finally {
+    ({ cwd } = await server.stop());
+  }
+
+  const list = await runCli({ shopify, stubs, cwd, args: ['dead-letters', 'list'] });
+  assert.equal(list.stdout.match(/sku {2}gid:\/\/shopify\/Product\/95/g).length, 1, 'one process, yet the older batch was dropped');
+});
+
+test('main item keeps its label when the SKU confirmation cannot be delivered', async () => {
+  await start(store([product(92, { variants: [variant('KEEP-0')] })]));
+  stubs.makeStatus.sku = 422;
+
+  const { code, stderr } = await runCli({ shopify, stubs });
+  assert.equal(code, 0, stderr);
+
+  const p = shopify.product('gid://shopify/Product/92');
+  assert.deepEqual(JSON.parse(p.metafieldChanges.value), ['New Product Checks']);
+  assert.equal(p.metafieldMainItemConfirm, null);
+  assert.equal(stubs.slackMessages[0].channel, 'C_FAILURES');
+});
+
+test('bulk mode streams the export through the same per-product pipeline', async () => {
+  await start(store([
+    product(100, { variants: [variant('BULK-0')] }),
+    product(101, { metafieldTax: null }),
+    product(102, { labels: null }),
+  ]));
+
+  const { code, cwd, stdout, stderr } = await runCli({ shopify, stubs, args: ['--bulk'], env: { BULK_POLL_MS: '1' } });
+  assert.equal(code, 0, stderr);
+
+  assert.equal(shopify.callsTo('ProductsPage').length, 0);
+  assert.equal(shopify.callsTo('SkuIndexPage').length, 0);
+  assert.deepEqual(shopify.callsTo('BulkRunQuery').map(c => /productVariants/.test(c.variables.query)), [false, true]); // products, then the SKU index on the first lookup
+  assert.equal(shopify.callsTo('BulkOperationStatus').length, 4);
+  assert.equal(shopify.product('gid://shopify/Product/100').status, 'ACTIVE');
+  assert.equal(shopify.product('gid://shopify/Product/101').status, 'DRAFT');
+  assert.equal(stubs.makeCallsTo('sku')[0].body.main_item_sku, 'BULK-0');
+  assert.match(stdout, /scanned=2; with_product_changes=2; passed=1; failed=1/);
+
+  const entries = fs.readFileSync(path.join(cwd, '.data/ledger.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.equal(entries[0].mode, 'live:bulk');
+  assert.deepEqual(entries.filter(e => e.type === 'product').map(e => e.productId), ['gid://shopify/Product/100', 'gid://shopify/Product/101']);
+});
+
+test('check resolves a product by SKU and prints its checks without changing anything', async () => {
+  await start(store([product(110, { metafieldPreOrder: null, variants: [variant('CHECK-0')] })]));
+
+  const { code, cwd, stdout } = await runCli({ shopify, stubs, args: ['check', 'CHECK-0', '--live'] });
+  assert.equal(code, 1);
+  assert.match(stdout, /Product "Product 110" gid:\/\/shopify\/Product\/110 \(product-110\)/);
+  assert.match(stdout, /FAIL\n {2}1\. Pre-order setting is empty\./);
+  assert.deepEqual(shopify.calls.filter(c => MUTATIONS.includes(c.op)), []);
+  assert.equal(stubs.slackMessages.length + stubs.makeCalls.length, 0);
+  assert.ok(!fs.existsSync(path.join(cwd, '.data')));
+});
+
+test('process --label acts only on that label and leaves the others in place', async () => {
+  await start(store([product(111, { labels: ['Tax Updated', 'New Product Checks'] })]));
+
+  const { code, stderr } = await runCli({ shopify, stubs, args: ['process', '--label', 'Tax Updated'] });
+  assert.equal(code, 0, stderr);
+
+  assert.equal(stubs.makeCallsTo('product')[0].body.tax_modified, true);
+  assert.equal(stubs.makeCallsTo('sku').length, 0);
+  const p = shopify.product('gid://shopify/Product/111');
+  assert.deepEqual(JSON.parse(p.metafieldChanges.value), ['New Product Checks']);
+  assert.equal(p.status, 'DRAFT');
+});
+
+test('scan --vendor narrows the search and --live overrides DRY_RUN=true', async () => {
+  await start(store([product(112, { vendor: 'Acme' }), product(113, { vendor: 'Globex' })]));
+
+  const { code, stdout, stderr } = await runCli({ shopify, stubs, args: ['scan', '--vendor', 'Globex', '--live'], env: { DRY_RUN: 'true' } });
+  assert.equal(code, 0, stderr);
+
+  assert.match(shopify.callsTo('ProductsPage')[0].variables.query, /AND vendor:"Globex"$/);
+  assert.equal(shopify.product('gid://shopify/Product/112').status, 'DRAFT');
+  assert.equal(shopify.product('gid://shopify/Product/113').status, 'ACTIVE');
+  assert.match(stdout, /mode=LIVE/);
+});
+
+test('report prints every labelled product with its check verdict and has no side effects', async () => {
+  await start(store([product(114), product(115, { metafieldTax: null }), product(116, { labels: ['Price Updated'] })]));
+
+  const { code, cwd, stdout, stderr } = await runCli({ shopify, stubs, args: ['report', '--live'] });
+  assert.equal(code, 0, stderr);
+
+  assert.match(stdout, /"Product 114" .* labels: New Product Checks\nPASS/);
+  assert.match(stdout, /"Product 115" .*\nFAIL\n {2}1\. /);
+  assert.match(stdout, /"Product 116" .* labels: Price Updated\n/);
+  assert.match(stdout, /Report: 3 labelled product\(s\); 2 checked; 1 failing\./);
+  assert.deepEqual(shopify.calls.filter(c => MUTATIONS.includes(c.op)), []);
+  assert.equal(stubs.slackMessages.length + stubs.makeCalls.length, 0);
+  assert.ok(!fs.existsSync(path.join(cwd, '.data')));
+});
+
+test('report checks tax rates against the metaobject catalogue', async () => {
+  await start(store([product(117, { metafieldTax: { value: '15%' } })]));
+  shopify.store.metaobjects.zoho_tax_rate = { '15': { rate: '15%', zoho_tax_id: 'Z15' } };
+
+  const { code, stdout, stderr } = await runCli({ shopify, stubs, args: ['report'], env: { TAX_CATALOG_METAOBJECT: 'zoho_tax_rate' } });
+  assert.equal(code, 0, stderr);
+  assert.match(stdout, /"Product 117" .* labels: New Product Checks\n/);
+  assert.doesNotMatch(stdout, /not an allowed rate/);
+});
+
+test('store profiles from config: each store uses its own endpoint, Slack channel, Make URLs and tax ids', async () => {
+  await start(store([product(120, { variants: [variant('STORE-0')] })]));
+  const other = await createMockShopify(store([product(121, { labels: ['Tax Updated'] })])).listen();
+  const profile = (url, key) => ({
+    domain: `${key}.myshopify.com`,
+    graphqlUrl: url,
+    slack: { channel: `C_${key}` },
+    make: { product: `${stubs.url}/make/${key}-product`, unitPrice: `${stubs.url}/make/${key}-unit-price`, sku: `${stubs.url}/make/${key}-sku` },
+    zohoTaxIds: { '18': `${key}-tax-18` },
+  });
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'product-checks-'));
+  fs.writeFileSync(path.join(cwd, 'product-checks.config.json'), JSON.stringify({
+    stores: { TAC: profile(shopify.url, 'tac'), B2B: profile(other.url, 'b2b') },
+  }));
+  const env = { SHOPIFY_ADMIN_ACCESS_TOKEN_TAC: 'shpat_tac', SHOPIFY_ADMIN_ACCESS_TOKEN_B2B: 'shpat_b2b' };
+
+  try {
+    const { code, stdout, stderr } = await runCli({ shopify, stubs, cwd, env });
+    assert.equal(code, 0, stderr);
+
+    const [sku] = stubs.makeCallsTo('tac-sku');
+    assert.equal(sku.body.store, 'TAC');
+    assert.equal(sku.body.tax_id, 'tac-tax-18');
+    const [tax] = stubs.makeCallsTo('b2b-product');
+    assert.deepEqual(tax.body, { store: 'B2B', tax_modified: true, tax_percentage: '18', tax_id: 'b2b-tax-18', product_id: 'gid://shopify/Product/121' });
+    assert.equal(shopify.product('gid://shopify/Product/120').status, 'ACTIVE');
+    assert.equal(other.product('gid://shopify/Product/121').metafieldChanges.value, '[]');
+
+    assert.deepEqual(stubs.slackMessages.map(m => m.channel), ['C_tac', 'C_b2b']);
+    assert.match(stubs.slackMessages[1].text, /^B2B Store - Product "Product 121"/);
+    assert.match(stdout, /store=TAC; scanned=1[\s\S]*store=B2B; scanned=1/);
+    assert.ok(fs.existsSync(path.join(cwd, '.data/TAC/ledger.jsonl')));
+    assert.ok(fs.existsSync(path.join(cwd, '.data/B2B/ledger.jsonl')));
+
+    const only = await runCli({ shopify, stubs, cwd, env, args: ['scan', '--store', 'b2b'] });
+    assert.equal(only.code, 0, only.stderr);
+    assert.doesNotMatch(only.stdout, /store=TAC/);
+  } finally {
+    await other.close();
+  }
+});
+
+function clickSlackButton(serveUrl, button, user) {
+  const body = new URLSearchParams({
+    payload: JSON.stringify({
+      type: 'block_actions',
+      user,
+      response_url: `${stubs.url}/slack/response/${user.id}`,
+      actions: [{ action_id: button.action_id, value: button.value }],
+    }),
+  }).toString();
+  const ts = String(Math.floor(Date.now() / 1000));
+  return fetch(`${serveUrl}/slack/interactions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Slack-Request-Timestamp': ts,
+      'X-Slack-Signature': signSlackRequest(body, ts, 'slack-signing-secret'),
+    },
+    body,
+  });
+}
+
+test('Slack buttons: re-run after a fix passes the product; only admins can approve waivers', async () => {
+  await start(store([product(130, { metafieldPreOrder: null })]));
+
+  const scan = await runCli({ shopify, stubs });
+  assert.equal(scan.code, 0, scan.stderr);
+  const [failure] = stubs.slackMessages;
+  const buttons = failure.blocks.at(-1).elements;
+  assert.deepEqual(buttons.map(b => b.action_id), ['rerun_checks', 'open_admin', 'approve_waiver']);
+  assert.equal(buttons[1].url, 'https://mock-store.myshopify.com/admin/products/130');
+  assert.deepEqual(JSON.parse(buttons[2].value).checks, ['pre-order']);
+
+  const server = await startServe({
+    shopify,
+    stubs,
+    env: { SHOPIFY_WEBHOOK_SECRET: 'shpss', SLACK_SIGNING_SECRET: 'slack-signing-secret', SLACK_ADMIN_USER_IDS: 'UADMIN' },
+  });
+  try {
+    assert.equal((await clickSlackButton(server.url, buttons[2], { id: 'UNOBODY' })).status, 200);
+    assert.equal((await clickSlackButton(server.url, buttons[2], { id: 'UADMIN', username: 'lead' })).status, 200);
+    shopify.product('gid://shopify/Product/130').metafieldPreOrder = { value: 'Disabled' };
+    assert.equal((await clickSlackButton(server.url, buttons[0], { id: 'UNOBODY' })).status, 200);
+  } finally {
+    const { stderr } = await server.stop();
+    assert.doesNotMatch(stderr, /failed/i);
+  }
+
+  assert.match(stubs.slackResponses[0].text, /Only Slack admins/);
+  assert.match(stubs.slackResponses[1].text, /^Waiver recorded for pre-order\. Re-running checks/);
+  const [waiver] = JSON.parse(shopify.product('gid://shopify/Product/130').metafieldWaivers.value);
+  assert.equal(waiver.check, 'pre-order');
+  assert.equal(waiver.approvedBy, 'lead');
+  assert.match(waiver.expires, /^\d{4}-\d{2}-\d{2}$/);
+
+  assert.match(stubs.slackResponses[2].text, /Re-running checks for "Product 130" \(requested by <@UNOBODY>\)/);
+  const p = shopify.product('gid://shopify/Product/130');
+  assert.equal(p.status, 'ACTIVE');
+  assert.equal(p.metafieldChanges.value, '[]');
+  assert.equal(stubs.slackMessages.at(-1).channel, 'C_SUCCESS');
+});
+
+test('waivers: an active waiver lets the product pass and is reported; an expired one fails again', async () => {
+  const waivers = (expires) => ({ value: JSON.stringify([{ check: 'pre-order', reason: 'made to order', approvedBy: 'lead', expires }]) });
+  await start(store([
+    product(140, { metafieldPreOrder: null, metafieldWaivers: waivers('2999-12-31') }),
+    product(141, { metafieldPreOrder: null, metafieldWaivers: waivers('2020-01-31') }),
+  ]));
+
+  const { code, cwd, stdout, stderr } = await runCli({ shopify, stubs });
+  assert.equal(code, 0, stderr);
+
+  assert.equal(shopify.product('gid://shopify/Product/140').status, 'ACTIVE');
+  assert.equal(shopify.product('gid://shopify/Product/141').status, 'DRAFT');
+  const [passed, failed] = stubs.slackMessages;
+  assert.equal(passed.channel, 'C_SUCCESS');
+  assert.match(passed.text, /Waived checks -\n- Pre-order setting is empty\. — waived by lead until 2999-12-31: made to order/);
+  assert.equal(failed.channel, 'C_FAILURES');
+  assert.match(failed.text, /Pre-order setting is empty\. \(waiver expired 2020-01-31\)/);
+  assert.match(stdout, /Waiver applied: gid:\/\/shopify\/Product\/140 pre-order \(approved by lead, expires 2999-12-31\)/);
+
+  const entries = fs.readFileSync(path.join(cwd, '.data/ledger.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  const applied = entries.filter(e => e.type === 'waiver');
+  assert.deepEqual(applied.map(e => [e.productId, e.check, e.approvedBy]), [['gid://shopify/Product/140', 'pre-order', 'lead']]);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseQuantity, parseUnitAmount, compareWithVariantOptions } = require('../lib/quantity');
+
+test('option values parse into quantity, canonical unit and pack count', () => {
+  const cases = {
+    '500 ml': { quantity: 500, unit: 'ml', pack: 1 },
+    '1.5 Litres': { quantity: 1.5, unit: 'l', pack: 1 },
+    '1,5 kg': { quantity: 1.5, unit: 'kg', pack: 1 },
+    'Pack of 3 x 500ml': { quantity: 500, unit: 'ml', pack: 3 },
+    '3 x 500 gms': { quantity: 500, unit: 'g', pack: 3 },
+    '500 ml x 3': { quantity: 500, unit: 'ml', pack: 3 },
+    '100 Sheets (Pack of 2)': { quantity: 100, unit: 'sheet', pack: 2 },
+    'Pack of 6': { quantity: 1, unit: 'pc', pack: 6 },
+    '3-pack': { quantity: 1, unit: 'pc', pack: 3 },
+    '12 pcs': { quantity: 12, unit: 'pc', pack: 1 },
+    '2 m': { quantity: 2, unit: 'm', pack: 1 },
+    '30cm x 2': { quantity: 30, unit: 'cm', pack: 2 },
+    '16 oz': { quantity: 16, unit: 'oz', pack: 1 },
+    '8 fl. oz': { quantity: 8, unit: 'fl_oz', pack: 1 },
+    '2 lbs': { quantity: 2, unit: 'lb', pack: 1 },
+    'Pack of 10 sheets': { quantity: 1, unit: 'sheet', pack: 10 },
+    'Set of 12': { quantity: 1, unit: 'pc', pack: 12 },
+    '2 x 3 x 100 ml': { quantity: 100, unit: 'ml', pack: 6 },
+  };
+  for (const [value, expected] of Object.entries(cases)) assert.deepEqual(parseQuantity(value), expected, value);
+  for (const value of ['Large', '', '500', 'ml', '0 ml', '500 furlongs', 'Pack of 2 ml']) assert.equal(parseQuantity(value), null, value);
+  assert.deepEqual(parseUnitAmount('100 ml'), { quantity: 100, unit: 'ml' });
+  assert.deepEqual(parseUnitAmount('Kg'), { quantity: 1, unit: 'kg' });
+});
+
+test('a parsed value is held against its variant_options metaobject', () => {
+  const pack = parseQuantity('Pack of 3 x 500 ml');
+  assert.deepEqual(compareWithVariantOptions(pack, { base_unit: 'ml', reference_unit: '100 ml', numeric_value: '1500' }), []);
+  assert.deepEqual(compareWithVariantOptions(pack, { base_unit: 'l', reference_unit: '1 l', numeric_value: '1.5' }), [], 'converted to the base unit');
+  assert.deepEqual(compareWithVariantOptions(pack, { base_unit: 'ml', reference_unit: '100 g', numeric_value: '500' }), [
+    { field: 'numeric_value', actual: '500', expected: '1500' },
+    { field: 'reference_unit', actual: '100 g', expected: 'a volume unit' },
+  ]);
+  assert.deepEqual(compareWithVariantOptions(pack, { base_unit: 'g', numeric_value: '1500' }), [
+    { field: 'base_unit', actual: 'g', expected: 'a volume unit' },
+  ]);
+  assert.deepEqual(compareWithVariantOptions(pack, { base_unit: null, numeric_value: '1500' }), [
+    { field: 'base_unit', actual: '', expected: 'ml' },
+  ]);
+  assert.deepEqual(compareWithVariantOptions(parseQuantity('16 oz'), { base_unit: 'g', numeric_value: '454' }), [], 'metric conversions may be rounded');
+  assert.deepEqual(compareWithVariantOptions(parseQuantity('16 oz'), { base_unit: 'g', numeric_value: '500' }), [
+    { field: 'numeric_value', actual: '500', expected: '453.592' },
+  ]);
+  assert.deepEqual(compareWithVariantOptions(parseQuantity('2 m'), { base_unit: 'cm', reference_unit: '1 m', numeric_value: '200' }), []);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createShopifyClient, ShopifyApiError } = require('../lib/shopify-client');
+
+const QUERY = 'query ProductsPage($after: String) { products(first: 50, after: $after) { nodes { id } } }';
+const cost = (requested, available, restoreRate = 50) => ({
+  requestedQueryCost: requested,
+  actualQueryCost: requested,
+  throttleStatus: { maximumAvailable: 1000, currentlyAvailable: available, restoreRate },
+});
+const ok = (c) => ({ status: 200, data: { data: { products: { nodes: [] } }, extensions: { cost: c } } });
+const throttled = (c) => ({ status: 200, data: { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }], extensions: { cost: c } } });
+
+function setup(responses, opts = {}) {
+  const delays = [];
+  let clock = 0;
+  const client = createShopifyClient({
+    send: async () => {
+      const r = responses.shift();
+      if (r instanceof Error) throw r;
+      return r;
+    },
+    maxAttempts: 3,
+    baseDelayMs: 100,
+    sleep: async (ms) => { delays.push(ms); clock += ms; },
+    now: () => clock,
+    random: () => 0.5,
+    ...opts,
+  });
+  return { client, delays };
+}
+
+test('waits for the bucket to refill before sending a query it knows the cost of', async () => {
+  const { client, delays } = setup([ok(cost(80, 30)), ok(cost(80, 0))]);
+  await client.request(QUERY);
+  assert.deepEqual(delays, []); // cost unknown until the first response
+  await client.request(QUERY);
+  assert.deepEqual(delays, [1000]); // 50 points short at 50/s
+});
+
+test('THROTTLED waits for the points the query asked for, then retries', async () => {
+  const { client, delays } = setup([throttled(cost(200, 100)), ok(cost(200, 800))]);
+  assert.deepEqual(await client.request(QUERY), { products: { nodes: [] } });
+  assert.deepEqual(delays, [2000]);
+  const s = client.stats();
+  assert.equal(s.throttled, 1);
+  assert.equal(s.retries, 1);
+  assert.deepEqual(
+    { calls: s.byQuery.ProductsPage.calls, maxRequested: s.byQuery.ProductsPage.maxRequested, waitedMs: s.byQuery.ProductsPage.waitedMs },
+    { calls: 2, maxRequested: 200, waitedMs: 2000 }
+  );
+});
+
+test('5xx and network errors back off with jitter; 429 honours Retry-After', async () => {
+  const net = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  const { client, delays } = setup([{ status: 502, data: '' }, net, ok(cost(10, 990))]);
+  await client.request(QUERY);
+  assert.deepEqual(delays, [75, 150]);
+
+  const { client: limited, delays: waited } = setup([{ status: 429, data: '', headers: { 'retry-after': '2' } }, ok(cost(10, 990))]);
+  await limited.request(QUERY);
+  assert.deepEqual(waited, [2000]);
+});
+
+test('gives up after maxAttempts with a typed error; GraphQL errors and 4xx are not retried', async () => {
+  const { client } = setup([{ status: 503 }, { status: 503 }, { status: 503 }, { status: 200 }]);
+  await assert.rejects(client.request(QUERY), (err) => {
+    assert.ok(err instanceof ShopifyApiError);
+    assert.deepEqual([err.kind, err.status, err.attempts, err.operation], ['http', 503, 3, 'ProductsPage']);
+    assert.match(err.message, /gave up after 3 attempts/);
+    return true;
+  });
+
+  const { client: bad } = setup([{ status: 200, data: { errors: [{ message: 'Field missing' }] } }, ok(cost(10, 990))]);
+  await assert.rejects(bad.request(QUERY), { name: 'ShopifyApiError', kind: 'graphql', attempts: 1 });
+
+  const { client: denied } = setup([{ status: 401, data: { errors: 'Invalid API key' } }]);
+  await assert.rejects(denied.request(QUERY), { kind: 'http', status: 401, attempts: 1 });
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createSkuIndex, openSkuIndex } = require('../lib/sku-index');
+
+const node = (id, sku, productId = 'P1') => ({ id: `V${id}`, title: sku, sku, price: '1.00', selectedOptions: [], product: { id: productId, title: productId, options: [] } });
+
+test('lookups are case-insensitive and know which variant is asking', () => {
+  const index = createSkuIndex([node(1, 'ABC-0'), node(2, 'abc-0', 'P2'), node(3, 'XYZ-1')]);
+  assert.equal(index.exists(' abc-0 '), true);
+  assert.equal(index.exists('ABC-1'), false);
+  assert.equal(index.hasDuplicate('ABC-0', 'V1'), true);
+  assert.equal(index.hasDuplicate('XYZ-1', 'V3'), false);
+  assert.equal(index.find('xyz-1').id, 'V3');
+  assert.equal(index.size, 2);
+});
+
+test('upserts move a variant to its new SKU; replaceProduct swaps in the current variants', () => {
+  const index = createSkuIndex([node(1, 'ABC-0'), node(2, 'ABC-1')]);
+  index.upsert(node(1, 'NEW-0'));
+  assert.equal(index.exists('ABC-0'), false);
+  assert.equal(index.find('NEW-0').id, 'V1');
+
+  index.replaceProduct({ id: 'P1', title: 'Notebook', options: [] }, [{ id: 'V9', title: 'A', sku: 'ABC-0', price: '2.00' }]);
+  assert.deepEqual(index.variants().map(v => v.id), ['V9']);
+  assert.equal(index.find('abc-0').product.title, 'Notebook');
+});
+
+test('a saved index is refreshed with variants updated since; an old one is rebuilt', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sku-index-')), 'sku-index.json');
+  let clock = Date.parse('2026-05-01T10:00:00Z');
+  const asked = [];
+  const fetchVariants = (since) => {
+    asked.push(since);
+    return since ? [node(2, 'LATE-0')] : [node(1, 'EARLY-0')];
+  };
+  const open = () => openSkuIndex({ fetchVariants, file, maxAgeMs: 3600000, now: () => clock });
+
+  assert.equal((await open()).mode, 'built');
+  clock += 10 * 60000;
+  const refreshed = await open();
+  assert.equal(refreshed.mode, 'refreshed');
+  assert.deepEqual([refreshed.index.exists('EARLY-0'), refreshed.index.exists('LATE-0')], [true, true]);
+  assert.equal(asked[1], '2026-05-01T09:55:00.000Z'); // last refresh minus the overlap
+
+  clock += 2 * 3600000;
+  const rebuilt = await open();
+  assert.equal(rebuilt.mode, 'built');
+  assert.equal(rebuilt.index.exists('LATE-0'), false);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildProductBlocks, signSlackRequest, verifySlackSignature, parseInteraction } = require('../lib/slack');
+
+const target = { store: 'TAC', productId: 'gid://shopify/Product/1', adminUrl: 'https://x.myshopify.com/admin/products/1' };
+
+test('product messages carry re-run and admin buttons, and a waiver button only when checks failed', () => {
+  const passed = buildProductBlocks('all good', target);
+  assert.deepEqual(passed.at(-1).elements.map(e => e.action_id), ['rerun_checks', 'open_admin']);
+  assert.deepEqual(JSON.parse(passed.at(-1).elements[0].value), { store: 'TAC', productId: 'gid://shopify/Product/1' });
+  assert.equal(passed.at(-1).elements[1].url, target.adminUrl);
+
+  const failed = buildProductBlocks('nope', { ...target, failedChecks: ['pre-order'] });
+  const waiver = failed.at(-1).elements[2];
+  assert.equal(waiver.action_id, 'approve_waiver');
+  assert.deepEqual(JSON.parse(waiver.value).checks, ['pre-order']);
+  assert.ok(waiver.confirm);
+});
+
+test('long text is split into sections under the Block Kit limit', () => {
+  const text = Array.from({ length: 200 }, (_, i) => `line ${i} `.padEnd(40, '.')).join('\n');
+  const sections = buildProductBlocks(text, target).filter(b => b.type === 'section');
+  assert.ok(sections.length > 1);
+  assert.ok(sections.every(s => s.text.text.length <= 3000));
+  assert.equal(sections.map(s => s.text.text).join('\n'), text);
+});
+
+test('signatures must match and be fresh', () => {
+  const now = 1_700_000_000_000;
+  const ts = String(now / 1000);
+  const sig = signSlackRequest('payload=x', ts, 'shh');
+  assert.equal(verifySlackSignature('payload=x', ts, sig, 'shh', now), true);
+  assert.equal(verifySlackSignature('payload=y', ts, sig, 'shh', now), false);
+  assert.equal(verifySlackSignature('payload=x', ts, sig, 'other', now), false);
+  assert.equal(verifySlackSignature('payload=x', ts, sig, 'shh', now + 6 * 60 * 1000), false);
+});
+
+test('parseInteraction keeps our button clicks and drops everything else', () => {
+  const payload = {
+    type: 'block_actions',
+    user: { id: 'U1', username: 'asha' },
+    response_url: 'https://hooks.slack.test/r/1',
+    actions: [
+      { action_id: 'approve_waiver', value: JSON.stringify({ store: 'TAC', productId: 'gid://shopify/Product/1', checks: ['images'] }) },
+      { action_id: 'open_admin' },
+      { action_id: 'rerun_checks', value: 'not json' },
+    ],
+  };
+  const body = new URLSearchParams({ payload: JSON.stringify(payload) }).toString();
+  assert.deepEqual(parseInteraction(body), [{
+    type: 'waiver', store: 'TAC', productId: 'gid://shopify/Product/1', checks: ['images'],
+    user: { id: 'U1', name: 'asha' }, responseUrl: 'https://hooks.slack.test/r/1',
+  }]);
+  assert.deepEqual(parseInteraction(new URLSearchParams({ payload: '{"type":"view_submission"}' }).toString()), []);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveStores, selectStores } = require('../lib/stores');
+
+const opts = { env: { SHOPIFY_ADMIN_ACCESS_TOKEN_B2B: 'shpat_b2b', SLACK_BOT_TOKEN: 'xoxb' }, dataDir: '.data', apiVersion: '2025-07' };
+const b2b = {
+  domain: 'b2b.myshopify.com',
+  slack: { channel: 'C1' },
+  make: { product: 'https://m/p', unitPrice: 'https://m/u', sku: 'https://m/s' },
+  zohoTaxIds: { '5%': 'T5', 18: 'T18' },
+};
+
+test('profiles read secrets from env and default their endpoint and data dir', () => {
+  const [s] = resolveStores({ B2B: b2b }, null, opts);
+  assert.equal(s.name, 'B2B');
+  assert.equal(s.graphqlUrl, 'https://b2b.myshopify.com/admin/api/2025-07/graphql.json');
+  assert.equal(s.accessToken, 'shpat_b2b');
+  assert.equal(s.slack.botToken, 'xoxb');
+  assert.deepEqual(s.zohoTaxIds, { '5.00': 'T5', '18.00': 'T18' });
+  assert.equal(s.make['unit-price'], 'https://m/u');
+  assert.equal(s.ledgerFile, '.data/B2B/ledger.jsonl');
+  assert.equal(s.indiaMarket, 'India');
+  assert.deepEqual(s.hsnGstRates, {});
+  assert.deepEqual(s.imageRules, {});
+});
+
+test('HSN rates come from the profile, else the top-level table, and are validated', () => {
+  const [own, shared] = resolveStores({ B2B: { ...b2b, hsnGstRates: { '4820': '12%' } }, C: { ...b2b, accessTokenEnv: 'SHOPIFY_ADMIN_ACCESS_TOKEN_B2B' } }, null, { ...opts, hsnGstRates: { '4820': 18 } });
+  assert.deepEqual(own.hsnGstRates, { '4820': 12 });
+  assert.deepEqual(shared.hsnGstRates, { '4820': 18 });
+  assert.throws(() => resolveStores({ B2B: { ...b2b, hsnGstRates: { '48.20': 18 } } }, null, opts), /Invalid hsnGstRates entry '48\.20'/);
+});
+
+test('stricter image rules are opt-in per profile and checked up front', () => {
+  const [s] = resolveStores({ B2B: { ...b2b, imageRules: { minWidth: 1200, aspectRatios: ['4:5'] } } }, null, opts);
+  assert.deepEqual(s.imageRules, { minWidth: 1200, aspectRatios: ['4:5'] });
+  assert.throws(() => resolveStores({ B2B: { ...b2b, imageRules: { aspectRatios: ['4x5'] } } }, null, opts), /Store 'B2B': Invalid image aspect ratio '4x5'/);
+});
+
+test('without a stores section the fallback profile is the only store', () => {
+  const fallback = { name: 'TAC', raw: { ...b2b, accessTokenEnv: 'SHOPIFY_ADMIN_ACCESS_TOKEN_B2B', dataDir: '.data' } };
+  const stores = resolveStores(undefined, fallback, opts);
+  assert.deepEqual(stores.map(s => [s.name, s.dataDir, s.planDir]), [['TAC', '.data', '.data/plans']]);
+});
+
+test('incomplete profiles and unknown --store names are rejected', () => {
+  assert.throws(
+    () => resolveStores({ X: { domain: 'x.myshopify.com' } }, null, opts),
+    /Store 'X': missing SHOPIFY_ADMIN_ACCESS_TOKEN_X, slack.channel, make.product, make.unitPrice, make.sku, zohoTaxIds/
+  );
+  const stores = resolveStores({ B2B: b2b }, null, opts);
+  assert.equal(selectStores(stores, ['b2b'])[0].name, 'B2B');
+  assert.deepEqual(selectStores(stores, []), stores);
+  assert.throws(() => selectStores(stores, ['TAC']), /Unknown store 'TAC' \(configured: B2B\)/);
+});
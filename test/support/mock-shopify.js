@@ -0,0 +1,325 @@
+const http = require('http');
+
+/*
+  Local stand-in for the Shopify Admin GraphQL endpoint.
+
+  Requests are dispatched on the operation name of the query (ProductsPage,
+  ProductVariantsBySku, UpdateProductStatus, ...) against an in-memory store
+  built from a fixture:
+
+    {
+      pageSize,            products per ProductsPage (default 50)
+      products: [...],     nodes shaped like PRODUCT_NODE_FIELDS in index.js
+      metaobjects: { variant_options: { '<handle>': { base_unit, ... } } },   id gid://shopify/Metaobject/<type>-<handle>
+      locations: ['gid://shopify/Location/1'],   or { id, name } nodes
+      inventoryLevels: { '<inventoryItemId>': { '<locationId>': onHand } },   kept up to date by SetOnHand
+      publications: [{ id, name }],
+      marketPublications: [{ id, catalog: { __typename: 'MarketCatalog', title } }],
+      media: { '<productId>': [{ id, alt }] },   else the product's own `media` list
+      collections: [{ title, handle, smart? }],  the store's collections (TaxCollections search,
+                                                 CollectionAddProducts / CollectionRemoveProducts)
+    }
+
+  Knobs on the returned mock:
+    throttleNext        answer the next N requests with a THROTTLED error
+    delay(op, vars)     ms to hold a response back (default none)
+    userErrors[op]      userErrors returned by mutation `op` (or a function of its variables)
+    calls               every request as { op, variables }
+
+  SkuIndexPage pages every variant (250 a page); with `updated_at:>'<iso>'`
+  only variants whose fixture `updatedAt` is later. ProductDescriptions does
+  the same for products (100 a page).
+
+  BulkRunQuery exports every product with a product_changes metafield, or
+  every variant when the query is a productVariants export; the operation reports RUNNING on its first status poll, then COMPLETED with a
+  url to GET /bulk/<n>.jsonl on this server.
+*/
+function clone(v) { return JSON.parse(JSON.stringify(v)); }
+
+function operationName(query) {
+  const m = String(query || '').match(/\b(?:query|mutation)\s+(\w+)/);
+  return m ? m[1] : null;
+}
+
+const METAFIELD_ALIASES = {
+  'custom.product_changes': 'metafieldChanges',
+  'custom.indian_tax_rate': 'metafieldTax',
+  'custom.pre_order_setting': 'metafieldPreOrder',
+  'my_fields.country_of_origin': 'metafieldOrigin',
+  'custom.main_item_confirmation_status': 'metafieldMainItemConfirm',
+  'custom.check_waivers': 'metafieldWaivers',
+};
+
+function page(nodes, after, size) {
+  const start = after ? Number(after) : 0;
+  const slice = nodes.slice(start, start + size);
+  const end = start + slice.length;
+  return { nodes: slice, pageInfo: { hasNextPage: end < nodes.length, endCursor: String(end) } };
+}
+
+function createMockShopify(fixture) {
+  const store = clone(fixture);
+  store.products = store.products || [];
+  const mock = {
+    store,
+    calls: [],
+    throttleNext: 0,
+    delay: () => 0,
+    userErrors: {},
+    server: null,
+    url: null,
+    product(id) { return store.products.find(p => p.id === id) || null; },
+    callsTo(op) { return mock.calls.filter(c => c.op === op); },
+    bulkOperations: [],
+  };
+
+  // Fixture collections carry title/handle; ids derive from the handle
+  const collectionNode = (c, i) => ({ id: `gid://shopify/Collection/${c.handle || i}`, ...c });
+  const productNode = (p) => {
+    if (!p) return null;
+    const out = clone(p);
+    out.variants = page(p.variants?.nodes || [], null, 250);
+    out.collections = page((p.collections?.nodes || []).map(collectionNode), null, 100);
+    return out;
+  };
+  const allVariants = () => store.products.flatMap(p =>
+    (p.variants?.nodes || []).map(v => ({ ...clone(v), product: { id: p.id, title: p.title, options: clone(p.options || []) } }))
+  );
+  const errorsFor = (op, vars = {}) => {
+    const planned = mock.userErrors[op];
+    return (typeof planned === 'function' ? planned(vars) : planned) || [];
+  };
+  const metaobjectNodes = (type) => Object.entries(store.metaobjects?.[type] || {})
+    .map(([handle, fields]) => ({ handle, fields: Object.entries(fields).map(([key, value]) => ({ key, value })) }));
+  const origin = () => mock.url.replace(/\/admin\/.*$/, '');
+
+  // Bulk JSONL: the product line, then one line per nested node with __parentId
+  const bulkLines = () => store.products
+    .filter(p => p.metafieldChanges && p.metafieldChanges.value != null)
+    .flatMap(p => {
+      const { images, media, collections, variants, ...fields } = clone(p);
+      const children = [
+        ...(variants?.nodes || []),
+        ...(collections?.nodes || []).map(collectionNode),
+        ...(images?.edges || []).map(e => e.node),
+      ];
+      return [fields, ...children.map(c => ({ ...c, __parentId: p.id }))];
+    })
+    .map(l => JSON.stringify(l));
+
+  const handlers = {
+    ProductsPage: ({ after, query }) => {
+      const vendor = String(query || '').match(/vendor:"((?:[^"\\]|\\.)*)"/);
+      const matching = store.products.filter(p => p.metafieldChanges && p.metafieldChanges.value != null)
+        .filter(p => !vendor || p.vendor === JSON.parse(`"${vendor[1]}"`));
+      const conn = page(matching, after, store.pageSize || 50);
+      return { products: { ...conn, nodes: conn.nodes.map(productNode) } };
+    },
+    ProductById: ({ id }) => ({ product: productNode(mock.product(id)) }),
+    ProductByHandle: ({ handle }) => ({ productByIdentifier: productNode(store.products.find(p => p.handle === handle)) }),
+    ProductVariants: ({ id, after }) => {
+      const p = mock.product(id);
+      return { product: p && { title: p.title, options: p.options, variants: page(p.variants?.nodes || [], after, 250) } };
+    },
+    ProductCollections: ({ id, after }) => {
+      const p = mock.product(id);
+      return { product: p && { collections: page((p.collections?.nodes || []).map(collectionNode), after, 100) } };
+    },
+    ProductVariantsBySku: ({ q }) => {
+      const m = String(q).match(/^sku:"(.*)"$/);
+      const sku = m ? m[1].toLowerCase() : '';
+      return { productVariants: { nodes: allVariants().filter(v => String(v.sku || '').toLowerCase() === sku).slice(0, 20) } };
+    },
+    SkuIndexPage: ({ after, query }) => {
+      const since = String(query || '').match(/updated_at:>'([^']+)'/);
+      const variants = allVariants().filter(v => !since || (v.updatedAt && v.updatedAt > since[1]));
+      return { productVariants: page(variants, after, 250) };
+    },
+    MetaobjectById: ({ id }) => {
+      const [, type, handle] = String(id).match(/^gid:\/\/shopify\/Metaobject\/([^-]+)-(.+)$/) || [];
+      const fields = store.metaobjects?.[type]?.[handle];
+      return {
+        metaobject: fields
+          ? { id, handle, type, fields: Object.entries(fields).map(([key, value]) => ({ key, value })) }
+          : null,
+      };
+    },
+    ProductDescriptions: ({ after, query }) => {
+      const since = String(query || '').match(/updated_at:>'([^']+)'/);
+      const products = store.products.filter(p => !since || (p.updatedAt && p.updatedAt > since[1]));
+      return { products: page(products.map(p => ({ id: p.id, title: p.title, descriptionHtml: p.descriptionHtml || '' })), after, 100) };
+    },
+    TaxCatalog: ({ type, after }) => ({ metaobjects: page(metaobjectNodes(type), after, 250) }),
+    HsnRates: ({ type, after }) => ({ metaobjects: page(metaobjectNodes(type), after, 250) }),
+    ProductTax: ({ id }) => ({ product: { metafield: mock.product(id)?.metafieldTax || null } }),
+    ProductChanges: ({ id }) => ({ product: { metafield: mock.product(id)?.metafieldChanges || null } }),
+    ProductMainStatus: ({ id }) => ({ product: { id, metafield: mock.product(id)?.metafieldMainItemConfirm || null } }),
+    Locations: ({ after }) => ({ locations: page((store.locations || []).map(l => (typeof l === 'string' ? { id: l } : l)), after, 100) }),
+    InventoryLevels: ({ ids }) => ({
+      nodes: ids.map(id => ({
+        id,
+        inventoryLevels: {
+          nodes: Object.entries(store.inventoryLevels?.[id] || {}).map(([locationId, quantity]) => ({ location: { id: locationId }, quantities: [{ name: 'on_hand', quantity }] })),
+        },
+      })),
+    }),
+    Publications: ({ after }) => ({ publications: page(store.publications || [], after, 100) }),
+    MarketPubs: ({ after }) => ({ publications: page(store.marketPublications || [], after, 50) }),
+    ProductMedia: ({ id, after }) => ({ product: { media: page(store.media?.[id] || mock.product(id)?.media || [], after, 250) } }),
+    BulkRunQuery: ({ query }) => {
+      const n = mock.bulkOperations.length + 1;
+      const variantsExport = /^\s*\{\s*productVariants\b/.test(query);
+      const lines = variantsExport ? allVariants().map(v => JSON.stringify(v)) : bulkLines();
+      const op = { id: `gid://shopify/BulkOperation/${n}`, polls: 0, lines };
+      mock.bulkOperations.push(op);
+      return { bulkOperationRunQuery: { bulkOperation: { id: op.id, status: 'CREATED' }, userErrors: errorsFor('BulkRunQuery') } };
+    },
+    BulkOperationStatus: ({ id }) => {
+      const op = mock.bulkOperations.find(o => o.id === id);
+      if (!op) return { node: null };
+      const done = ++op.polls > 1;
+      return {
+        node: {
+          id,
+          status: done ? 'COMPLETED' : 'RUNNING',
+          errorCode: null,
+          objectCount: String(op.lines.length),
+          url: done && op.lines.length ? `${origin()}/bulk/${mock.bulkOperations.indexOf(op) + 1}.jsonl` : null,
+          partialDataUrl: null,
+        },
+      };
+    },
+
+    UpdateProductStatus: ({ id, status }) => {
+      const userErrors = errorsFor('UpdateProductStatus', { id, status });
+      const p = mock.product(id);
+      if (p && !userErrors.length) p.status = status;
+      return { productUpdate: { product: p && { id, status: p.status }, userErrors } };
+    },
+    SetMetafields: ({ metafields }) => {
+      const userErrors = errorsFor('SetMetafields');
+      if (!userErrors.length) {
+        for (const mf of metafields) {
+          const p = mock.product(mf.ownerId);
+          const alias = METAFIELD_ALIASES[`${mf.namespace}.${mf.key}`] || `metafield_${mf.namespace}_${mf.key}`;
+          if (p) p[alias] = { value: mf.value };
+        }
+      }
+      return { metafieldsSet: { metafields: metafields.map((_, i) => ({ id: `gid://shopify/Metafield/${i}` })), userErrors } };
+    },
+    UpdateInventoryItem: ({ id, input }) => {
+      const userErrors = errorsFor('UpdateInventoryItem', { id, input });
+      if (!userErrors.length) {
+        for (const p of store.products) {
+          for (const v of p.variants?.nodes || []) {
+            if (v.inventoryItem?.id === id) Object.assign(v.inventoryItem, input);
+          }
+        }
+      }
+      return { inventoryItemUpdate: { inventoryItem: { id, ...input }, userErrors } };
+    },
+    TaxCollections: ({ query }) => {
+      const title = String(query || '').match(/title:("(?:[^"\\]|\\.)*")/);
+      const custom = /collection_type:custom/.test(query || '');
+      const nodes = (store.collections || []).map(collectionNode)
+        .filter(c => !title || c.title === JSON.parse(title[1]))
+        .filter(c => !custom || !c.smart)
+        .map(({ id, title }) => ({ id, title }));
+      return { collections: { nodes } };
+    },
+    CollectionAddProducts: ({ id, productIds }) => {
+      const userErrors = errorsFor('CollectionAddProducts', { id, productIds });
+      const c = (store.collections || []).map(collectionNode).find(n => n.id === id);
+      if (!userErrors.length && c) {
+        for (const pid of productIds) {
+          const p = mock.product(pid);
+          p.collections = { nodes: [...(p.collections?.nodes || []), { title: c.title, handle: c.handle }] };
+        }
+      }
+      return { collectionAddProducts: { userErrors } };
+    },
+    CollectionRemoveProducts: ({ id, productIds }) => {
+      const userErrors = errorsFor('CollectionRemoveProducts', { id, productIds });
+      if (!userErrors.length) {
+        for (const pid of productIds) {
+          const p = mock.product(pid);
+          p.collections = { nodes: (p.collections?.nodes || []).filter((c, i) => collectionNode(c, i).id !== id) };
+        }
+      }
+      return { collectionRemoveProducts: { job: userErrors.length ? null : { id: 'gid://shopify/Job/1' }, userErrors } };
+    },
+    SetOnHand: ({ input }) => {
+      const userErrors = errorsFor('SetOnHand', { input });
+      if (!userErrors.length) {
+        for (const q of input.setQuantities) {
+          store.inventoryLevels = store.inventoryLevels || {};
+          store.inventoryLevels[q.inventoryItemId] = { ...store.inventoryLevels[q.inventoryItemId], [q.locationId]: q.quantity };
+        }
+      }
+      return { inventorySetOnHandQuantities: { userErrors } };
+    },
+    PublishToChannel: () => ({ publishablePublish: { userErrors: errorsFor('PublishToChannel') } }),
+    ProductUpdateMedia: ({ productId, media }) => {
+      const current = store.media?.[productId] || [];
+      for (const m of media) {
+        const hit = current.find(n => n.id === m.id);
+        if (hit) hit.alt = m.alt;
+      }
+      return { productUpdateMedia: { media, mediaUserErrors: errorsFor('ProductUpdateMedia') } };
+    },
+  };
+
+  const cost = (requested) => ({
+    requestedQueryCost: requested,
+    actualQueryCost: requested,
+    throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 1990, restoreRate: 100 },
+  });
+
+  mock.server = http.createServer((req, res) => {
+    const bulk = req.method === 'GET' && req.url.match(/^\/bulk\/(\d+)\.jsonl$/);
+    if (bulk) {
+      const op = mock.bulkOperations[Number(bulk[1]) - 1];
+      res.writeHead(op ? 200 : 404, { 'Content-Type': 'application/jsonl' });
+      return res.end(op ? op.lines.join('\n') + '\n' : '');
+    }
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+      let body;
+      try { body = JSON.parse(raw); }
+      catch { return send(400, { errors: [{ message: 'invalid json' }] }); }
+
+      const op = operationName(body.query);
+      mock.calls.push({ op, variables: body.variables || {} });
+
+      if (mock.throttleNext > 0) {
+        mock.throttleNext--;
+        return send(200, { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }], extensions: { cost: cost(10) } });
+      }
+      const handler = handlers[op];
+      if (!handler) return send(200, { errors: [{ message: `mock-shopify: no handler for operation ${op}` }] });
+      setTimeout(() => {
+        try {
+          send(200, { data: handler(body.variables || {}), extensions: { cost: cost(10) } });
+        } catch (e) {
+          send(200, { errors: [{ message: `mock-shopify: ${e.message}` }] });
+        }
+      }, mock.delay(op, body.variables || {}));
+    });
+  });
+
+  mock.listen = () => new Promise((resolve) => {
+    mock.server.listen(0, '127.0.0.1', () => {
+      mock.url = `http://127.0.0.1:${mock.server.address().port}/admin/api/2025-07/graphql.json`;
+      resolve(mock);
+    });
+  });
+  mock.close = () => new Promise((resolve) => mock.server.close(() => resolve()));
+  return mock;
+}
+
+module.exports = { createMockShopify, operationName };
@@ -0,0 +1,78 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ENTRY = path.resolve(__dirname, '../../index.js');
+
+function childEnvFor(shopify, stubs, env) {
+  return {
+    PATH: process.env.PATH,
+    SHOPIFY_STORE_DOMAIN: 'mock-store.myshopify.com',
+    SHOPIFY_ADMIN_ACCESS_TOKEN: 'shpat_test',
+    SHOPIFY_GRAPHQL_URL: shopify.url,
+    SLACK_BOT_TOKEN: 'xoxb-test',
+    SLACK_CHANNEL_ID: 'C_FAILURES',
+    SUCCESS_SLACK_CHANNEL_ID: 'C_SUCCESS',
+    SLACK_API_URL: `${stubs.url}/slack`,
+    MAKE_WEBHOOK_URL: `${stubs.url}/make/product`,
+    UNIT_PRICE_WEBHOOK_URL: `${stubs.url}/make/unit-price`,
+    SKU_MAKE_URL: `${stubs.url}/make/sku`,
+    DRY_RUN: 'false',
+    MAKE_RETRY_BASE_MS: '1',
+    SHOPIFY_RETRY_BASE_MS: '1',
+    ...env,
+  };
+}
+
+/*
+  Runs `node index.js ...args` against the mock Shopify server and stub receivers.
+  The child runs in a fresh temp directory so a developer's .env, config file
+  or ledger never leaks into a test. Must be async: the mocks live in this process.
+*/
+function runCli({ shopify, stubs, args = [], env = {}, cwd } = {}) {
+  const workdir = cwd || fs.mkdtempSync(path.join(os.tmpdir(), 'product-checks-'));
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [ENTRY, ...args], { cwd: workdir, env: childEnvFor(shopify, stubs, env) });
+    let stdout = '', stderr = '';
+    child.stdout.on('data', (c) => { stdout += c; });
+    child.stderr.on('data', (c) => { stderr += c; });
+    const timer = setTimeout(() => { child.kill(); reject(new Error(`index.js timed out\n${stdout}\n${stderr}`)); }, 30000);
+    child.on('error', reject);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr, cwd: workdir });
+    });
+  });
+}
+
+/*
+  Starts `node index.js serve` on a free port and resolves once it listens.
+  stop() sends SIGTERM (the server drains and exits) and resolves with the output.
+*/
+function startServe({ shopify, stubs, env = {} } = {}) {
+  const workdir = fs.mkdtempSync(path.join(os.tmpdir(), 'product-checks-'));
+  const child = spawn(process.execPath, [ENTRY, 'serve'], { cwd: workdir, env: childEnvFor(shopify, stubs, { PORT: '0', ...env }) });
+  let stdout = '', stderr = '';
+  child.stderr.on('data', (c) => { stderr += c; });
+  const closed = new Promise((resolve) => child.on('close', (code) => resolve({ code, stdout, stderr, cwd: workdir })));
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => { child.kill(); reject(new Error(`serve did not start\n${stdout}\n${stderr}`)); }, 10000);
+    child.stdout.on('data', (c) => {
+      stdout += c;
+      const m = stdout.match(/ on :(\d+) /);
+      if (m && timer) {
+        clearTimeout(timer);
+        resolve({
+          url: `http://127.0.0.1:${m[1]}`,
+          output: () => ({ stdout, stderr }),
+          stop: () => { child.kill('SIGTERM'); return closed; },
+        });
+      }
+    });
+    child.on('close', () => { clearTimeout(timer); reject(new Error(`serve exited early\n${stdout}\n${stderr}`)); });
+  });
+}
+
+module.exports = { runCli, startServe };
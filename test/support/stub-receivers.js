@@ -0,0 +1,74 @@
+const http = require('http');
+
+/*
+  Stub Make webhooks and Slack Web API on one local server.
+
+    POST /make/<name>              recorded in makeCalls; answers makeStatus[name] (default 200;
+                                   an array is consumed one status per call)
+    POST /slack/chat.postMessage   answers slackStatus (default 200; an array is consumed one
+                                   status per call); only 200s are recorded in slackMessages
+    POST /slack/response/<id>      interaction response_url; recorded in slackResponses
+
+  Point the runner at it with MAKE_WEBHOOK_URL=<url>/make/product,
+  UNIT_PRICE_WEBHOOK_URL=<url>/make/unit-price, SKU_MAKE_URL=<url>/make/sku
+  and SLACK_API_URL=<url>/slack.
+*/
+function createStubReceivers() {
+  const stubs = {
+    makeCalls: [],
+    slackMessages: [],
+    slackResponses: [],
+    makeStatus: {},
+    slackStatus: 200,
+    server: null,
+    url: null,
+    makeCallsTo(name) { return stubs.makeCalls.filter(c => c.name === name); },
+  };
+
+  stubs.server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      let body = null;
+      try { body = raw ? JSON.parse(raw) : null; } catch { body = raw; }
+      const url = req.url.split('?')[0];
+
+      if (url.startsWith('/make/')) {
+        const name = url.slice('/make/'.length);
+        stubs.makeCalls.push({ name, body, headers: req.headers });
+        const planned = stubs.makeStatus[name];
+        const status = (Array.isArray(planned) ? planned.shift() : planned) || 200;
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        return res.end(status === 200 ? 'Accepted' : 'Error');
+      }
+      if (url.startsWith('/slack/response/')) {
+        stubs.slackResponses.push(body);
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        return res.end('ok');
+      }
+      if (url === '/slack/chat.postMessage') {
+        const status = (Array.isArray(stubs.slackStatus) ? stubs.slackStatus.shift() : stubs.slackStatus) || 200;
+        if (status !== 200) {
+          res.writeHead(status, { 'Content-Type': 'text/plain' });
+          return res.end('Error');
+        }
+        stubs.slackMessages.push({ ...body, authorization: req.headers.authorization });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ ok: true, ts: String(Date.now() / 1000) }));
+      }
+      res.writeHead(404);
+      res.end();
+    });
+  });
+
+  stubs.listen = () => new Promise((resolve) => {
+    stubs.server.listen(0, '127.0.0.1', () => {
+      stubs.url = `http://127.0.0.1:${stubs.server.address().port}`;
+      resolve(stubs);
+    });
+  });
+  stubs.close = () => new Promise((resolve) => stubs.server.close(() => resolve()));
+  return stubs;
+}
+
+module.exports = { createStubReceivers };
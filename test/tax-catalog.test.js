@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rateKey, normaliseTaxIds, createTaxCatalog, taxIdsFromMetaobjects } = require('../lib/tax-catalog');
+
+test('rates match whatever way the percentage is written', () => {
+  assert.equal(rateKey('18%'), '18.00');
+  assert.equal(rateKey(' 0.25 '), '0.25');
+  assert.equal(rateKey(''), null);
+  assert.equal(rateKey('abc'), null);
+
+  const catalog = createTaxCatalog(normaliseTaxIds({ '18': 'T18', '0.25%': 'T025', '5': '' }));
+  assert.equal(catalog.taxIdFor('18.0'), 'T18');
+  assert.equal(catalog.taxIdFor('15'), null);
+  assert.equal(catalog.has('0.25'), true);
+  assert.equal(catalog.has('5'), false, 'rates without an id are not in the catalogue');
+  assert.deepEqual(catalog.rates(), ['0.25', '18']);
+  assert.equal(catalog.size, 2);
+  assert.equal(catalog.source, 'config');
+});
+
+test('metaobject entries become the table; incomplete ones are skipped', () => {
+  const node = (fields) => ({ fields: Object.entries(fields).map(([key, value]) => ({ key, value })) });
+  const taxIds = taxIdsFromMetaobjects([
+    node({ rate: '12%', zoho_tax_id: 'Z12' }),
+    node({ rate: '28' }),
+    node({ zoho_tax_id: 'Z0' }),
+  ]);
+  assert.deepEqual(taxIds, { '12.00': 'Z12' });
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findForbiddenWord, spacingProblems, vendorPlacementOk, redundantTitleUnit } = require('../lib/title-lint');
+const { resolveChecks } = require('../lib/checks');
+
+test('forbidden words match whole words in the title or handle', () => {
+  assert.deepEqual(findForbiddenWord({ title: 'Notebook Copy', handle: 'notebook-copy' }), { word: 'copy', where: 'name & url' });
+  assert.deepEqual(findForbiddenWord({ title: 'Gel Pens', handle: 'gel-pens-test' }), { word: 'test', where: 'url' });
+  assert.equal(findForbiddenWord({ title: 'Copyright-free Contest Journal', handle: 'contest-journal' }), null);
+  assert.deepEqual(findForbiddenWord({ title: 'Demo Kit', handle: 'demo-kit' }, ['demo']), { word: 'demo', where: 'name & url' });
+});
+
+test('spacing, vendor placement and redundant units', () => {
+  assert.deepEqual(spacingProblems('Gel Pens'), []);
+  assert.deepEqual(spacingProblems('Gel  Pens '), ['leading or trailing spaces', 'double spaces']);
+
+  assert.equal(vendorPlacementOk('Acme Gel Pens', 'ACME', 'prefix'), true);
+  assert.equal(vendorPlacementOk('Gel Pens by Acme', 'Acme', 'prefix'), false);
+  assert.equal(vendorPlacementOk('Gel Pens by Acme', 'Acme', 'either'), true);
+  assert.equal(vendorPlacementOk('Gel Pens', '', 'suffix'), true, 'no vendor, nothing to place');
+
+  const sized = [{ selectedOptions: [{ name: 'Size', value: '500 ml' }] }];
+  assert.deepEqual(redundantTitleUnit('Ink Bottle 500ml', sized), { term: 'ml', options: ['Size'] });
+  assert.equal(redundantTitleUnit('Ink Bottle', sized), null);
+  assert.equal(redundantTitleUnit('Ink Bottle 500ml', [{ selectedOptions: [{ name: 'Colour', value: 'Blue' }] }]), null);
+});
+
+test('bad title rule config fails at startup', () => {
+  assert.throws(() => resolveChecks({ 'title-vendor': { position: 'middle' } }), /Invalid position 'middle' for check 'title-vendor'/);
+});
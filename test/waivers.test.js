@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseWaivers, mergeWaivers, isWaiverActive, applyWaivers, describeWaived } = require('../lib/waivers');
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const outcome = () => {
+  const results = [
+    { id: 'pre-order', ok: false, severity: 'block', lines: ['Pre-order setting is empty.'] },
+    { id: 'description', ok: false, severity: 'block', lines: ['Product description is empty.'] },
+    { id: 'images', ok: false, severity: 'warn', lines: ['Product has no images.'] },
+    { id: 'hs-code', ok: true, severity: 'block', lines: [] },
+  ];
+  return { results, blocking: results.slice(0, 2), warnings: [results[2]], passed: false };
+};
+
+test('parseWaivers ignores malformed metafields and entries', () => {
+  assert.deepEqual(parseWaivers(null), []);
+  assert.deepEqual(parseWaivers({ value: 'not json' }), []);
+  assert.deepEqual(parseWaivers({ value: '[{"check":"pre-order"},{"reason":"x"},null]' }), [{ check: 'pre-order' }]);
+  assert.deepEqual(mergeWaivers([{ check: 'a', reason: 'old' }, { check: 'b' }], [{ check: 'a', reason: 'new' }]),
+    [{ check: 'b' }, { check: 'a', reason: 'new' }]);
+});
+
+test('a bare expiry date is valid through that whole day; bad dates count as expired', () => {
+  assert.equal(isWaiverActive({ check: 'x' }, NOW), true);
+  assert.equal(isWaiverActive({ check: 'x', expires: '2026-03-10' }, NOW), true);
+  assert.equal(isWaiverActive({ check: 'x', expires: '2026-03-09' }, NOW), false);
+  assert.equal(isWaiverActive({ check: 'x', expires: '2026-03-10T11:00:00Z' }, NOW), false);
+  assert.equal(isWaiverActive({ check: 'x', expires: 'someday' }, NOW), false);
+});
+
+test('active waivers move failures to waived; expired ones keep failing with a note', () => {
+  const waivers = [
+    { check: 'pre-order', reason: 'made to order', approvedBy: 'lead', expires: '2026-04-01' },
+    { check: 'description', reason: 'copy pending', approvedBy: 'lead', expires: '2026-03-01' },
+    { check: 'hs-code', approvedBy: 'lead' },
+  ];
+  const out = applyWaivers(outcome(), waivers, NOW);
+  assert.deepEqual(out.waived.map(r => r.id), ['pre-order']);
+  assert.deepEqual(out.blocking.map(r => r.id), ['description']);
+  assert.deepEqual(out.blocking[0].lines, ['Product description is empty. (waiver expired 2026-03-01)']);
+  assert.deepEqual(out.warnings.map(r => r.id), ['images']);
+  assert.equal(out.passed, false);
+  assert.equal(out.results.find(r => r.id === 'hs-code').waiver, undefined); // passing checks are left alone
+  assert.equal(describeWaived(out.waived[0]), 'Pre-order setting is empty. — waived by lead until 2026-04-01: made to order');
+
+  const all = applyWaivers(outcome(), [...waivers.slice(0, 1), { check: 'description', approvedBy: 'lead' }], NOW);
+  assert.equal(all.passed, true);
+  assert.deepEqual(all.warnings.map(r => r.id), ['images']);
+});
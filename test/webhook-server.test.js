@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createWebhookServer, signShopifyPayload, verifyShopifyHmac, createDeliveryDeduper } = require('../lib/webhook-server');
+const { signSlackRequest } = require('../lib/slack');
+
+const SECRET = 'shpss_test';
+
+function post(server, body, headers, path = '/webhooks/shopify') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method: 'POST',
+      path,
+      headers: { 'Content-Type': 'application/json', ...headers },
+    }, (res) => {
+      let text = '';
+      res.on('data', (c) => { text += c; });
+      res.on('end', () => resolve({ status: res.statusCode, text }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function signedHeaders(body, { topic = 'products/update', id = 'delivery-1' } = {}) {
+  return {
+    'X-Shopify-Hmac-Sha256': signShopifyPayload(body, SECRET),
+    'X-Shopify-Topic': topic,
+    'X-Shopify-Webhook-Id': id,
+  };
+}
+
+async function withServer(opts, fn) {
+  const server = createWebhookServer({ secret: SECRET, ...opts });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  try { await fn(server); }
+  finally { await new Promise((r) => server.close(r)); }
+}
+
+test('verifyShopifyHmac accepts the locally signed body and rejects tampering', () => {
+  const body = JSON.stringify({ id: 1 });
+  const hmac = signShopifyPayload(body, SECRET);
+  assert.equal(verifyShopifyHmac(Buffer.from(body), hmac, SECRET), true);
+  assert.equal(verifyShopifyHmac(Buffer.from(body + ' '), hmac, SECRET), false);
+  assert.equal(verifyShopifyHmac(Buffer.from(body), hmac, 'other'), false);
+  assert.equal(verifyShopifyHmac(Buffer.from(body), undefined, SECRET), false);
+});
+
+test('signed products/update runs the pipeline once per delivery', async () => {
+  const seen = [];
+  await withServer({ onProduct: async (id, topic) => { seen.push([id, topic]); } }, async (server) => {
+    const body = JSON.stringify({ id: 42, admin_graphql_api_id: 'gid://shopify/Product/42' });
+
+    assert.deepEqual(await post(server, body, signedHeaders(body)), { status: 200, text: 'queued' });
+    assert.deepEqual(await post(server, body, signedHeaders(body)), { status: 200, text: 'duplicate' });
+    await server.drain();
+
+    assert.deepEqual(seen, [['gid://shopify/Product/42', 'products/update']]);
+  });
+});
+
+test('bad signatures are rejected and other topics ignored', async () => {
+  const seen = [];
+  await withServer({ onProduct: async (id) => { seen.push(id); } }, async (server) => {
+    const body = JSON.stringify({ id: 7 });
+
+    const forged = { ...signedHeaders(body), 'X-Shopify-Hmac-Sha256': signShopifyPayload(body, 'wrong') };
+    assert.equal((await post(server, body, forged)).status, 401);
+    assert.deepEqual(await post(server, body, signedHeaders(body, { topic: 'orders/create', id: 'd2' })), { status: 200, text: 'ignored topic' });
+    await server.drain();
+
+    assert.deepEqual(seen, []);
+  });
+});
+
+test('products/create falls back to the numeric id and echoes inside the cooldown are skipped', async () => {
+  const seen = [];
+  await withServer({ onProduct: async (id) => { seen.push(id); }, cooldownMs: 60000 }, async (server) => {
+    const body = JSON.stringify({ id: 9 });
+    await post(server, body, signedHeaders(body, { topic: 'products/create', id: 'c1' }));
+    await server.drain();
+    assert.deepEqual(await post(server, body, signedHeaders(body, { id: 'c2' })), { status: 200, text: 'skipped' });
+
+    assert.deepEqual(seen, ['gid://shopify/Product/9']);
+  });
+});
+
+test('products/delete goes to onProductDeleted, or is ignored without it', async () => {
+  const ran = [];
+  const deleted = [];
+  const onProductDeleted = async (gid) => { deleted.push(gid); };
+  await withServer({ onProduct: async (gid) => { ran.push(gid); }, onProductDeleted }, async (server) => {
+    const body = JSON.stringify({ id: 11 });
+    await post(server, body, signedHeaders(body, { id: 'u1' }));
+    await server.drain();
+    assert.deepEqual(await post(server, body, signedHeaders(body, { topic: 'products/delete', id: 'x1' })), { status: 200, text: 'queued' });
+    await server.drain();
+
+    assert.deepEqual(ran, ['gid://shopify/Product/11']);
+    assert.deepEqual(deleted, ['gid://shopify/Product/11'], 'a delete is never dropped by the cooldown');
+  });
+  await withServer({ onProduct: async () => {} }, async (server) => {
+    const body = JSON.stringify({ id: 12 });
+    assert.deepEqual(await post(server, body, signedHeaders(body, { topic: 'products/delete', id: 'x2' })), { status: 200, text: 'ignored topic' });
+  });
+});
+
+test('deduper forgets deliveries after the ttl', () => {
+  const dedupe = createDeliveryDeduper({ ttlMs: 1000 });
+  assert.equal(dedupe.isDuplicate('a', 0), false);
+  assert.equal(dedupe.isDuplicate('a', 500), true);
+  assert.equal(dedupe.isDuplicate('a', 1500), false);
+});
+
+test('Slack interactions are signature-checked and queued even inside the product cooldown', async () => {
+  const ran = [];
+  const clicks = [];
+  const onProduct = async (gid) => { ran.push(gid); };
+  const slack = { signingSecret: 'slack-secret', onAction: async (a) => { clicks.push(a); } };
+  await withServer({ onProduct, slack }, async (server) => {
+    const body = new URLSearchParams({
+      payload: JSON.stringify({
+        type: 'block_actions',
+        user: { id: 'U1' },
+        actions: [{ action_id: 'rerun_checks', value: JSON.stringify({ store: 'TAC', productId: 'gid://shopify/Product/5' }) }],
+      }),
+    }).toString();
+    const ts = String(Math.floor(Date.now() / 1000));
+    const slackHeaders = (sig) => ({ 'Content-Type': 'application/x-www-form-urlencoded', 'X-Slack-Request-Timestamp': ts, 'X-Slack-Signature': sig });
+
+    const productBody = JSON.stringify({ admin_graphql_api_id: 'gid://shopify/Product/5' });
+    await post(server, productBody, signedHeaders(productBody));
+    await server.drain();
+
+    assert.equal((await post(server, body, slackHeaders('v0=bad'), '/slack/interactions')).status, 401);
+    const ok = await post(server, body, slackHeaders(signSlackRequest(body, ts, 'slack-secret')), '/slack/interactions');
+    assert.equal(ok.status, 200);
+    await server.drain();
+
+    assert.deepEqual(ran, ['gid://shopify/Product/5']);
+    assert.deepEqual(clicks.map(c => [c.type, c.productId, c.user.id]), [['rerun', 'gid://shopify/Product/5', 'U1']]);
+  });
+  await withServer({ onProduct }, async (server) => {
+    assert.equal((await post(server, 'payload=x', {}, '/slack/interactions')).status, 404);
+  });
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runPool } = require('../lib/worker-pool');
+
+const tick = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test('never runs more than `concurrency` items at once', async () => {
+  let active = 0, peak = 0;
+  const seen = [];
+  await runPool([1, 2, 3, 4, 5, 6, 7], async (n) => {
+    active++;
+    peak = Math.max(peak, active);
+    await tick(n % 3);
+    seen.push(n);
+    active--;
+  }, { concurrency: 3 });
+  assert.equal(peak, 3);
+  assert.deepEqual(seen.sort(), [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('inOrder keeps input order even when later items finish their work first', async () => {
+  const posted = [];
+  async function* items() { yield* [30, 5, 20, 1]; }
+  await runPool(items(), async (ms, { index, inOrder }) => {
+    await tick(ms);
+    await inOrder(() => posted.push(index));
+  }, { concurrency: 4 });
+  assert.deepEqual(posted, [0, 1, 2, 3]);
+});
+
+test('the first error stops new items and rejects once in-flight items settle', async () => {
+  const started = [];
+  let slowDone = false;
+  await assert.rejects(runPool([1, 2, 3, 4, 5], async (n) => {
+    started.push(n);
+    if (n === 1) { await tick(20); slowDone = true; }
+    if (n === 2) throw new Error('boom');
+  }, { concurrency: 2 }), /boom/);
+  assert.equal(slowDone, true);
+  assert.deepEqual(started, [1, 2]);
+});